@@ -12,6 +12,8 @@ const { BullAdapter } = require("@bull-board/api/bullAdapter");
 const { ExpressAdapter } = require("@bull-board/express");
 // Import the queues you created
 const { paymentQueue } = require("./services/queues/payment.queue");
+const { deliveryQueue } = require("./services/queues/delivery.queue");
+const { maintenanceQueue } = require("./services/queues/maintenance.queue");
 
 // Configuration
 const { config } = require("./config/env");
@@ -55,7 +57,17 @@ app.use(
 
 // BODY PARSING MIDDLEWARE
 // Parse JSON bodies
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the exact bytes for webhook signature checks
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith(`${config.apiPrefix}/webhooks`)) {
+        req.rawBody = buf;
+      }
+    },
+  }),
+);
 
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
@@ -70,7 +82,11 @@ const serverAdapter = new ExpressAdapter();
 serverAdapter.setBasePath("/admin/queues"); // This is your Dashboard URL
 
 createBullBoard({
-  queues: [new BullAdapter(paymentQueue)],
+  queues: [
+    new BullAdapter(paymentQueue),
+    new BullAdapter(deliveryQueue),
+    new BullAdapter(maintenanceQueue),
+  ],
   serverAdapter: serverAdapter,
 });
 
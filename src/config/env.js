@@ -72,6 +72,7 @@ const config = {
   apiPrefix: getEnvVar("API_PREFIX", "/api/v1"),
 
   // Database
+  // Must be a replica set (Atlas is) - payment accounting uses transactions
   database: {
     url: getEnvVar("DATABASE_URL"),
   },
@@ -104,6 +105,46 @@ const config = {
     publicKey: getEnvVar("PAYMENT_PUBLIC_KEY", ""),
     secretKey: getEnvVar("PAYMENT_SECRET_KEY", ""),
     webhookSecret: getEnvVar("PAYMENT_WEBHOOK_SECRET", ""),
+    // Point at a local fake server when testing offline
+    baseUrl: getEnvVar("PAYSTACK_BASE_URL", "https://api.paystack.co"),
+  },
+
+  // Redis (Bull queues)
+  redis: {
+    url: getEnvVar("REDIS_URL", "redis://127.0.0.1:6379"),
+  },
+
+  // Orders
+  orders: {
+    // Unpaid orders older than this are expired
+    paymentExpiryMinutes: getEnvInt("ORDER_PAYMENT_EXPIRY_MINUTES", 30),
+    expiryCheckIntervalMinutes: getEnvInt(
+      "ORDER_EXPIRY_CHECK_INTERVAL_MINUTES",
+      5,
+    ),
+    // Pending orders are checked against Paystack once older than this
+    reconcileMinAgeMinutes: getEnvInt("PAYMENT_RECONCILE_MIN_AGE_MINUTES", 2),
+    reconcileIntervalMinutes: getEnvInt(
+      "PAYMENT_RECONCILE_INTERVAL_MINUTES",
+      5,
+    ),
+  },
+
+  // Bundle Fulfilment
+  fulfilment: {
+    // Provider name per network (see services/fulfilment)
+    // Unset means no provider: paid orders stay PROCESSING for an admin to
+    // deliver by hand. "mock" must be chosen explicitly (never in production)
+    providers: {
+      MTN: getEnvVar("FULFILMENT_PROVIDER_MTN", null),
+      TELECEL: getEnvVar("FULFILMENT_PROVIDER_TELECEL", null),
+      AT: getEnvVar("FULFILMENT_PROVIDER_AT", null),
+    },
+    timeoutMs: getEnvInt("FULFILMENT_TIMEOUT_MS", 30000),
+    mock: {
+      outcome: getEnvVar("MOCK_FULFILMENT_OUTCOME", "success"), // success | fail | timeout
+      latencyMs: getEnvInt("MOCK_FULFILMENT_LATENCY_MS", 1000),
+    },
   },
 
   // Logging
@@ -138,6 +179,17 @@ const validateConfig = () => {
     );
   }
 
+  // The mock marks orders DELIVERED without sending anything
+  const mockNetworks = Object.entries(config.fulfilment.providers)
+    .filter(([, name]) => name === "mock")
+    .map(([network]) => network);
+
+  if (config.isProduction && mockNetworks.length > 0) {
+    throw new Error(
+      `The mock fulfilment provider cannot be used in production (configured for ${mockNetworks.join(", ")})`,
+    );
+  }
+
   console.log("✅ Configuration validated successfully");
 };
 
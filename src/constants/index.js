@@ -24,10 +24,28 @@ const OrderStatus = {
   REFUNDED: "REFUNDED",
 };
 
+// ORDER STATUS TRANSITIONS
+// Legal moves for Order.status - enforced by Order.transitionTo()
+const OrderStatusTransitions = {
+  [OrderStatus.ACCEPTED]: [OrderStatus.PROCESSING, OrderStatus.FAILED],
+  [OrderStatus.PROCESSING]: [OrderStatus.DELIVERED, OrderStatus.FAILED],
+  [OrderStatus.DELIVERED]: [OrderStatus.REFUNDED],
+  [OrderStatus.FAILED]: [OrderStatus.PROCESSING, OrderStatus.REFUNDED], // Retry or refund
+  [OrderStatus.REFUNDED]: [],
+};
+
+// STATUS CHANGE ACTOR
+// Who triggered an order status change (recorded in OrderStatusHistory)
+const StatusActor = {
+  SYSTEM: "SYSTEM",
+  ADMIN: "ADMIN",
+};
+
 // PAYMENT STATUS
 const PaymentStatus = {
   PENDING: "PENDING",
   PAID: "PAID",
+  UNDER_REVIEW: "UNDER_REVIEW", // Amount or currency did not match - admin decides
   FAILED: "FAILED",
   REFUNDED: "REFUNDED",
 };
@@ -45,6 +63,27 @@ const PricingMode = {
   CUSTOM: "CUSTOM",
 };
 
+// COMMISSION TYPE
+// How a commission value reads: GHS per bundle, or a percentage of the base price
+const CommissionType = {
+  FLAT: "FLAT",
+  PERCENT: "PERCENT",
+};
+
+// DISCOUNT TYPE
+// How a promo code's discount reads: a percentage of the price, or GHS off
+const DiscountType = {
+  PERCENT: "PERCENT",
+  FIXED: "FIXED",
+};
+
+// HOUSE SALE STAGE
+// When an inactive reseller's sale was switched to a house sale
+const HouseSaleStage = {
+  ORDER: "ORDER", // At checkout - customer paid the base price
+  PAYMENT: "PAYMENT", // After payment - commission kept by the platform
+};
+
 // TICKET STATUS
 const TicketStatus = {
   OPEN: "OPEN",
@@ -53,14 +92,72 @@ const TicketStatus = {
   CLOSED: "CLOSED",
 };
 
+// TICKET STATUS TRANSITIONS
+// Legal moves for SupportTicket.status - enforced by support.service
+const TicketStatusTransitions = {
+  [TicketStatus.OPEN]: [
+    TicketStatus.IN_PROGRESS,
+    TicketStatus.RESOLVED,
+    TicketStatus.CLOSED,
+  ],
+  [TicketStatus.IN_PROGRESS]: [
+    TicketStatus.OPEN,
+    TicketStatus.RESOLVED,
+    TicketStatus.CLOSED,
+  ],
+  [TicketStatus.RESOLVED]: [TicketStatus.IN_PROGRESS, TicketStatus.CLOSED], // Reopen or close
+  [TicketStatus.CLOSED]: [], // Closed tickets cannot be reopened
+};
+
+// TICKET AUTHOR TYPE
+// Who wrote a SupportMessage
+const TicketAuthorType = {
+  CUSTOMER: "CUSTOMER",
+  ADMIN: "ADMIN",
+};
+
+// PAYMENT PROVIDER
+// Gateways with an adapter in services/payments
+const PaymentProvider = {
+  PAYSTACK: "paystack",
+};
+
+// DISPUTE STATUS
+// Customer chargeback on an order (Paystack charge.dispute.* events)
+const DisputeStatus = {
+  OPEN: "OPEN",
+  RESOLVED: "RESOLVED",
+};
+
+// WEBHOOK EVENT STATUS
+// Processing state of a stored webhook (see WebhookEvent model)
+const WebhookEventStatus = {
+  REJECTED: "REJECTED", // Bad signature - never queued
+  QUEUED: "QUEUED",
+  PROCESSED: "PROCESSED",
+  IGNORED: "IGNORED", // No handler for this event type
+  FAILED: "FAILED",
+};
+
 // TRANSACTION TYPE
 const TransactionType = {
   ORDER_PAYMENT: "ORDER_PAYMENT",
-  COMMISSION_EARNING: "COMMISSION_EARNING",
+  COMMISSION_EARNING: "COMMISSION_EARNING", // Reseller wallet credit
+  COMMISSION_REVERSAL: "COMMISSION_REVERSAL", // Wallet debit when an order is refunded
   WITHDRAWAL: "WITHDRAWAL",
   REFUND: "REFUND",
 };
 
+// WITHDRAWAL STATUS
+// Reseller payout request (see Withdrawal model)
+const WithdrawalStatus = {
+  PENDING: "PENDING", // Waiting for an admin
+  PROCESSING: "PROCESSING", // Approved, transfer sent to Paystack
+  COMPLETED: "COMPLETED", // Money reached the reseller
+  REJECTED: "REJECTED", // Declined by an admin
+  FAILED: "FAILED", // Transfer failed or was reversed
+};
+
 // TRANSACTION STATUS
 const TransactionStatus = {
   PENDING: "PENDING",
@@ -106,21 +203,68 @@ const ErrorMessages = {
   RESELLER_NOT_FOUND: "Reseller not found",
   RESELLER_ALREADY_EXISTS: "Reseller account already exists",
   INVALID_REFERRAL_CODE: "Invalid referral code",
+  SHOP_NOT_OPEN: "This shop is not open yet",
+  SHOP_SUSPENDED: "This shop has been suspended",
+  SHOP_CLOSED: "This shop is closed",
+  RESELLER_NOT_ELIGIBLE: "Reseller is not active",
+  COMMISSION_OUT_OF_RANGE: "Commission is outside the allowed range",
+  COMMISSION_PERCENT_TOO_HIGH: "Percentage commission is above the maximum",
+  INVALID_UPLINE_CODE: "Upline referral code is not valid",
+  OVERRIDE_PERCENT_TOO_HIGH:
+    "Override commissions cannot add up to more than 100% of the profit",
 
   // Bundle
   BUNDLE_NOT_FOUND: "Bundle not found",
   BUNDLE_NOT_ACTIVE: "This bundle is currently unavailable",
   BUNDLE_ALREADY_EXISTS: "Bundle with this name and network already exists",
+  BUNDLE_HAS_ORDERS:
+    "This bundle has orders and cannot be deleted. Deactivate it instead",
+
+  // Promo code
+  PROMO_CODE_NOT_FOUND: "Invalid promo code",
+  PROMO_CODE_ALREADY_EXISTS: "A promo code with this code already exists",
+  PROMO_CODE_INACTIVE: "This promo code is not active",
+  PROMO_CODE_NOT_STARTED: "This promo code is not valid yet",
+  PROMO_CODE_EXPIRED: "This promo code has expired",
+  PROMO_CODE_NOT_APPLICABLE: "This promo code does not apply to this bundle",
+  PROMO_CODE_USED_UP: "This promo code has been fully used",
+  PROMO_CODE_PHONE_LIMIT:
+    "This promo code has already been used for this phone number",
+  PROMO_CODE_HAS_ORDERS:
+    "This promo code has been used and cannot be deleted. Deactivate it instead",
 
   // Order
   ORDER_NOT_FOUND: "Order not found",
   ORDER_ALREADY_PROCESSED: "This order has already been processed",
+  INVALID_STATUS_TRANSITION: "Invalid order status change",
   INVALID_PHONE_NUMBER: "Invalid phone number format",
 
   // Payment
   PAYMENT_FAILED: "Payment processing failed",
   INSUFFICIENT_FUNDS: "Insufficient funds",
   PAYMENT_ALREADY_PROCESSED: "Payment already processed",
+  ORDER_NOT_REFUNDABLE:
+    "Only paid orders that failed or were delivered can be refunded",
+  REFUND_EXCEEDS_BALANCE: "Refund amount exceeds the unrefunded balance",
+  REFUND_FAILED: "Refund could not be processed",
+  PAYMENT_NOT_UNDER_REVIEW: "This order has no payment waiting for review",
+
+  // Withdrawal
+  WITHDRAWAL_NOT_FOUND: "Withdrawal not found",
+  WITHDRAWAL_BELOW_MINIMUM: "Withdrawal amount is below the minimum",
+  WITHDRAWAL_EXCEEDS_BALANCE:
+    "Withdrawal amount exceeds your available balance",
+  WITHDRAWAL_IN_PROGRESS:
+    "You already have a withdrawal in progress. Wait for it to complete",
+  WITHDRAWAL_NOT_PENDING:
+    "Only pending withdrawals can be approved or rejected",
+  PAYOUT_FAILED: "Payout could not be sent",
+
+  // Support
+  TICKET_NOT_FOUND: "Support ticket not found",
+  TICKET_CLOSED: "This ticket is closed. Open a new ticket instead",
+  INVALID_TICKET_STATUS_TRANSITION: "Invalid ticket status change",
+  TICKET_ASSIGNEE_NOT_ADMIN: "Tickets can only be assigned to an active admin",
 
   // Validation
   VALIDATION_ERROR: "Validation error",
@@ -156,11 +300,23 @@ const SuccessMessages = {
   RESELLER_APPROVED: "Reseller approved successfully",
   RESELLER_REJECTED: "Reseller rejected successfully",
   RESELLER_SUSPENDED: "Reseller suspended successfully",
+  PRICING_UPDATED: "Pricing updated successfully",
+  STOREFRONT_UPDATED: "Storefront updated successfully",
+
+  // Settings
+  SETTINGS_UPDATED: "Settings updated successfully",
 
   // Bundle
   BUNDLE_CREATED: "Bundle created successfully",
   BUNDLE_UPDATED: "Bundle updated successfully",
   BUNDLE_DELETED: "Bundle deleted successfully",
+  BUNDLE_ACTIVATED: "Bundle activated successfully",
+  BUNDLE_DEACTIVATED: "Bundle deactivated successfully",
+
+  // Promo code
+  PROMO_CODE_CREATED: "Promo code created successfully",
+  PROMO_CODE_UPDATED: "Promo code updated successfully",
+  PROMO_CODE_DELETED: "Promo code deleted successfully",
 
   // Order
   ORDER_CREATED: "Order created successfully",
@@ -170,10 +326,21 @@ const SuccessMessages = {
   // Payment
   PAYMENT_SUCCESS: "Payment processed successfully",
   REFUND_SUCCESS: "Refund processed successfully",
+  PAYMENT_REVIEW_APPROVED: "Payment approved and order sent for delivery",
+  PAYMENT_REVIEW_REJECTED: "Payment rejected and refund started",
+
+  // Withdrawal
+  WITHDRAWAL_REQUESTED: "Withdrawal requested. It will be paid once approved",
+  WITHDRAWAL_APPROVED: "Withdrawal approved and payout sent",
+  WITHDRAWAL_REJECTED: "Withdrawal rejected and funds returned to the wallet",
 
   // Support
   TICKET_CREATED: "Support ticket created successfully",
   TICKET_RESOLVED: "Support ticket resolved successfully",
+  TICKET_CLOSED: "Support ticket closed successfully",
+  TICKET_UPDATED: "Support ticket updated successfully",
+  TICKET_ASSIGNED: "Support ticket assigned successfully",
+  TICKET_REPLY_ADDED: "Reply added successfully",
 };
 
 // REGEX PATTERNS
@@ -195,6 +362,9 @@ const RegexPatterns = {
 
   // Ticket number: TKT-XXXXX format
   TICKET_NUMBER: /^TKT-\d{5}$/,
+
+  // MongoDB ObjectId: 24 hex characters
+  OBJECT_ID: /^[a-f\d]{24}$/i,
 };
 
 // PAGINATION
@@ -207,6 +377,7 @@ const Pagination = {
 // RESELLER SETTINGS
 const ResellerSettings = {
   MIN_WITHDRAWAL_AMOUNT: 50.0,
+  MAX_COMMISSION_PERCENT: 100,
   DEFAULT_COMMISSION_LOW: 2.0,
   DEFAULT_COMMISSION_MEDIUM: 5.0,
   DEFAULT_COMMISSION_HIGH: 10.0,
@@ -218,18 +389,49 @@ const OrderSettings = {
   RETRY_DELAY_MINUTES: 5,
 };
 
+// SYSTEM SETTINGS
+// Admin-editable switches stored in SystemSetting (see settings.service)
+// The default applies until an admin changes a setting
+const SystemSettingDefaults = {
+  // Inactive reseller's link: sell as a house sale instead of refusing
+  houseSaleFallback: false,
+  // Override commission to a seller's upline, as a % of the platform's
+  // profit on each paid order (0 turns a level off)
+  overrideCommissionPercent: 0, // Parent (level 1)
+  grandparentOverrideCommissionPercent: 0, // Grandparent (level 2)
+};
+
+// REPORT SETTINGS
+// Stats and analytics work in Ghana time
+const ReportSettings = {
+  TIMEZONE: "Africa/Accra",
+  DEFAULT_RANGE_DAYS: 30,
+  MAX_RANGE_DAYS: 366,
+};
+
 // EXPORT ALL CONSTANTS
 module.exports = {
   // Enums
   UserRole,
   UserStatus,
   OrderStatus,
+  OrderStatusTransitions,
+  StatusActor,
   PaymentStatus,
   Network,
   PricingMode,
+  CommissionType,
+  DiscountType,
   TicketStatus,
+  TicketStatusTransitions,
+  TicketAuthorType,
+  PaymentProvider,
+  DisputeStatus,
+  WebhookEventStatus,
   TransactionType,
   TransactionStatus,
+  WithdrawalStatus,
+  HouseSaleStage,
 
   // HTTP
   HttpStatus,
@@ -245,4 +447,6 @@ module.exports = {
   Pagination,
   ResellerSettings,
   OrderSettings,
+  ReportSettings,
+  SystemSettingDefaults,
 };
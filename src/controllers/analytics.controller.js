@@ -0,0 +1,50 @@
+// src/controllers/analytics.controller.js
+const analyticsService = require("../services/analytics.service");
+const {
+  successResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
+
+/**
+ * Get revenue report (admin)
+ * GET /api/v1/analytics/revenue
+ */
+const getRevenueReport = async (req, res, next) => {
+  try {
+    const report = await analyticsService.getRevenueReport(req.validatedQuery);
+
+    return successResponse(
+      res,
+      report,
+      "Revenue report retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get revenue by network, bundle or reseller (admin)
+ * GET /api/v1/analytics/revenue/:dimension
+ */
+const getRevenueBreakdown = async (req, res, next) => {
+  try {
+    const breakdown = await analyticsService.getRevenueBreakdown(
+      req.validatedParams.dimension,
+      req.validatedQuery,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(breakdown),
+      "Revenue breakdown retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRevenueReport,
+  getRevenueBreakdown,
+};
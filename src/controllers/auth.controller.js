@@ -18,13 +18,15 @@ const { HttpStatus } = require("../constants");
  */
 const register = async (req, res, next) => {
   try {
-    const { name, email, phone, password } = req.validatedData;
+    const { name, email, phone, password, uplineReferralCode } =
+      req.validatedData;
 
     const result = await authService.register({
       name,
       email,
       phone,
       password,
+      uplineReferralCode,
     });
 
     // Transform enum values to lowercase for frontend
@@ -0,0 +1,236 @@
+// BUNDLE CONTROLLER
+// Handles HTTP requests for the bundle catalog and bundle management
+
+const bundleService = require("../services/bundle.service");
+const {
+  successResponse,
+  createdResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
+
+/**
+ * Get bundle catalog
+ * GET /api/v1/bundles
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getCatalog = async (req, res, next) => {
+  try {
+    const { network, ref } = req.validatedQuery;
+
+    const catalog = await bundleService.getCatalog({
+      network,
+      referralCode: ref,
+    });
+
+    // Transform enum values to lowercase for frontend
+    const transformedCatalog = transformForFrontend(catalog);
+
+    return successResponse(
+      res,
+      transformedCatalog,
+      "Bundles retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single bundle from the catalog
+ * GET /api/v1/bundles/:id
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getBundle = async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+    const { ref } = req.validatedQuery;
+
+    const bundle = await bundleService.getCatalogBundle(id, {
+      referralCode: ref,
+    });
+
+    // Transform enum values to lowercase for frontend
+    const transformedBundle = transformForFrontend(bundle);
+
+    return successResponse(
+      res,
+      transformedBundle,
+      "Bundle retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get networks with active bundles
+ * GET /api/v1/bundles/networks
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getNetworks = async (req, res, next) => {
+  try {
+    const networks = await bundleService.getNetworks();
+
+    // Lowercase to match the network values in the catalog
+    return successResponse(
+      res,
+      networks.map((network) => network.toLowerCase()),
+      "Networks retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all bundles (including inactive)
+ * GET /api/v1/bundles/admin
+ * Admin only
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getAllBundles = async (req, res, next) => {
+  try {
+    const bundles = await bundleService.getAllBundles(req.validatedQuery);
+
+    // Transform enum values to lowercase for frontend
+    const transformedBundles = transformForFrontend(bundles);
+
+    return successResponse(
+      res,
+      transformedBundles,
+      "Bundles retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create bundle
+ * POST /api/v1/bundles
+ * Admin only
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const createBundle = async (req, res, next) => {
+  try {
+    const result = await bundleService.createBundle(req.validatedData);
+
+    // Transform enum values to lowercase for frontend
+    const transformedBundle = transformForFrontend(result.bundle.toJSON());
+
+    return createdResponse(res, transformedBundle, result.message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update bundle
+ * PUT /api/v1/bundles/:id
+ * Admin only
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const updateBundle = async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await bundleService.updateBundle(id, req.validatedData);
+
+    // Transform enum values to lowercase for frontend
+    const transformedBundle = transformForFrontend(result.bundle.toJSON());
+
+    return successResponse(res, transformedBundle, result.message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Activate bundle
+ * POST /api/v1/bundles/:id/activate
+ * Admin only
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const activateBundle = async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await bundleService.activateBundle(id);
+
+    // Transform enum values to lowercase for frontend
+    const transformedBundle = transformForFrontend(result.bundle.toJSON());
+
+    return successResponse(res, transformedBundle, result.message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate bundle
+ * POST /api/v1/bundles/:id/deactivate
+ * Admin only
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const deactivateBundle = async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await bundleService.deactivateBundle(id);
+
+    // Transform enum values to lowercase for frontend
+    const transformedBundle = transformForFrontend(result.bundle.toJSON());
+
+    return successResponse(res, transformedBundle, result.message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete bundle
+ * DELETE /api/v1/bundles/:id
+ * Admin only
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const deleteBundle = async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await bundleService.deleteBundle(id);
+
+    return successResponse(res, null, result.message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCatalog,
+  getBundle,
+  getNetworks,
+  getAllBundles,
+  createBundle,
+  updateBundle,
+  activateBundle,
+  deactivateBundle,
+  deleteBundle,
+};
@@ -1,7 +1,11 @@
 // src/controllers/order.controller.js
 const orderService = require("../services/order.service");
 const paymentService = require("../services/payment.service");
-const { successResponse } = require("../utils/response.util");
+const {
+  successResponse,
+  paginatedResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
 
 const createOrder = async (req, res, next) => {
   try {
@@ -16,11 +20,13 @@ const createOrder = async (req, res, next) => {
 
     // 1. Initiate Order
     const { order, email } = await orderService.initiateOrder({
-      bundleId: req.body.bundleId,
+      bundleId: req.validatedData.bundleId,
       // quantity: req.body.quantity, // Customer enters "6"
-      customerPhone: req.body.customerPhone,
-      customerEmail: req.body.email, // Pass email from body or user
+      customerPhone: req.validatedData.customerPhone,
+      customerEmail: req.validatedData.email, // Pass email from body or user
       referralCode: referralCode,
+      promoCode: req.validatedData.promoCode || undefined, // Optional discount code
+      paymentProvider: req.validatedData.paymentProvider, // Optional - defaults to PAYMENT_PROVIDER
     });
 
     // 2. Generate Payment Link
@@ -40,4 +46,149 @@ const createOrder = async (req, res, next) => {
   }
 };
 
-module.exports = { createOrder };
+/**
+ * Track order (customer)
+ * GET /api/v1/orders/track?orderNumber=ORD-123456789&customerPhone=0241234567
+ */
+const trackOrder = async (req, res, next) => {
+  try {
+    const tracking = await orderService.trackOrder(req.validatedQuery);
+
+    // Transform enum values to lowercase for frontend
+    return successResponse(
+      res,
+      transformForFrontend(tracking),
+      "Order retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List orders (admin)
+ * GET /api/v1/orders?status=processing&network=mtn&page=1&limit=20
+ */
+const getOrders = async (req, res, next) => {
+  try {
+    const { orders, total, page, limit } = await orderService.getOrders(
+      req.validatedQuery,
+    );
+
+    // Transform enum values to lowercase for frontend
+    const transformedOrders = orders.map((order) =>
+      transformForFrontend(order.toJSON()),
+    );
+
+    return paginatedResponse(
+      res,
+      transformedOrders,
+      page,
+      limit,
+      total,
+      "Orders retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get order details (admin)
+ * GET /api/v1/orders/:id
+ */
+const getOrderById = async (req, res, next) => {
+  try {
+    const order = await orderService.getOrderById(req.validatedParams.id);
+
+    return successResponse(
+      res,
+      transformForFrontend(order.toJSON()),
+      "Order retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update order status (admin)
+ * PATCH /api/v1/orders/:id/status
+ */
+const updateOrderStatus = async (req, res, next) => {
+  try {
+    const result = await orderService.updateOrderStatus(
+      req.validatedParams.id,
+      req.validatedData,
+      req.user,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(result.order.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund order, fully or partly (admin)
+ * POST /api/v1/orders/:id/refund
+ */
+const refundOrder = async (req, res, next) => {
+  try {
+    const result = await orderService.refundOrder(
+      req.validatedParams.id,
+      req.validatedData,
+      req.user,
+    );
+
+    return successResponse(
+      res,
+      {
+        order: transformForFrontend(result.order.toJSON()),
+        transaction: transformForFrontend(result.transaction.toJSON()),
+      },
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a payment held for review (admin)
+ * POST /api/v1/orders/:id/payment-review
+ */
+const resolvePaymentReview = async (req, res, next) => {
+  try {
+    const result = await orderService.resolvePaymentReview(
+      req.validatedParams.id,
+      req.validatedData,
+      req.user,
+    );
+
+    return successResponse(
+      res,
+      {
+        order: transformForFrontend(result.order.toJSON()),
+        transaction: transformForFrontend(result.transaction.toJSON()),
+      },
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createOrder,
+  trackOrder,
+  getOrders,
+  getOrderById,
+  updateOrderStatus,
+  refundOrder,
+  resolvePaymentReview,
+};
@@ -0,0 +1,113 @@
+// src/controllers/promo.controller.js
+const promoService = require("../services/promo.service");
+const {
+  successResponse,
+  createdResponse,
+  paginatedResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
+
+/**
+ * Get all promo codes (admin)
+ * GET /api/v1/promo-codes
+ */
+const getPromoCodes = async (req, res, next) => {
+  try {
+    const { promoCodes, total, page, limit } = await promoService.getPromoCodes(
+      req.validatedQuery,
+    );
+
+    return paginatedResponse(
+      res,
+      promoCodes.map((promo) => transformForFrontend(promo.toJSON())),
+      page,
+      limit,
+      total,
+      "Promo codes retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get promo code details and usage (admin)
+ * GET /api/v1/promo-codes/:id
+ */
+const getPromoCodeById = async (req, res, next) => {
+  try {
+    const promo = await promoService.getPromoCodeById(req.validatedParams.id);
+
+    return successResponse(
+      res,
+      transformForFrontend(promo),
+      "Promo code retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promo code (admin)
+ * POST /api/v1/promo-codes
+ */
+const createPromoCode = async (req, res, next) => {
+  try {
+    const result = await promoService.createPromoCode(
+      req.validatedData,
+      req.user,
+    );
+
+    return createdResponse(
+      res,
+      transformForFrontend(result.promoCode.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a promo code (admin)
+ * PUT /api/v1/promo-codes/:id
+ */
+const updatePromoCode = async (req, res, next) => {
+  try {
+    const result = await promoService.updatePromoCode(
+      req.validatedParams.id,
+      req.validatedData,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(result.promoCode.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an unused promo code (admin)
+ * DELETE /api/v1/promo-codes/:id
+ */
+const deletePromoCode = async (req, res, next) => {
+  try {
+    const result = await promoService.deletePromoCode(req.validatedParams.id);
+
+    return successResponse(res, null, result.message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+};
@@ -0,0 +1,323 @@
+// src/controllers/reseller.controller.js
+const walletService = require("../services/wallet.service");
+const analyticsService = require("../services/analytics.service");
+const pricingService = require("../services/pricing.service");
+const networkService = require("../services/network.service");
+const {
+  successResponse,
+  paginatedResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
+
+/**
+ * Send a wallet ledger page
+ */
+const sendLedger = (res, { entries, total, page, limit }) =>
+  paginatedResponse(
+    res,
+    entries.map((entry) => transformForFrontend(entry.toJSON())),
+    page,
+    limit,
+    total,
+    "Wallet ledger retrieved successfully",
+  );
+
+/**
+ * Send a downline page
+ */
+const sendDownline = (res, { upline, summary, downline, total, page, limit }) =>
+  paginatedResponse(
+    res,
+    transformForFrontend({ upline, summary, downline }),
+    page,
+    limit,
+    total,
+    "Downline retrieved successfully",
+  );
+
+/**
+ * Send an override earnings page
+ */
+const sendOverrides = (res, { summary, entries, total, page, limit }) =>
+  paginatedResponse(
+    res,
+    {
+      summary,
+      entries: entries.map((entry) => transformForFrontend(entry.toJSON())),
+    },
+    page,
+    limit,
+    total,
+    "Override earnings retrieved successfully",
+  );
+
+/**
+ * Get own wallet balance (reseller)
+ * GET /api/v1/resellers/me/wallet
+ */
+const getMyWallet = async (req, res, next) => {
+  try {
+    const wallet = await walletService.getBalance(req.user.reseller?.id);
+
+    return successResponse(res, wallet, "Wallet retrieved successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own wallet ledger (reseller)
+ * GET /api/v1/resellers/me/ledger
+ */
+const getMyLedger = async (req, res, next) => {
+  try {
+    const result = await walletService.getLedger(
+      req.user.reseller?.id,
+      req.validatedQuery,
+    );
+
+    return sendLedger(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own sales statistics (reseller)
+ * GET /api/v1/resellers/me/stats
+ */
+const getMyStats = async (req, res, next) => {
+  try {
+    const stats = await analyticsService.getResellerStats(
+      req.user.reseller?.id,
+      req.validatedQuery,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(stats),
+      "Statistics retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own pricing per bundle (reseller)
+ * GET /api/v1/resellers/me/pricing
+ */
+const getMyPricing = async (req, res, next) => {
+  try {
+    const pricing = await pricingService.getResellerPricing(
+      req.user.reseller?.id,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(pricing),
+      "Pricing retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update own pricing (reseller)
+ * PUT /api/v1/resellers/me/pricing
+ */
+const updateMyPricing = async (req, res, next) => {
+  try {
+    const result = await pricingService.updateResellerPricing(
+      req.user.reseller?.id,
+      req.validatedData,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(result.pricing),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own upline and downline (reseller)
+ * GET /api/v1/resellers/me/downline
+ */
+const getMyDownline = async (req, res, next) => {
+  try {
+    const result = await networkService.getDownline(
+      req.user.reseller?.id,
+      req.validatedQuery,
+    );
+
+    return sendDownline(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own override earnings (reseller)
+ * GET /api/v1/resellers/me/overrides
+ */
+const getMyOverrides = async (req, res, next) => {
+  try {
+    const result = await networkService.getOverrideEarnings(
+      req.user.reseller?.id,
+      req.validatedQuery,
+    );
+
+    return sendOverrides(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get any reseller's wallet balance (admin)
+ * GET /api/v1/resellers/:id/wallet
+ */
+const getResellerWallet = async (req, res, next) => {
+  try {
+    const wallet = await walletService.getBalance(req.validatedParams.id);
+
+    return successResponse(res, wallet, "Wallet retrieved successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get any reseller's wallet ledger (admin)
+ * GET /api/v1/resellers/:id/ledger
+ */
+const getResellerLedger = async (req, res, next) => {
+  try {
+    const result = await walletService.getLedger(
+      req.validatedParams.id,
+      req.validatedQuery,
+    );
+
+    return sendLedger(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get any reseller's sales statistics (admin)
+ * GET /api/v1/resellers/:id/stats
+ */
+const getResellerStats = async (req, res, next) => {
+  try {
+    const stats = await analyticsService.getResellerStats(
+      req.validatedParams.id,
+      req.validatedQuery,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(stats),
+      "Statistics retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get any reseller's pricing per bundle (admin)
+ * GET /api/v1/resellers/:id/pricing
+ */
+const getResellerPricing = async (req, res, next) => {
+  try {
+    const pricing = await pricingService.getResellerPricing(
+      req.validatedParams.id,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(pricing),
+      "Pricing retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update any reseller's pricing (admin)
+ * PUT /api/v1/resellers/:id/pricing
+ */
+const updateResellerPricing = async (req, res, next) => {
+  try {
+    const result = await pricingService.updateResellerPricing(
+      req.validatedParams.id,
+      req.validatedData,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(result.pricing),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get any reseller's upline and downline (admin)
+ * GET /api/v1/resellers/:id/downline
+ */
+const getResellerDownline = async (req, res, next) => {
+  try {
+    const result = await networkService.getDownline(
+      req.validatedParams.id,
+      req.validatedQuery,
+    );
+
+    return sendDownline(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get any reseller's override earnings (admin)
+ * GET /api/v1/resellers/:id/overrides
+ */
+const getResellerOverrides = async (req, res, next) => {
+  try {
+    const result = await networkService.getOverrideEarnings(
+      req.validatedParams.id,
+      req.validatedQuery,
+    );
+
+    return sendOverrides(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyWallet,
+  getMyLedger,
+  getMyStats,
+  getMyPricing,
+  updateMyPricing,
+  getMyDownline,
+  getMyOverrides,
+  getResellerWallet,
+  getResellerLedger,
+  getResellerStats,
+  getResellerPricing,
+  updateResellerPricing,
+  getResellerDownline,
+  getResellerOverrides,
+};
@@ -0,0 +1,39 @@
+// src/controllers/settings.controller.js
+const settingsService = require("../services/settings.service");
+const { successResponse } = require("../utils/response.util");
+
+/**
+ * Get system settings (admin)
+ * GET /api/v1/settings
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getSettings();
+
+    return successResponse(res, settings, "Settings retrieved successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update system settings (admin)
+ * PUT /api/v1/settings
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const result = await settingsService.updateSettings(
+      req.validatedData,
+      req.user,
+    );
+
+    return successResponse(res, result.settings, result.message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+};
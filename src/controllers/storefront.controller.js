@@ -0,0 +1,67 @@
+// src/controllers/storefront.controller.js
+const storefrontService = require("../services/storefront.service");
+const {
+  successResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
+
+/**
+ * Get a reseller's storefront (public)
+ * GET /api/v1/storefront/:referralCode
+ */
+const getStorefront = async (req, res, next) => {
+  try {
+    const storefront = await storefrontService.getStorefront(
+      req.validatedParams.referralCode,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(storefront),
+      "Storefront retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own storefront branding (reseller)
+ * GET /api/v1/resellers/me/storefront
+ */
+const getMyStorefront = async (req, res, next) => {
+  try {
+    const storefront = await storefrontService.getMyStorefront(req.user);
+
+    return successResponse(
+      res,
+      storefront,
+      "Storefront retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update own storefront branding (reseller)
+ * PUT /api/v1/resellers/me/storefront
+ */
+const updateMyStorefront = async (req, res, next) => {
+  try {
+    const result = await storefrontService.updateMyStorefront(
+      req.user,
+      req.validatedData,
+    );
+
+    return successResponse(res, result.storefront, result.message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStorefront,
+  getMyStorefront,
+  updateMyStorefront,
+};
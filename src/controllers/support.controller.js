@@ -0,0 +1,187 @@
+// src/controllers/support.controller.js
+const supportService = require("../services/support.service");
+const {
+  successResponse,
+  createdResponse,
+  paginatedResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
+
+/**
+ * Open a support ticket (customer)
+ * POST /api/v1/support/tickets
+ */
+const createTicket = async (req, res, next) => {
+  try {
+    const result = await supportService.createTicket(req.validatedData);
+
+    return createdResponse(
+      res,
+      transformForFrontend(result.ticket),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a ticket and its thread (customer)
+ * GET /api/v1/support/tickets/:ticketNumber?customerPhone=0241234567
+ */
+const getCustomerTicket = async (req, res, next) => {
+  try {
+    const ticket = await supportService.getCustomerTicket(
+      req.validatedParams.ticketNumber,
+      req.validatedQuery.customerPhone,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(ticket),
+      "Support ticket retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reply to a ticket (customer)
+ * POST /api/v1/support/tickets/:ticketNumber/messages
+ */
+const addCustomerMessage = async (req, res, next) => {
+  try {
+    const result = await supportService.addCustomerMessage(
+      req.validatedParams.ticketNumber,
+      req.validatedData,
+    );
+
+    return createdResponse(
+      res,
+      transformForFrontend(result.ticket),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List tickets (admin)
+ * GET /api/v1/support/tickets?status=open&assignedTo=me&page=1&limit=20
+ */
+const getTickets = async (req, res, next) => {
+  try {
+    const { tickets, total, page, limit } = await supportService.getTickets(
+      req.validatedQuery,
+      req.user,
+    );
+
+    return paginatedResponse(
+      res,
+      tickets.map((ticket) => transformForFrontend(ticket.toJSON())),
+      page,
+      limit,
+      total,
+      "Support tickets retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get ticket details and thread (admin)
+ * GET /api/v1/support/tickets/:id
+ */
+const getTicketById = async (req, res, next) => {
+  try {
+    const ticket = await supportService.getTicketById(req.validatedParams.id);
+
+    return successResponse(
+      res,
+      transformForFrontend(ticket.toJSON()),
+      "Support ticket retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a ticket (admin)
+ * POST /api/v1/support/tickets/:id/assign
+ */
+const assignTicket = async (req, res, next) => {
+  try {
+    const result = await supportService.assignTicket(
+      req.validatedParams.id,
+      req.validatedData,
+      req.user,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(result.ticket.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reply to a ticket (admin)
+ * POST /api/v1/support/tickets/:id/messages
+ */
+const addAdminMessage = async (req, res, next) => {
+  try {
+    const result = await supportService.addAdminMessage(
+      req.validatedParams.id,
+      req.validatedData,
+      req.user,
+    );
+
+    return createdResponse(
+      res,
+      transformForFrontend(result.ticket.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change ticket status - resolve, close, reopen (admin)
+ * PATCH /api/v1/support/tickets/:id/status
+ */
+const updateTicketStatus = async (req, res, next) => {
+  try {
+    const result = await supportService.updateTicketStatus(
+      req.validatedParams.id,
+      req.validatedData,
+      req.user,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(result.ticket.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createTicket,
+  getCustomerTicket,
+  addCustomerMessage,
+  getTickets,
+  getTicketById,
+  assignTicket,
+  addAdminMessage,
+  updateTicketStatus,
+};
@@ -1,32 +1,41 @@
 // src/controllers/webhook.controller.js
-const crypto = require("crypto");
-const { config } = require("../config/env");
-const { paymentQueue } = require("../services/queues/payment.queue"); // <--- Import Payment Queue
+const webhookService = require("../services/webhook.service");
+const { PaymentProvider } = require("../constants");
+const {
+  successResponse,
+  paginatedResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
 
-const handlePaystackWebhook = async (req, res) => {
+/**
+ * Build the webhook receiver for a payment provider
+ * POST /api/v1/webhooks/<provider>
+ *
+ * @param {string} providerName - Payment provider (see services/payments)
+ * @returns {Function} Express handler
+ */
+const handleProviderWebhook = (providerName) => async (req, res) => {
   try {
-    // 1. Validate Signature (Security FIRST)
-    // We validate here so we don't fill Redis with fake requests
-    const hash = crypto
-      .createHmac("sha512", config.payment.secretKey)
-      .update(JSON.stringify(req.body))
-      .digest("hex");
-
-    if (hash !== req.headers["x-paystack-signature"]) {
+    // 1. Store + Validate Signature (Security FIRST)
+    // The signature is checked against the raw bytes the provider signed,
+    // and only signed events reach Redis. Repeats are not queued again.
+    const result = await webhookService.receiveEvent(providerName, {
+      rawBody: req.rawBody,
+      payload: req.body,
+      headers: req.headers,
+    });
+
+    if (!result.accepted) {
       return res.status(400).send("Invalid signature");
     }
 
-    // 2. Push to Redis (Fire and Forget)
-    // We add the entire body to the queue
-    await paymentQueue.add(req.body, {
-      attempts: 5, // Retry 5 times if DB is down
-      backoff: 5000, // Wait 5s between retries
-      removeOnComplete: true,
-    });
-
-    console.log(`📥 Webhook queued: ${req.body.data?.reference}`);
+    console.log(
+      result.duplicate
+        ? `♻️ Duplicate webhook ignored: ${result.event.eventId}`
+        : `📥 Webhook queued: ${result.event.eventId}`,
+    );
 
-    // 3. Instant Response
+    // 2. Instant Response
     res.sendStatus(200);
   } catch (error) {
     console.error("Webhook Receiver Error:", error);
@@ -34,4 +43,70 @@ const handlePaystackWebhook = async (req, res) => {
   }
 };
 
-module.exports = { handlePaystackWebhook };
+const handlePaystackWebhook = handleProviderWebhook(PaymentProvider.PAYSTACK);
+
+/**
+ * List stored webhook events (admin)
+ * GET /api/v1/webhooks/events
+ */
+const getEvents = async (req, res, next) => {
+  try {
+    const { events, total, page, limit } = await webhookService.getEvents(
+      req.validatedQuery,
+    );
+
+    return paginatedResponse(
+      res,
+      events.map((event) => transformForFrontend(event.toJSON())),
+      page,
+      limit,
+      total,
+      "Webhook events retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get stored webhook event with raw body (admin)
+ * GET /api/v1/webhooks/events/:id
+ */
+const getEventById = async (req, res, next) => {
+  try {
+    const event = await webhookService.getEventById(req.validatedParams.id);
+
+    return successResponse(
+      res,
+      transformForFrontend(event.toJSON()),
+      "Webhook event retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-process stored webhook event (admin)
+ * POST /api/v1/webhooks/events/:id/replay
+ */
+const replayEvent = async (req, res, next) => {
+  try {
+    const result = await webhookService.replayEvent(req.validatedParams.id);
+
+    return successResponse(
+      res,
+      transformForFrontend(result.event.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  handlePaystackWebhook,
+  getEvents,
+  getEventById,
+  replayEvent,
+};
@@ -0,0 +1,145 @@
+// src/controllers/withdrawal.controller.js
+const withdrawalService = require("../services/withdrawal.service");
+const {
+  successResponse,
+  createdResponse,
+  paginatedResponse,
+  transformForFrontend,
+} = require("../utils/response.util");
+
+/**
+ * Send a withdrawal list page
+ */
+const sendWithdrawals = (res, { withdrawals, total, page, limit }) =>
+  paginatedResponse(
+    res,
+    withdrawals.map((withdrawal) => transformForFrontend(withdrawal.toJSON())),
+    page,
+    limit,
+    total,
+    "Withdrawals retrieved successfully",
+  );
+
+/**
+ * Request a withdrawal (reseller)
+ * POST /api/v1/withdrawals
+ */
+const requestWithdrawal = async (req, res, next) => {
+  try {
+    const result = await withdrawalService.requestWithdrawal(
+      req.user,
+      req.validatedData,
+    );
+
+    return createdResponse(
+      res,
+      transformForFrontend(result.withdrawal.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own withdrawals (reseller)
+ * GET /api/v1/withdrawals/me
+ */
+const getMyWithdrawals = async (req, res, next) => {
+  try {
+    const result = await withdrawalService.getMyWithdrawals(
+      req.user,
+      req.validatedQuery,
+    );
+
+    return sendWithdrawals(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all withdrawals (admin)
+ * GET /api/v1/withdrawals
+ */
+const getWithdrawals = async (req, res, next) => {
+  try {
+    const result = await withdrawalService.getWithdrawals(req.validatedQuery);
+
+    return sendWithdrawals(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get withdrawal details (admin)
+ * GET /api/v1/withdrawals/:id
+ */
+const getWithdrawalById = async (req, res, next) => {
+  try {
+    const withdrawal = await withdrawalService.getWithdrawalById(
+      req.validatedParams.id,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(withdrawal.toJSON()),
+      "Withdrawal retrieved successfully",
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a withdrawal and send the payout (admin)
+ * POST /api/v1/withdrawals/:id/approve
+ */
+const approveWithdrawal = async (req, res, next) => {
+  try {
+    const result = await withdrawalService.approveWithdrawal(
+      req.validatedParams.id,
+      req.user,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(result.withdrawal.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a withdrawal (admin)
+ * POST /api/v1/withdrawals/:id/reject
+ */
+const rejectWithdrawal = async (req, res, next) => {
+  try {
+    const result = await withdrawalService.rejectWithdrawal(
+      req.validatedParams.id,
+      req.validatedData,
+      req.user,
+    );
+
+    return successResponse(
+      res,
+      transformForFrontend(result.withdrawal.toJSON()),
+      result.message,
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requestWithdrawal,
+  getMyWithdrawals,
+  getWithdrawals,
+  getWithdrawalById,
+  approveWithdrawal,
+  rejectWithdrawal,
+};
@@ -8,6 +8,9 @@ const {
   disconnectDatabase,
   testConnection,
 } = require("./config/database");
+const {
+  scheduleMaintenanceJobs,
+} = require("./services/queues/maintenance.queue");
 
 // VALIDATE CONFIGURATION
 console.log("🔍 Validating configuration...");
@@ -32,6 +35,9 @@ const startServer = async () => {
 
     console.log("✅ Database connected successfully");
 
+    // Background jobs (unpaid order expiry, payment reconciliation)
+    await scheduleMaintenanceJobs();
+
     // START HTTP SERVER
     const PORT = config.port || 5000;
 
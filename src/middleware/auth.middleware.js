@@ -10,7 +10,30 @@ const {
   forbiddenResponse,
 } = require("../utils/response.util");
 const { ErrorMessages, UserRole } = require("../constants");
-const { prisma } = require("../config/database");
+const { User } = require("../models");
+
+/**
+ * Shape the authenticated user attached to req.user
+ * IDs are plain strings so they compare directly with route params
+ *
+ * @param {Object} user - User document with reseller populated
+ * @returns {Object} Request user
+ */
+const toRequestUser = (user) => ({
+  id: user._id.toString(),
+  email: user.email,
+  name: user.name,
+  phone: user.phone,
+  role: user.role,
+  status: user.status,
+  reseller: user.reseller
+    ? {
+        id: user.reseller._id.toString(),
+        resellerId: user.reseller.resellerId,
+        referralCode: user.reseller.referralCode,
+      }
+    : null,
+});
 
 /**
  * Authenticate middleware
@@ -39,24 +62,7 @@ const authenticate = async (req, res, next) => {
     }
 
     // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        phone: true,
-        role: true,
-        status: true,
-        reseller: {
-          select: {
-            id: true,
-            resellerId: true,
-            referralCode: true,
-          },
-        },
-      },
-    });
+    const user = await User.findById(decoded.userId).populate("reseller");
 
     if (!user) {
       return unauthorizedResponse(res, ErrorMessages.USER_NOT_FOUND);
@@ -77,7 +83,7 @@ const authenticate = async (req, res, next) => {
     }
 
     // Attach user to request
-    req.user = user;
+    req.user = toRequestUser(user);
     next();
   } catch (error) {
     console.error("Authentication error:", error);
@@ -154,19 +160,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-        status: true,
-      },
-    });
+    const user = await User.findById(decoded.userId).populate("reseller");
 
     if (user && user.status === "ACTIVE") {
-      req.user = user;
+      req.user = toRequestUser(user);
     }
 
     next();
@@ -27,7 +27,7 @@ const errorHandler = (err, req, res, next) => {
   let errors = null;
 
   // PRISMA ERRORS
-  if (err.code && err.code.startsWith("P")) {
+  if (typeof err.code === "string" && err.code.startsWith("P")) {
     // Prisma error codes start with 'P'
     message = formatPrismaError(err);
 
@@ -52,6 +52,26 @@ const errorHandler = (err, req, res, next) => {
     }
   }
 
+  // MONGOOSE ERRORS
+  else if (err.name === "ValidationError" && err.errors) {
+    // Schema validation failed
+    statusCode = HttpStatus.UNPROCESSABLE_ENTITY;
+    message = ErrorMessages.VALIDATION_ERROR;
+    errors = Object.values(err.errors).map((e) => ({
+      field: e.path,
+      message: e.message,
+    }));
+  } else if (err.name === "CastError") {
+    // Malformed ObjectId or value of the wrong type
+    statusCode = HttpStatus.BAD_REQUEST;
+    message = `Invalid value for ${err.path}`;
+  } else if (err.code === 11000) {
+    // Duplicate key
+    statusCode = HttpStatus.CONFLICT;
+    const field = Object.keys(err.keyValue || {})[0] || "field";
+    message = `A record with this ${field} already exists`;
+  }
+
   // ZOD VALIDATION ERRORS
   else if (err.name === "ZodError") {
     statusCode = HttpStatus.UNPROCESSABLE_ENTITY;
@@ -84,6 +84,25 @@ const orderLimiter = rateLimit({
   },
 });
 
+/**
+ * Rate limiter for public order tracking
+ * Slows down guessing of order number / phone pairs
+ */
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 lookups per 15 minutes
+  message: "Too many tracking requests. Please try again later",
+  handler: (req, res) => {
+    return rateLimitResponse(
+      res,
+      "Too many order tracking requests. Please try again in 15 minutes.",
+    );
+  },
+  skip: (req) => {
+    return config.isDevelopment;
+  },
+});
+
 /**
  * Rate limiter for support ticket creation
  */
@@ -194,6 +213,7 @@ module.exports = {
   authLimiter,
   passwordResetLimiter,
   orderLimiter,
+  trackingLimiter,
   supportLimiter,
   strictLimiter,
   createRateLimiter,
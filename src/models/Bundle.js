@@ -4,7 +4,7 @@
 // Mongoose model for Bundle collection
 
 const mongoose = require('mongoose');
-const { Network } = require('../constants');
+const { Network, HttpStatus } = require('../constants');
 
 const bundleSchema = new mongoose.Schema(
   {
@@ -47,6 +47,22 @@ const bundleSchema = new mongoose.Schema(
       get: (value) => (value ? parseFloat(value.toString()) : 0),
     },
 
+    // Commission bounds for resellers selling this bundle (GHS, flat)
+    // maxCommission null means no upper limit
+    minCommission: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      min: [0, 'Minimum commission cannot be negative'],
+      get: (value) => (value ? parseFloat(value.toString()) : 0),
+    },
+
+    maxCommission: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      min: [0, 'Maximum commission cannot be negative'],
+      get: (value) => (value ? parseFloat(value.toString()) : null),
+    },
+
     active: {
       type: Boolean,
       default: true,
@@ -139,8 +155,20 @@ bundleSchema.methods.deactivate = async function () {
 };
 
 /**
- * Get selling price for preset commission
- * @param {number} commission - Commission percentage
+ * Commission bounds for resellers
+ * @returns {Object} { min, max } - max is null when there is no upper limit
+ */
+bundleSchema.methods.getCommissionBounds = function () {
+  const { minCommission, maxCommission } = this;
+  return {
+    min: minCommission != null ? parseFloat(minCommission.toString()) : 0,
+    max: maxCommission != null ? parseFloat(maxCommission.toString()) : null,
+  };
+};
+
+/**
+ * Get selling price for a commission
+ * @param {number} commission - Commission in GHS (percentages are resolved by pricing.service)
  * @returns {number}
  */
 bundleSchema.methods.getSellingPrice = function (commission) {
@@ -223,6 +251,7 @@ bundleSchema.statics.getCountByNetwork = async function () {
  * Pre-save middleware
  * - Normalize network to uppercase
  * - Validate basePrice >= costPrice
+ * - Validate minCommission <= maxCommission
  */
 bundleSchema.pre('save', function (next) {
   // Normalize network
@@ -236,7 +265,20 @@ bundleSchema.pre('save', function (next) {
     const base = parseFloat(this.basePrice.toString());
 
     if (base < cost) {
-      return next(new Error('Base price must be greater than or equal to cost price'));
+      const error = new Error('Base price must be greater than or equal to cost price');
+      error.statusCode = HttpStatus.BAD_REQUEST;
+      return next(error);
+    }
+  }
+
+  // Validate minCommission <= maxCommission
+  if (this.isModified('minCommission') || this.isModified('maxCommission')) {
+    const { min, max } = this.getCommissionBounds();
+
+    if (max !== null && max < min) {
+      const error = new Error('Maximum commission must be greater than or equal to minimum');
+      error.statusCode = HttpStatus.BAD_REQUEST;
+      return next(error);
     }
   }
 
@@ -4,7 +4,24 @@
 // Mongoose model for Order collection
 
 const mongoose = require('mongoose');
-const { Network, OrderStatus, PaymentStatus } = require('../constants');
+const {
+  Network,
+  OrderStatus,
+  OrderStatusTransitions,
+  PaymentStatus,
+  PaymentProvider,
+  CommissionType,
+  StatusActor,
+  DisputeStatus,
+  HouseSaleStage,
+  DiscountType,
+  OrderSettings,
+  ErrorMessages,
+  HttpStatus,
+} = require('../constants');
+
+// Statuses an order can only enter once the customer has paid
+const PAYMENT_REQUIRED_STATUSES = [OrderStatus.PROCESSING, OrderStatus.REFUNDED];
 
 const orderSchema = new mongoose.Schema(
   {
@@ -80,12 +97,72 @@ const orderSchema = new mongoose.Schema(
       get: (value) => (value ? parseFloat(value.toString()) : 0),
     },
 
+    // How the commission was worked out; commissionRate is the % for PERCENT
+    commissionType: {
+      type: String,
+      enum: {
+        values: Object.values(CommissionType),
+        message: 'Invalid commission type',
+      },
+      default: CommissionType.FLAT,
+    },
+
+    commissionRate: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      get: (value) => (value ? parseFloat(value.toString()) : null),
+    },
+
     profit: {
       type: mongoose.Schema.Types.Decimal128,
       required: [true, 'Profit is required'],
       get: (value) => (value ? parseFloat(value.toString()) : 0),
     },
 
+    // Override commission paid to the seller's upline when the order was
+    // paid - taken out of profit (see accounting.service.recordOverrides)
+    overrideCommission: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      min: [0, 'Override commission cannot be negative'],
+      get: (value) => (value ? parseFloat(value.toString()) : 0),
+    },
+
+    overrides: [
+      new mongoose.Schema(
+        {
+          resellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reseller', required: true },
+          level: { type: Number, required: true, min: 1 }, // 1 parent, 2 grandparent
+          rate: { type: Number, required: true }, // % of profit
+          amount: { type: Number, required: true }, // GHS
+        },
+        { _id: false }
+      ),
+    ],
+
+    // Promo code used at checkout. The discount comes off the selling price
+    // and out of the platform profit (see services/promo.service)
+    promo: {
+      type: new mongoose.Schema(
+        {
+          promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', required: true },
+          code: { type: String, required: true },
+          discountType: {
+            type: String,
+            enum: {
+              values: Object.values(DiscountType),
+              message: 'Invalid discount type',
+            },
+            required: true,
+          },
+          discountValue: { type: Number, required: true }, // % or GHS, as on the code
+          discount: { type: Number, required: true }, // GHS taken off this order
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
     status: {
       type: String,
       enum: {
@@ -108,6 +185,16 @@ const orderSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Gateway the customer pays through (see services/payments)
+    paymentProvider: {
+      type: String,
+      enum: {
+        values: Object.values(PaymentProvider),
+        message: 'Invalid payment provider',
+      },
+      default: PaymentProvider.PAYSTACK,
+    },
+
     paymentReference: {
       type: String,
       default: null,
@@ -118,6 +205,20 @@ const orderSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Total refunded so far (partial refunds add up)
+    refundedAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0,
+      min: [0, 'Refunded amount cannot be negative'],
+      get: (value) => (value ? parseFloat(value.toString()) : 0),
+    },
+
+    // Set when payment.queue credits the reseller - refunds only reverse credited orders
+    commissionCreditedAt: {
+      type: Date,
+      default: null,
+    },
+
     failureReason: {
       type: String,
       default: null,
@@ -128,13 +229,81 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
       min: [0, 'Delivery attempts cannot be negative'],
-      max: [3, 'Maximum delivery attempts is 3'],
+      max: [
+        OrderSettings.MAX_DELIVERY_ATTEMPTS,
+        `Maximum delivery attempts is ${OrderSettings.MAX_DELIVERY_ATTEMPTS}`,
+      ],
+    },
+
+    // Provider that delivered the bundle (see services/fulfilment)
+    fulfilmentProvider: {
+      type: String,
+      default: null,
+    },
+
+    fulfilmentReference: {
+      type: String,
+      default: null,
     },
 
     deliveredAt: {
       type: Date,
       default: null,
     },
+
+    // Chargeback raised by the customer's bank (null if none)
+    dispute: {
+      type: new mongoose.Schema(
+        {
+          providerDisputeId: { type: String, required: true },
+          status: {
+            type: String,
+            enum: {
+              values: Object.values(DisputeStatus),
+              message: 'Invalid dispute status',
+            },
+            default: DisputeStatus.OPEN,
+          },
+          category: { type: String, default: null }, // e.g. chargeback, fraud
+          providerStatus: { type: String, default: null }, // Paystack's own status
+          resolution: { type: String, default: null }, // e.g. merchant-accepted, declined
+          amount: { type: Number, default: null }, // GHS
+          dueAt: { type: Date, default: null },
+          openedAt: { type: Date, default: Date.now },
+          resolvedAt: { type: Date, default: null },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    // Set when an inactive reseller's sale went to the house instead
+    // (resellerId is then null - see services/eligibility.service)
+    houseSale: {
+      type: new mongoose.Schema(
+        {
+          resellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reseller', required: true },
+          reason: { type: String, required: true },
+          stage: {
+            type: String,
+            enum: {
+              values: Object.values(HouseSaleStage),
+              message: 'Invalid house sale stage',
+            },
+            required: true,
+          },
+          convertedAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    // Set when the payment window ran out (see order.service.expireUnpaidOrders)
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -156,6 +325,9 @@ orderSchema.index({ bundleId: 1 });
 orderSchema.index({ network: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ status: 1, paymentStatus: 1 });
+orderSchema.index({ status: 1, deliveredAt: 1 }); // Revenue reports
+orderSchema.index({ 'dispute.status': 1 }, { sparse: true });
+orderSchema.index({ 'promo.promoCodeId': 1, customerPhone: 1 }, { sparse: true });
 
 // ===================================
 // VIRTUALS
@@ -221,22 +393,129 @@ orderSchema.methods.isPaid = function () {
   return this.paymentStatus === PaymentStatus.PAID;
 };
 
-orderSchema.methods.markAsProcessing = async function () {
-  this.status = OrderStatus.PROCESSING;
-  return await this.save();
+/**
+ * Explain why the order cannot move to a status
+ * @param {string} status - Target status
+ * @returns {string|null} Reason, or null if the move is legal
+ */
+orderSchema.methods.getTransitionError = function (status) {
+  const allowed = OrderStatusTransitions[this.status] || [];
+
+  if (!allowed.includes(status)) {
+    const options = allowed.length ? allowed.join(', ') : 'none (final status)';
+    return `${ErrorMessages.INVALID_STATUS_TRANSITION}: order ${this.orderNumber} cannot move from ${this.status} to ${status}. Allowed: ${options}`;
+  }
+
+  if (
+    PAYMENT_REQUIRED_STATUSES.includes(status) &&
+    ![PaymentStatus.PAID, PaymentStatus.REFUNDED].includes(this.paymentStatus)
+  ) {
+    return `${ErrorMessages.INVALID_STATUS_TRANSITION}: order ${this.orderNumber} must be paid before it can move to ${status}`;
+  }
+
+  return null;
+};
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return this.getTransitionError(status) === null;
+};
+
+/**
+ * Throw a 409 error if the order cannot move to a status
+ * @param {string} status - Target status
+ */
+orderSchema.methods.assertCanTransitionTo = function (status) {
+  const message = this.getTransitionError(status);
+
+  if (message) {
+    const error = new Error(message);
+    error.statusCode = HttpStatus.CONFLICT;
+    throw error;
+  }
+};
+
+/**
+ * Move order to a new status and record it in OrderStatusHistory
+ * This is the only place Order.status should change
+ * Both writes use the order's session, if it was loaded with one
+ * @param {string} status - Target status
+ * @param {Object} options - History details
+ * @param {string} options.notes - Note for the history entry
+ * @param {string} options.changedById - User who made the change (null for system)
+ * @param {string} options.changedByType - StatusActor (defaults to SYSTEM)
+ * @returns {Promise<Order>}
+ */
+orderSchema.methods.transitionTo = async function (
+  status,
+  { notes = null, changedById = null, changedByType = StatusActor.SYSTEM } = {}
+) {
+  this.assertCanTransitionTo(status);
+
+  const previousStatus = this.status;
+  this.status = status;
+  await this.save();
+
+  await mongoose.model('OrderStatusHistory').create(
+    [
+      {
+        orderId: this._id,
+        status,
+        previousStatus,
+        notes,
+        changedById,
+        changedByType,
+      },
+    ],
+    { session: this.$session() }
+  );
+
+  return this;
+};
+
+/**
+ * Record a history note without changing status
+ * For events admins must see on the timeline (e.g. payment after expiry)
+ * @param {string} notes - Note for the history entry
+ * @param {Object} options - changedById / changedByType, as in transitionTo
+ * @returns {Promise<Object>} History entry
+ */
+orderSchema.methods.addStatusNote = async function (
+  notes,
+  { changedById = null, changedByType = StatusActor.SYSTEM } = {}
+) {
+  const [entry] = await mongoose.model('OrderStatusHistory').create(
+    [
+      {
+        orderId: this._id,
+        status: this.status,
+        previousStatus: this.status,
+        notes,
+        changedById,
+        changedByType,
+      },
+    ],
+    { session: this.$session() }
+  );
+  return entry;
+};
+
+orderSchema.methods.markAsProcessing = async function (options = {}) {
+  return await this.transitionTo(OrderStatus.PROCESSING, options);
 };
 
-orderSchema.methods.markAsDelivered = async function () {
-  this.status = OrderStatus.DELIVERED;
+orderSchema.methods.markAsDelivered = async function (options = {}) {
+  this.assertCanTransitionTo(OrderStatus.DELIVERED);
   this.deliveredAt = new Date();
-  return await this.save();
+  return await this.transitionTo(OrderStatus.DELIVERED, options);
 };
 
-orderSchema.methods.markAsFailed = async function (reason) {
-  this.status = OrderStatus.FAILED;
+orderSchema.methods.markAsFailed = async function (reason, options = {}) {
+  this.assertCanTransitionTo(OrderStatus.FAILED);
   this.failureReason = reason;
-  this.deliveryAttempts += 1;
-  return await this.save();
+  return await this.transitionTo(OrderStatus.FAILED, {
+    ...options,
+    notes: options.notes || reason,
+  });
 };
 
 orderSchema.methods.markAsPaid = async function (reference) {
@@ -245,8 +524,22 @@ orderSchema.methods.markAsPaid = async function (reference) {
   return await this.save();
 };
 
+orderSchema.methods.isExpired = function () {
+  return Boolean(this.expiredAt);
+};
+
+orderSchema.methods.getRefundableAmount = function () {
+  const paid = parseFloat(this.sellingPrice.toString());
+  const refunded = parseFloat(this.refundedAmount.toString());
+  return Math.round((paid - refunded) * 100) / 100;
+};
+
+orderSchema.methods.hasOpenDispute = function () {
+  return Boolean(this.dispute) && this.dispute.status === DisputeStatus.OPEN;
+};
+
 orderSchema.methods.canRetry = function () {
-  return this.deliveryAttempts < 3;
+  return this.deliveryAttempts < OrderSettings.MAX_DELIVERY_ATTEMPTS;
 };
 
 // ===================================
@@ -275,9 +568,46 @@ orderSchema.statics.findPending = function () {
   }).sort({ createdAt: -1 });
 };
 
+orderSchema.statics.findExpiredUnpaid = function (createdBefore) {
+  return this.find({
+    status: OrderStatus.ACCEPTED,
+    paymentStatus: PaymentStatus.PENDING,
+    createdAt: { $lt: createdBefore },
+  }).sort({ createdAt: 1 });
+};
+
+/**
+ * Expire an unpaid order: payment FAILED and order FAILED
+ * The order is claimed atomically, so a payment landing at the same moment wins
+ * @param {string} orderId - Order ID
+ * @param {number} expiryMinutes - Payment window that was missed
+ * @returns {Promise<Order|null>} Expired order, or null if it was paid meanwhile
+ */
+orderSchema.statics.expireUnpaid = async function (orderId, expiryMinutes) {
+  const reason = `Payment not received within ${expiryMinutes} minutes`;
+
+  const order = await this.findOneAndUpdate(
+    { _id: orderId, status: OrderStatus.ACCEPTED, paymentStatus: PaymentStatus.PENDING },
+    {
+      $set: {
+        paymentStatus: PaymentStatus.FAILED,
+        expiredAt: new Date(),
+        failureReason: reason,
+      },
+    },
+    { new: true }
+  );
+
+  if (!order) return null;
+
+  return await order.transitionTo(OrderStatus.FAILED, { notes: `Expired: ${reason}` });
+};
+
 orderSchema.statics.getNextOrderNumber = async function () {
   const timestamp = Date.now().toString().slice(-6);
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  const random = Math.floor(Math.random() * 1000)
+    .toString()
+    .padStart(3, '0');
   return `ORD-${timestamp}${random}`;
 };
 
@@ -4,7 +4,7 @@
 // Mongoose model for OrderStatusHistory collection
 
 const mongoose = require('mongoose');
-const { OrderStatus } = require('../constants');
+const { OrderStatus, StatusActor } = require('../constants');
 
 const orderStatusHistorySchema = new mongoose.Schema(
   {
@@ -24,12 +24,36 @@ const orderStatusHistorySchema = new mongoose.Schema(
       required: [true, 'Status is required'],
     },
 
+    previousStatus: {
+      type: String,
+      enum: {
+        values: [...Object.values(OrderStatus), null],
+        message: 'Invalid order status',
+      },
+      default: null,
+    },
+
     notes: {
       type: String,
       default: null,
       maxlength: [500, 'Notes must not exceed 500 characters'],
     },
 
+    changedByType: {
+      type: String,
+      enum: {
+        values: Object.values(StatusActor),
+        message: 'Changed by type must be SYSTEM or ADMIN',
+      },
+      default: StatusActor.SYSTEM,
+    },
+
+    changedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
     createdAt: {
       type: Date,
       default: Date.now,
@@ -58,6 +82,13 @@ orderStatusHistorySchema.virtual('order', {
   justOne: true,
 });
 
+orderStatusHistorySchema.virtual('changedBy', {
+  ref: 'User',
+  localField: 'changedById',
+  foreignField: '_id',
+  justOne: true,
+});
+
 // ===================================
 // STATIC METHODS
 // ===================================
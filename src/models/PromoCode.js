@@ -0,0 +1,255 @@
+// ===================================
+// PROMO CODE MODEL
+// ===================================
+// Mongoose model for PromoCode collection
+// Discounts customers enter at checkout (see services/promo.service)
+
+const mongoose = require('mongoose');
+const { Network, DiscountType, HttpStatus } = require('../constants');
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Promo code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      minlength: [3, 'Promo code must be at least 3 characters'],
+      maxlength: [20, 'Promo code must not exceed 20 characters'],
+      match: [/^[A-Z0-9_-]+$/, 'Promo code may only contain letters, numbers, _ and -'],
+    },
+
+    description: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: [200, 'Description must not exceed 200 characters'],
+    },
+
+    // PERCENT: discountValue is a % of the price; FIXED: GHS off
+    discountType: {
+      type: String,
+      required: [true, 'Discount type is required'],
+      enum: {
+        values: Object.values(DiscountType),
+        message: 'Discount type must be PERCENT or FIXED',
+      },
+    },
+
+    discountValue: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, 'Discount value is required'],
+      min: [0.01, 'Discount value must be at least 0.01'],
+      get: (value) => (value ? parseFloat(value.toString()) : 0),
+    },
+
+    // Most a PERCENT discount takes off one order (GHS); null means no cap
+    maxDiscount: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: null,
+      min: [0.01, 'Maximum discount must be at least 0.01'],
+      get: (value) => (value ? parseFloat(value.toString()) : null),
+    },
+
+    // Where the code works - an empty list means every network / bundle
+    networks: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: Object.values(Network),
+            message: 'Network must be MTN, TELECEL, or AT',
+          },
+        },
+      ],
+      default: [],
+    },
+
+    bundleIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Bundle' }],
+      default: [],
+    },
+
+    // Only on this reseller's link; null means on every link (global)
+    resellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reseller',
+      default: null,
+    },
+
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // null means no end date
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Usage caps - null means unlimited
+    maxUses: {
+      type: Number,
+      default: null,
+      min: [1, 'Maximum uses must be at least 1'],
+    },
+
+    maxUsesPerPhone: {
+      type: Number,
+      default: null,
+      min: [1, 'Maximum uses per phone must be at least 1'],
+    },
+
+    // Orders holding the code: taken at checkout, given back when the
+    // payment never arrives
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Used count cannot be negative'],
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
+  }
+);
+
+// ===================================
+// INDEXES
+// ===================================
+
+promoCodeSchema.index({ active: 1, endsAt: 1 });
+promoCodeSchema.index({ resellerId: 1 });
+promoCodeSchema.index({ createdAt: -1 });
+
+// ===================================
+// VIRTUALS
+// ===================================
+
+promoCodeSchema.virtual('reseller', {
+  ref: 'Reseller',
+  localField: 'resellerId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+promoCodeSchema.virtual('createdBy', {
+  ref: 'User',
+  localField: 'createdById',
+  foreignField: '_id',
+  justOne: true,
+});
+
+// ===================================
+// INSTANCE METHODS
+// ===================================
+
+/**
+ * Check the code may be used on a bundle sold through a reseller's link
+ * @param {Object} bundle - Bundle document
+ * @param {Object|null} reseller - Reseller document (null for house sales)
+ * @returns {boolean}
+ */
+promoCodeSchema.methods.appliesTo = function (bundle, reseller) {
+  if (this.networks.length > 0 && !this.networks.includes(bundle.network)) return false;
+  if (this.bundleIds.length > 0 && !this.bundleIds.some((id) => id.equals(bundle._id)))
+    return false;
+  if (this.resellerId && !(reseller && this.resellerId.equals(reseller._id))) return false;
+  return true;
+};
+
+/**
+ * Check all uses have been taken
+ * @returns {boolean}
+ */
+promoCodeSchema.methods.isUsedUp = function () {
+  return this.maxUses !== null && this.usedCount >= this.maxUses;
+};
+
+// ===================================
+// STATIC METHODS
+// ===================================
+
+/**
+ * Find promo code (case-insensitive, stored uppercase)
+ * @param {string} code - Promo code
+ * @returns {Promise<PromoCode|null>}
+ */
+promoCodeSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+/**
+ * Take one use of a code, unless it is used up
+ * Atomic, so two checkouts at once cannot both take the last use
+ * @param {string} promoCodeId - Promo code ID
+ * @returns {Promise<PromoCode|null>} Updated code, or null if used up
+ */
+promoCodeSchema.statics.claimUse = function (promoCodeId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Give a use back (the order it was taken for was never paid)
+ * @param {string} promoCodeId - Promo code ID
+ */
+promoCodeSchema.statics.releaseUse = function (promoCodeId) {
+  return this.updateOne({ _id: promoCodeId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+// ===================================
+// MIDDLEWARE (HOOKS)
+// ===================================
+
+/**
+ * Pre-save middleware
+ * - Validate PERCENT discounts are at most 100%
+ * - Validate endsAt is after startsAt
+ */
+promoCodeSchema.pre('save', function (next) {
+  if (
+    this.discountType === DiscountType.PERCENT &&
+    parseFloat(this.discountValue.toString()) > 100
+  ) {
+    const error = new Error('Percentage discount cannot exceed 100%');
+    error.statusCode = HttpStatus.BAD_REQUEST;
+    return next(error);
+  }
+
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    const error = new Error('End date must be after the start date');
+    error.statusCode = HttpStatus.BAD_REQUEST;
+    return next(error);
+  }
+
+  next();
+});
+
+// ===================================
+// MODEL EXPORT
+// ===================================
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
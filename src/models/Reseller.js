@@ -4,7 +4,7 @@
 // Mongoose model for Reseller collection
 
 const mongoose = require('mongoose');
-const { PricingMode } = require('../constants');
+const { PricingMode, CommissionType } = require('../constants');
 
 const resellerSchema = new mongoose.Schema(
   {
@@ -42,6 +42,16 @@ const resellerSchema = new mongoose.Schema(
       required: true,
     },
 
+    // FLAT: presetCommission is GHS per bundle; PERCENT: % of the bundle base price
+    commissionType: {
+      type: String,
+      enum: {
+        values: Object.values(CommissionType),
+        message: 'Commission type must be FLAT or PERCENT',
+      },
+      default: CommissionType.FLAT,
+    },
+
     presetCommission: {
       type: mongoose.Schema.Types.Decimal128,
       default: 5.0,
@@ -85,6 +95,42 @@ const resellerSchema = new mongoose.Schema(
       default: null,
       maxlength: [500, 'Rejection reason must not exceed 500 characters'],
     },
+
+    // Upline who recruited this reseller (set at registration); earns
+    // override commission on this reseller's sales
+    parentResellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reseller',
+      default: null,
+    },
+
+    // Storefront branding - shown to customers on the ?ref= shop page
+    shopName: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: [60, 'Shop name must not exceed 60 characters'],
+    },
+
+    logoUrl: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: [500, 'Logo URL must not exceed 500 characters'],
+    },
+
+    tagline: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: [140, 'Tagline must not exceed 140 characters'],
+    },
+
+    whatsappNumber: {
+      type: String,
+      default: null,
+      match: [/^0[2-5]\d{8}$/, 'Please provide a valid Ghana phone number (0XXXXXXXXX)'],
+    },
   },
   {
     timestamps: true,
@@ -102,6 +148,7 @@ resellerSchema.index({ resellerId: 1 });
 resellerSchema.index({ referralCode: 1 });
 resellerSchema.index({ pricingMode: 1 });
 resellerSchema.index({ approvedById: 1 });
+resellerSchema.index({ parentResellerId: 1 });
 resellerSchema.index({ createdAt: -1 });
 
 // ===================================
@@ -124,6 +171,21 @@ resellerSchema.virtual('approvedBy', {
   justOne: true,
 });
 
+// Virtual for the upline (parent reseller)
+resellerSchema.virtual('parent', {
+  ref: 'Reseller',
+  localField: 'parentResellerId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+// Virtual for sub-agents recruited by this reseller
+resellerSchema.virtual('downline', {
+  ref: 'Reseller',
+  localField: '_id',
+  foreignField: 'parentResellerId',
+});
+
 // Virtual for orders
 resellerSchema.virtual('orders', {
   ref: 'Order',
@@ -197,7 +259,8 @@ resellerSchema.methods.addEarnings = async function (amount) {
 };
 
 /**
- * Get available balance (for withdrawals)
+ * Get lifetime earnings counter
+ * The withdrawable balance comes from the ledger (services/wallet.service)
  * @returns {number}
  */
 resellerSchema.methods.getAvailableBalance = function () {
@@ -4,6 +4,7 @@
 // Mongoose model for ResellerPricing collection
 
 const mongoose = require('mongoose');
+const { CommissionType } = require('../constants');
 
 const resellerPricingSchema = new mongoose.Schema(
   {
@@ -21,6 +22,16 @@ const resellerPricingSchema = new mongoose.Schema(
       index: true,
     },
 
+    // FLAT: commission is GHS; PERCENT: % of the bundle base price
+    commissionType: {
+      type: String,
+      enum: {
+        values: Object.values(CommissionType),
+        message: 'Commission type must be FLAT or PERCENT',
+      },
+      default: CommissionType.FLAT,
+    },
+
     commission: {
       type: mongoose.Schema.Types.Decimal128,
       required: [true, 'Commission is required'],
@@ -108,9 +119,7 @@ resellerPricingSchema.methods.updatePricing = async function (commission, basePr
  * @returns {Promise<ResellerPricing|null>}
  */
 resellerPricingSchema.statics.findByResellerAndBundle = function (resellerId, bundleId) {
-  return this.findOne({ resellerId, bundleId })
-    .populate('reseller')
-    .populate('bundle');
+  return this.findOne({ resellerId, bundleId }).populate('reseller').populate('bundle');
 };
 
 /**
@@ -167,8 +176,11 @@ resellerPricingSchema.statics.deleteByBundle = function (bundleId) {
 /**
  * Pre-save middleware
  * - Validate selling price = bundle base price + commission
+ *   (FLAT only - a PERCENT commission is a rate, not GHS)
  */
 resellerPricingSchema.pre('save', async function (next) {
+  if (this.commissionType === CommissionType.PERCENT) return next();
+
   if (this.isModified('commission') || this.isNew) {
     // Validate that sellingPrice is correctly calculated
     const commission = parseFloat(this.commission.toString());
@@ -0,0 +1,100 @@
+// ===================================
+// SUPPORT MESSAGE MODEL
+// ===================================
+// Mongoose model for SupportMessage collection
+// One message in a support ticket's thread, oldest first
+
+const mongoose = require('mongoose');
+const { TicketAuthorType } = require('../constants');
+
+const supportMessageSchema = new mongoose.Schema(
+  {
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SupportTicket',
+      required: [true, 'Ticket ID is required'],
+    },
+
+    authorType: {
+      type: String,
+      enum: {
+        values: Object.values(TicketAuthorType),
+        message: 'Author type must be CUSTOMER or ADMIN',
+      },
+      required: [true, 'Author type is required'],
+    },
+
+    // Admin who replied; null for customer messages
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    message: {
+      type: String,
+      required: [true, 'Message is required'],
+      trim: true,
+      minlength: [1, 'Message is required'],
+      maxlength: [1000, 'Message must not exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ===================================
+// INDEXES
+// ===================================
+
+supportMessageSchema.index({ ticketId: 1, createdAt: 1 });
+
+// ===================================
+// VIRTUALS
+// ===================================
+
+supportMessageSchema.virtual('ticket', {
+  ref: 'SupportTicket',
+  localField: 'ticketId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+supportMessageSchema.virtual('author', {
+  ref: 'User',
+  localField: 'authorId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+// ===================================
+// INSTANCE METHODS
+// ===================================
+
+supportMessageSchema.methods.isFromCustomer = function () {
+  return this.authorType === TicketAuthorType.CUSTOMER;
+};
+
+// ===================================
+// STATIC METHODS
+// ===================================
+
+/**
+ * Find a ticket's thread, oldest first
+ * @param {string} ticketId - Ticket ID
+ * @returns {Query}
+ */
+supportMessageSchema.statics.findByTicket = function (ticketId) {
+  return this.find({ ticketId }).sort({ createdAt: 1 });
+};
+
+// ===================================
+// MODEL EXPORT
+// ===================================
+
+const SupportMessage = mongoose.model('SupportMessage', supportMessageSchema);
+
+module.exports = SupportMessage;
@@ -101,10 +101,19 @@ supportTicketSchema.virtual('order', {
   justOne: true,
 });
 
+supportTicketSchema.virtual('assignedTo', {
+  ref: 'User',
+  localField: 'assignedToId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+// Thread, oldest first (the opening message included)
 supportTicketSchema.virtual('messages', {
   ref: 'SupportMessage',
   localField: '_id',
   foreignField: 'ticketId',
+  options: { sort: { createdAt: 1 } },
 });
 
 // ===================================
@@ -0,0 +1,86 @@
+// ===================================
+// SYSTEM SETTING MODEL
+// ===================================
+// Mongoose model for SystemSetting collection
+// One document per admin-editable setting (see services/settings.service)
+
+const mongoose = require('mongoose');
+const { SystemSettingDefaults } = require('../constants');
+
+const systemSettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Setting key is required'],
+      unique: true,
+      enum: {
+        values: Object.keys(SystemSettingDefaults),
+        message: 'Unknown setting',
+      },
+    },
+
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Setting value is required'],
+    },
+
+    updatedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ===================================
+// VIRTUALS
+// ===================================
+
+systemSettingSchema.virtual('updatedBy', {
+  ref: 'User',
+  localField: 'updatedById',
+  foreignField: '_id',
+  justOne: true,
+});
+
+// ===================================
+// STATIC METHODS
+// ===================================
+
+/**
+ * Get a setting's value, or its default when never set
+ * @param {string} key - Setting key
+ * @returns {Promise<*>}
+ */
+systemSettingSchema.statics.getValue = async function (key) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : SystemSettingDefaults[key];
+};
+
+/**
+ * Set a setting's value
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @param {string} userId - Admin who changed it
+ * @returns {Promise<SystemSetting>}
+ */
+systemSettingSchema.statics.setValue = function (key, value, userId = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedById: userId },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// ===================================
+// MODEL EXPORT
+// ===================================
+
+const SystemSetting = mongoose.model('SystemSetting', systemSettingSchema);
+
+module.exports = SystemSetting;
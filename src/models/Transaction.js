@@ -22,6 +22,13 @@ const transactionSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Wallet owner for COMMISSION_* and WITHDRAWAL entries
+    resellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reseller',
+      default: null,
+    },
+
     orderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order',
@@ -96,6 +103,20 @@ transactionSchema.index({ type: 1 });
 transactionSchema.index({ status: 1 });
 transactionSchema.index({ createdAt: -1 });
 transactionSchema.index({ status: 1, type: 1 });
+transactionSchema.index({ resellerId: 1, type: 1, status: 1 });
+transactionSchema.index({ resellerId: 1, createdAt: -1 });
+
+// One payment entry per charge - second guard behind the charge.success checks
+transactionSchema.index(
+  { type: 1, providerReference: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      type: TransactionType.ORDER_PAYMENT,
+      providerReference: { $type: 'string' },
+    },
+  }
+);
 
 // ===================================
 // VIRTUALS
@@ -160,7 +181,9 @@ transactionSchema.statics.findByStatus = function (status) {
 
 transactionSchema.statics.getNextTransactionNumber = async function () {
   const timestamp = Date.now().toString();
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  const random = Math.floor(Math.random() * 1000)
+    .toString()
+    .padStart(3, '0');
   return `TXN-${timestamp}${random}`;
 };
 
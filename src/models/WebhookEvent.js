@@ -0,0 +1,132 @@
+// ===================================
+// WEBHOOK EVENT MODEL
+// ===================================
+// Mongoose model for WebhookEvent collection
+// Every webhook we receive, kept for dedupe, audit and replay
+
+const mongoose = require('mongoose');
+const { WebhookEventStatus } = require('../constants');
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, 'Provider is required'],
+      lowercase: true,
+      default: 'paystack',
+    },
+
+    // Provider's unique key for the event, e.g. "charge.success:4099260516"
+    eventId: {
+      type: String,
+      required: [true, 'Event ID is required'],
+    },
+
+    type: {
+      type: String,
+      required: [true, 'Event type is required'],
+      index: true,
+    },
+
+    // Raw request body, exactly as signed
+    // Empty when it was not captured (e.g. a non-JSON content type) - such
+    // events fail the signature check and are kept as REJECTED
+    rawBody: {
+      type: String,
+      default: '',
+    },
+
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    signatureValid: {
+      type: Boolean,
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(WebhookEventStatus),
+        message: 'Invalid webhook event status',
+      },
+      default: WebhookEventStatus.QUEUED,
+      required: true,
+      index: true,
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    // Processing runs, including retries and replays
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
+  }
+);
+
+// ===================================
+// INDEXES
+// ===================================
+
+// Dedupe - only signed events count, so a forged copy cannot block the real one
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+webhookEventSchema.index({ createdAt: -1 });
+
+// ===================================
+// INSTANCE METHODS
+// ===================================
+
+webhookEventSchema.methods.markAsProcessed = async function (handled = true) {
+  this.status = handled ? WebhookEventStatus.PROCESSED : WebhookEventStatus.IGNORED;
+  this.error = null;
+  this.attempts += 1;
+  this.processedAt = new Date();
+  return await this.save();
+};
+
+webhookEventSchema.methods.markAsFailed = async function (message) {
+  this.status = WebhookEventStatus.FAILED;
+  this.error = message;
+  this.attempts += 1;
+  return await this.save();
+};
+
+webhookEventSchema.methods.canReplay = function () {
+  return this.signatureValid;
+};
+
+// ===================================
+// STATIC METHODS
+// ===================================
+
+webhookEventSchema.statics.findByEventId = function (provider, eventId) {
+  return this.findOne({ provider, eventId, signatureValid: true });
+};
+
+// ===================================
+// MODEL EXPORT
+// ===================================
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -0,0 +1,212 @@
+// ===================================
+// WITHDRAWAL MODEL
+// ===================================
+// Mongoose model for Withdrawal collection
+// A reseller's request to cash out commission to mobile money.
+// The money itself moves through a WITHDRAWAL Transaction (the wallet ledger).
+
+const mongoose = require('mongoose');
+const { Network, WithdrawalStatus } = require('../constants');
+
+const withdrawalSchema = new mongoose.Schema(
+  {
+    withdrawalNumber: {
+      type: String,
+      required: [true, 'Withdrawal number is required'],
+      unique: true,
+      match: [/^WDR-\d+$/, 'Withdrawal number must be in format WDR-XXXXXXXXX'],
+    },
+
+    resellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reseller',
+      required: [true, 'Reseller ID is required'],
+    },
+
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be at least 0.01'],
+      get: (value) => (value ? parseFloat(value.toString()) : 0),
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(WithdrawalStatus),
+        message: 'Invalid withdrawal status',
+      },
+      default: WithdrawalStatus.PENDING,
+      required: true,
+    },
+
+    // Mobile money account the payout goes to
+    momoNumber: {
+      type: String,
+      required: [true, 'Mobile money number is required'],
+      trim: true,
+      match: [/^0[2-5]\d{8}$/, 'Invalid Ghana phone number format'],
+    },
+
+    momoNetwork: {
+      type: String,
+      required: [true, 'Mobile money network is required'],
+      enum: {
+        values: Object.values(Network),
+        message: 'Network must be MTN, TELECEL, or AT',
+      },
+      uppercase: true,
+    },
+
+    accountName: {
+      type: String,
+      required: [true, 'Account name is required'],
+      trim: true,
+      maxlength: [100, 'Account name must not exceed 100 characters'],
+    },
+
+    // WITHDRAWAL ledger entry holding the funds
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+
+    // Paystack transfer details (set on approval)
+    recipientCode: {
+      type: String,
+      default: null,
+    },
+
+    transferReference: {
+      type: String,
+      default: null,
+    },
+
+    transferCode: {
+      type: String,
+      default: null,
+    },
+
+    reviewedById: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+
+    rejectionReason: {
+      type: String,
+      default: null,
+      maxlength: [500, 'Rejection reason must not exceed 500 characters'],
+    },
+
+    failureReason: {
+      type: String,
+      default: null,
+      maxlength: [500, 'Failure reason must not exceed 500 characters'],
+    },
+
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true },
+  }
+);
+
+// ===================================
+// INDEXES
+// ===================================
+
+withdrawalSchema.index({ resellerId: 1, status: 1 });
+withdrawalSchema.index({ transactionId: 1 });
+withdrawalSchema.index({ status: 1, createdAt: -1 });
+withdrawalSchema.index({ createdAt: -1 });
+
+// ===================================
+// VIRTUALS
+// ===================================
+
+withdrawalSchema.virtual('reseller', {
+  ref: 'Reseller',
+  localField: 'resellerId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+withdrawalSchema.virtual('transaction', {
+  ref: 'Transaction',
+  localField: 'transactionId',
+  foreignField: '_id',
+  justOne: true,
+});
+
+// ===================================
+// INSTANCE METHODS
+// ===================================
+
+withdrawalSchema.methods.isPending = function () {
+  return this.status === WithdrawalStatus.PENDING;
+};
+
+withdrawalSchema.methods.isOpen = function () {
+  return [WithdrawalStatus.PENDING, WithdrawalStatus.PROCESSING].includes(this.status);
+};
+
+withdrawalSchema.methods.markAsCompleted = async function () {
+  this.status = WithdrawalStatus.COMPLETED;
+  this.failureReason = null;
+  this.paidAt = new Date();
+  return await this.save();
+};
+
+withdrawalSchema.methods.markAsFailed = async function (reason) {
+  this.status = WithdrawalStatus.FAILED;
+  this.failureReason = reason ? reason.slice(0, 500) : null;
+  return await this.save();
+};
+
+// ===================================
+// STATIC METHODS
+// ===================================
+
+/**
+ * Find a reseller's PENDING or PROCESSING withdrawal
+ * @param {string} resellerId - Reseller document ID
+ * @returns {Promise<Withdrawal|null>}
+ */
+withdrawalSchema.statics.findOpenForReseller = function (resellerId) {
+  return this.findOne({
+    resellerId,
+    status: { $in: [WithdrawalStatus.PENDING, WithdrawalStatus.PROCESSING] },
+  });
+};
+
+/**
+ * Generate next withdrawal number
+ * @returns {Promise<string>}
+ */
+withdrawalSchema.statics.getNextWithdrawalNumber = async function () {
+  const timestamp = Date.now().toString();
+  const random = Math.floor(Math.random() * 1000)
+    .toString()
+    .padStart(3, '0');
+  return `WDR-${timestamp}${random}`;
+};
+
+// ===================================
+// MODEL EXPORT
+// ===================================
+
+const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
+
+module.exports = Withdrawal;
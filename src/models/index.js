@@ -11,11 +11,13 @@ const ResellerPricing = require("./ResellerPricing");
 const OrderStatusHistory = require("./OrderStatusHistory");
 const Transaction = require("./Transaction");
 const SupportTicket = require("./SupportTicket");
-//const SupportMessage = require('./SupportMessage');
-//const Withdrawal = require("./Withdrawal");
+const WebhookEvent = require("./WebhookEvent");
+const SupportMessage = require("./SupportMessage");
+const Withdrawal = require("./Withdrawal");
 const RefreshToken = require("./RefreshToken");
 //const PasswordReset = require("./PasswordReset");
-//const SystemSetting = require("./SystemSetting");
+const SystemSetting = require("./SystemSetting");
+const PromoCode = require("./PromoCode");
 //const ApiLog = require("./ApiLog");
 
 module.exports = {
@@ -27,10 +29,12 @@ module.exports = {
   OrderStatusHistory,
   Transaction,
   SupportTicket,
-  // SupportMessage,
-  //Withdrawal,
+  WebhookEvent,
+  SupportMessage,
+  Withdrawal,
   RefreshToken,
   // PasswordReset,
-  //SystemSetting,
+  SystemSetting,
+  PromoCode,
   //ApiLog,
 };
@@ -0,0 +1,59 @@
+// ANALYTICS ROUTES
+// Business reports for admins - revenue, MNO cost, profit and commission
+
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const analyticsController = require("../controllers/analytics.controller");
+
+// Middleware
+const { authenticate, adminOnly } = require("../middleware/auth.middleware");
+const {
+  validateQuery,
+  validateParams,
+} = require("../middleware/validation.middleware");
+const { generalLimiter } = require("../middleware/rateLimiter.middleware");
+
+// Validators
+const {
+  statsQuerySchema,
+  revenueDimensionSchema,
+} = require("../utils/validators");
+
+// Apply general rate limiting to all analytics routes
+router.use(generalLimiter);
+
+// All analytics routes are admin only
+router.use(authenticate, adminOnly);
+
+/**
+ * @route   GET /api/v1/analytics/revenue
+ * @desc    Revenue, MNO cost, platform profit and reseller commission per period,
+ *          compared with the previous period of the same length
+ * @access  Private (Admin only)
+ * @query   ?from=2025-01-01&to=2025-01-31&groupBy=day|week|month
+ * @note    Counts delivered orders that were never refunded, on the day they
+ *          were delivered (Africa/Accra time). Defaults to the last 30 days
+ */
+router.get(
+  "/revenue",
+  validateQuery(statsQuerySchema),
+  analyticsController.getRevenueReport,
+);
+
+/**
+ * @route   GET /api/v1/analytics/revenue/:dimension
+ * @desc    Revenue split by network, bundle or reseller, with the previous period
+ * @access  Private (Admin only)
+ * @params  dimension - network, bundle or reseller
+ * @query   ?from=2025-01-01&to=2025-01-31
+ */
+router.get(
+  "/revenue/:dimension",
+  validateParams(revenueDimensionSchema),
+  validateQuery(statsQuerySchema),
+  analyticsController.getRevenueBreakdown,
+);
+
+module.exports = router;
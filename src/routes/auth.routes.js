@@ -24,7 +24,9 @@ const { registerSchema, loginSchema } = require("../utils/validators");
  * @route   POST /api/v1/auth/register
  * @desc    Register new reseller account
  * @access  Public
- * @body    { name, email, phone, password }
+ * @body    { name, email, phone, password, uplineReferralCode? }
+ * @note    uplineReferralCode - an active reseller's referral code; the new
+ *          reseller joins their downline
  */
 router.post(
   "/register",
@@ -0,0 +1,151 @@
+// BUNDLE ROUTES
+// Routes for the public bundle catalog and admin bundle management
+
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const bundleController = require("../controllers/bundle.controller");
+
+// Middleware
+const { authenticate, adminOnly } = require("../middleware/auth.middleware");
+const {
+  validate,
+  validateQuery,
+  validateParams,
+} = require("../middleware/validation.middleware");
+
+// Validators
+const {
+  bundleCatalogQuerySchema,
+  referralQuerySchema,
+  adminBundleQuerySchema,
+  createBundleSchema,
+  updateBundleSchema,
+  objectIdSchema,
+} = require("../utils/validators");
+
+// PUBLIC ROUTES (No authentication required)
+
+/**
+ * @route   GET /api/v1/bundles
+ * @desc    List active bundles with customer prices
+ * @access  Public
+ * @query   ?network=MTN&ref=ABC12345
+ * @note    With ?ref=, prices include that reseller's commission
+ */
+router.get(
+  "/",
+  validateQuery(bundleCatalogQuerySchema),
+  bundleController.getCatalog,
+);
+
+/**
+ * @route   GET /api/v1/bundles/networks
+ * @desc    List networks that have active bundles
+ * @access  Public
+ */
+router.get("/networks", bundleController.getNetworks);
+
+// BUNDLE MANAGEMENT ROUTES (Admin only)
+/**
+ * @route   GET /api/v1/bundles/admin
+ * @desc    List all bundles including inactive, with cost and margin
+ * @access  Private (Admin only)
+ * @query   ?network=MTN&active=true
+ */
+router.get(
+  "/admin",
+  authenticate,
+  adminOnly,
+  validateQuery(adminBundleQuerySchema),
+  bundleController.getAllBundles,
+);
+
+/**
+ * @route   POST /api/v1/bundles
+ * @desc    Create bundle
+ * @access  Private (Admin only)
+ * @body    { name, network, volume, costPrice, basePrice, minCommission?, maxCommission?, active? }
+ */
+router.post(
+  "/",
+  authenticate,
+  adminOnly,
+  validate(createBundleSchema),
+  bundleController.createBundle,
+);
+
+/**
+ * @route   PUT /api/v1/bundles/:id
+ * @desc    Update bundle details or prices
+ * @access  Private (Admin only)
+ * @params  id - Bundle ID
+ * @body    { name?, volume?, costPrice?, basePrice?, minCommission?, maxCommission?, active? }
+ */
+router.put(
+  "/:id",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  validate(updateBundleSchema),
+  bundleController.updateBundle,
+);
+
+/**
+ * @route   POST /api/v1/bundles/:id/activate
+ * @desc    Activate bundle
+ * @access  Private (Admin only)
+ * @params  id - Bundle ID
+ */
+router.post(
+  "/:id/activate",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  bundleController.activateBundle,
+);
+
+/**
+ * @route   POST /api/v1/bundles/:id/deactivate
+ * @desc    Deactivate bundle
+ * @access  Private (Admin only)
+ * @params  id - Bundle ID
+ */
+router.post(
+  "/:id/deactivate",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  bundleController.deactivateBundle,
+);
+
+/**
+ * @route   DELETE /api/v1/bundles/:id
+ * @desc    Delete bundle (refused if any order references it)
+ * @access  Private (Admin only)
+ * @params  id - Bundle ID
+ */
+router.delete(
+  "/:id",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  bundleController.deleteBundle,
+);
+
+/**
+ * @route   GET /api/v1/bundles/:id
+ * @desc    Get a single active bundle with its customer price
+ * @access  Public
+ * @params  id - Bundle ID
+ * @query   ?ref=ABC12345
+ */
+router.get(
+  "/:id",
+  validateParams(objectIdSchema),
+  validateQuery(referralQuerySchema),
+  bundleController.getBundle,
+);
+
+module.exports = router;
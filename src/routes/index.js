@@ -8,7 +8,15 @@ const router = express.Router();
 const authRoutes = require("./auth.routes");
 const userRoutes = require("./user.routes");
 const orderRoutes = require("./order.routes");
+const bundleRoutes = require("./bundle.routes");
 const webhookRoutes = require("./webhook.routes");
+const resellerRoutes = require("./reseller.routes");
+const withdrawalRoutes = require("./withdrawal.routes");
+const analyticsRoutes = require("./analytics.routes");
+const storefrontRoutes = require("./storefront.routes");
+const settingsRoutes = require("./settings.routes");
+const promoRoutes = require("./promo.routes");
+const supportRoutes = require("./support.routes");
 
 // HEALTH CHECK ROUTE
 /**
@@ -32,11 +40,27 @@ router.get("/health", (req, res) => {
  * Base URL: /api/v1
  * - /api/v1/auth/*    - Authentication routes
  * - /api/v1/users/*   - User management routes
+ * - /api/v1/bundles/* - Bundle catalog routes
+ * - /api/v1/resellers/* - Reseller wallet, stats, pricing and network routes
+ * - /api/v1/withdrawals/* - Reseller payout routes
+ * - /api/v1/analytics/* - Admin business reports
+ * - /api/v1/storefront/* - Public reseller shop pages
+ * - /api/v1/settings/* - Admin system settings
+ * - /api/v1/promo-codes/* - Admin promo code management
+ * - /api/v1/support/* - Customer support tickets
  */
 router.use("/auth", authRoutes);
 router.use("/users", userRoutes);
 router.use("/orders", orderRoutes);
+router.use("/bundles", bundleRoutes);
 router.use("/webhooks", webhookRoutes);
+router.use("/resellers", resellerRoutes);
+router.use("/withdrawals", withdrawalRoutes);
+router.use("/analytics", analyticsRoutes);
+router.use("/storefront", storefrontRoutes);
+router.use("/settings", settingsRoutes);
+router.use("/promo-codes", promoRoutes);
+router.use("/support", supportRoutes);
 
 // API INFO ROUTE
 /**
@@ -68,6 +92,86 @@ router.get("/", (req, res) => {
         suspend: "POST /api/v1/users/:id/suspend",
         activate: "POST /api/v1/users/:id/activate",
       },
+      orders: {
+        create: "POST /api/v1/orders/create?ref=CODE (body: promoCode?)",
+        track: "GET /api/v1/orders/track?orderNumber=&customerPhone=",
+        getAll: "GET /api/v1/orders",
+        getById: "GET /api/v1/orders/:id",
+        updateStatus: "PATCH /api/v1/orders/:id/status",
+        refund: "POST /api/v1/orders/:id/refund",
+        paymentReview: "POST /api/v1/orders/:id/payment-review",
+      },
+      bundles: {
+        catalog: "GET /api/v1/bundles?network=mtn&ref=CODE",
+        networks: "GET /api/v1/bundles/networks",
+        getById: "GET /api/v1/bundles/:id?ref=CODE",
+        getAll: "GET /api/v1/bundles/admin",
+        create: "POST /api/v1/bundles",
+        update: "PUT /api/v1/bundles/:id",
+        activate: "POST /api/v1/bundles/:id/activate",
+        deactivate: "POST /api/v1/bundles/:id/deactivate",
+        delete: "DELETE /api/v1/bundles/:id",
+      },
+      webhooks: {
+        paystack: "POST /api/v1/webhooks/paystack",
+        events: "GET /api/v1/webhooks/events",
+        getEvent: "GET /api/v1/webhooks/events/:id",
+        replay: "POST /api/v1/webhooks/events/:id/replay",
+      },
+      resellers: {
+        wallet: "GET /api/v1/resellers/me/wallet",
+        ledger: "GET /api/v1/resellers/me/ledger",
+        stats: "GET /api/v1/resellers/me/stats?from=&to=&groupBy=day",
+        pricing: "GET /api/v1/resellers/me/pricing",
+        updatePricing: "PUT /api/v1/resellers/me/pricing",
+        storefront: "GET /api/v1/resellers/me/storefront",
+        updateStorefront: "PUT /api/v1/resellers/me/storefront",
+        downline: "GET /api/v1/resellers/me/downline",
+        overrides: "GET /api/v1/resellers/me/overrides",
+        resellerWallet: "GET /api/v1/resellers/:id/wallet",
+        resellerLedger: "GET /api/v1/resellers/:id/ledger",
+        resellerStats: "GET /api/v1/resellers/:id/stats",
+        resellerPricing: "GET /api/v1/resellers/:id/pricing",
+        updateResellerPricing: "PUT /api/v1/resellers/:id/pricing",
+        resellerDownline: "GET /api/v1/resellers/:id/downline",
+        resellerOverrides: "GET /api/v1/resellers/:id/overrides",
+      },
+      withdrawals: {
+        request: "POST /api/v1/withdrawals",
+        mine: "GET /api/v1/withdrawals/me",
+        getAll: "GET /api/v1/withdrawals",
+        getById: "GET /api/v1/withdrawals/:id",
+        approve: "POST /api/v1/withdrawals/:id/approve",
+        reject: "POST /api/v1/withdrawals/:id/reject",
+      },
+      storefront: {
+        get: "GET /api/v1/storefront/:referralCode",
+      },
+      settings: {
+        get: "GET /api/v1/settings",
+        update: "PUT /api/v1/settings",
+      },
+      promoCodes: {
+        getAll: "GET /api/v1/promo-codes",
+        getById: "GET /api/v1/promo-codes/:id",
+        create: "POST /api/v1/promo-codes",
+        update: "PUT /api/v1/promo-codes/:id",
+        delete: "DELETE /api/v1/promo-codes/:id",
+      },
+      support: {
+        create: "POST /api/v1/support/tickets",
+        track: "GET /api/v1/support/tickets/:ticketNumber?customerPhone=",
+        reply: "POST /api/v1/support/tickets/:ticketNumber/messages",
+        getAll: "GET /api/v1/support/tickets",
+        getById: "GET /api/v1/support/tickets/:id",
+        assign: "POST /api/v1/support/tickets/:id/assign",
+        adminReply: "POST /api/v1/support/tickets/:id/messages",
+        updateStatus: "PATCH /api/v1/support/tickets/:id/status",
+      },
+      analytics: {
+        revenue: "GET /api/v1/analytics/revenue?from=&to=&groupBy=day",
+        breakdown: "GET /api/v1/analytics/revenue/network|bundle|reseller",
+      },
     },
     documentation: "Coming soon",
   });
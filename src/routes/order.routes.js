@@ -1,6 +1,121 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/order.controller");
+const { authenticate, adminOnly } = require("../middleware/auth.middleware");
+const {
+  validate,
+  validateQuery,
+  validateParams,
+} = require("../middleware/validation.middleware");
+const { trackingLimiter } = require("../middleware/rateLimiter.middleware");
+const {
+  createOrderSchema,
+  trackOrderSchema,
+  orderListQuerySchema,
+  updateOrderStatusSchema,
+  refundOrderSchema,
+  resolvePaymentReviewSchema,
+  objectIdSchema,
+} = require("../utils/validators");
 // Note: This route is public because customers buy without logging in
-router.post("/create", orderController.createOrder);
+router.post(
+  "/create",
+  validate(createOrderSchema),
+  orderController.createOrder,
+);
+
+/**
+ * @route   GET /api/v1/orders/track
+ * @desc    Track order status and delivery history
+ * @access  Public
+ * @query   ?orderNumber=ORD-123456789&customerPhone=0241234567
+ */
+router.get(
+  "/track",
+  trackingLimiter,
+  validateQuery(trackOrderSchema),
+  orderController.trackOrder,
+);
+
+// ADMIN ORDER DESK (Admin only)
+/**
+ * @route   GET /api/v1/orders
+ * @desc    List orders with filters and pagination
+ * @access  Private (Admin only)
+ * @query   ?status=&paymentStatus=&network=&reseller=RES-001&customerPhone=&from=&to=&page=1&limit=20
+ */
+router.get(
+  "/",
+  authenticate,
+  adminOnly,
+  validateQuery(orderListQuerySchema),
+  orderController.getOrders,
+);
+
+/**
+ * @route   GET /api/v1/orders/:id
+ * @desc    Get order with bundle, reseller, transactions and status history
+ * @access  Private (Admin only)
+ * @params  id - Order ID
+ */
+router.get(
+  "/:id",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  orderController.getOrderById,
+);
+
+/**
+ * @route   PATCH /api/v1/orders/:id/status
+ * @desc    Update order status
+ * @access  Private (Admin only)
+ * @params  id - Order ID
+ * @body    { status, notes? }
+ * @note    PROCESSING re-queues a FAILED order for delivery. REFUNDED is refused - use /refund
+ */
+router.patch(
+  "/:id/status",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  validate(updateOrderStatusSchema),
+  orderController.updateOrderStatus,
+);
+
+/**
+ * @route   POST /api/v1/orders/:id/refund
+ * @desc    Refund a paid order through Paystack (full or partial)
+ * @access  Private (Admin only)
+ * @params  id - Order ID
+ * @body    { amount?, reason }
+ * @note    Without amount, the whole unrefunded balance is refunded
+ */
+router.post(
+  "/:id/refund",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  validate(refundOrderSchema),
+  orderController.refundOrder,
+);
+
+/**
+ * @route   POST /api/v1/orders/:id/payment-review
+ * @desc    Approve or reject a payment held for review - amount or currency did
+ *          not match, or the reseller is no longer active
+ * @access  Private (Admin only)
+ * @params  id - Order ID
+ * @body    { decision: "approve" | "reject", notes? }
+ * @note    Find these with GET /orders?paymentStatus=under_review. Reject refunds the amount received
+ */
+router.post(
+  "/:id/payment-review",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  validate(resolvePaymentReviewSchema),
+  orderController.resolvePaymentReview,
+);
+
 module.exports = router;
@@ -0,0 +1,101 @@
+// PROMO CODE ROUTES
+// Admin management of the promo codes customers enter at checkout
+// (POST /orders/create with promoCode)
+
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const promoController = require("../controllers/promo.controller");
+
+// Middleware
+const { authenticate, adminOnly } = require("../middleware/auth.middleware");
+const {
+  validate,
+  validateQuery,
+  validateParams,
+} = require("../middleware/validation.middleware");
+const { generalLimiter } = require("../middleware/rateLimiter.middleware");
+
+// Validators
+const {
+  createPromoCodeSchema,
+  updatePromoCodeSchema,
+  promoCodeQuerySchema,
+  objectIdSchema,
+} = require("../utils/validators");
+
+// Apply general rate limiting to all promo code routes
+router.use(generalLimiter);
+
+// All promo code routes are admin only
+router.use(authenticate, adminOnly);
+
+/**
+ * @route   GET /api/v1/promo-codes
+ * @desc    List promo codes, newest first
+ * @access  Private (Admin only)
+ * @query   ?active=true&reseller=RES-001&page=1&limit=20
+ */
+router.get(
+  "/",
+  validateQuery(promoCodeQuerySchema),
+  promoController.getPromoCodes,
+);
+
+/**
+ * @route   POST /api/v1/promo-codes
+ * @desc    Create promo code
+ * @access  Private (Admin only)
+ * @body    { code, discountType, discountValue, description?, maxDiscount?, networks?, bundleIds?,
+ *            reseller?, startsAt?, endsAt?, maxUses?, maxUsesPerPhone?, active? }
+ * @note    discountType PERCENT takes discountValue % off the price (at most maxDiscount GHS),
+ *          FIXED takes discountValue GHS off. Empty networks / bundleIds and no reseller
+ *          mean the code works everywhere. The platform profit absorbs the discount,
+ *          so it is capped at that profit; reseller commission is never reduced
+ */
+router.post(
+  "/",
+  validate(createPromoCodeSchema),
+  promoController.createPromoCode,
+);
+
+/**
+ * @route   GET /api/v1/promo-codes/:id
+ * @desc    Get promo code with its paid orders and total discount given
+ * @access  Private (Admin only)
+ * @params  id - Promo code ID
+ */
+router.get(
+  "/:id",
+  validateParams(objectIdSchema),
+  promoController.getPromoCodeById,
+);
+
+/**
+ * @route   PUT /api/v1/promo-codes/:id
+ * @desc    Update promo code (everything but the code itself)
+ * @access  Private (Admin only)
+ * @params  id - Promo code ID
+ * @body    Same fields as create, except code - null clears an optional limit
+ */
+router.put(
+  "/:id",
+  validateParams(objectIdSchema),
+  validate(updatePromoCodeSchema),
+  promoController.updatePromoCode,
+);
+
+/**
+ * @route   DELETE /api/v1/promo-codes/:id
+ * @desc    Delete promo code (refused once any order used it)
+ * @access  Private (Admin only)
+ * @params  id - Promo code ID
+ */
+router.delete(
+  "/:id",
+  validateParams(objectIdSchema),
+  promoController.deletePromoCode,
+);
+
+module.exports = router;
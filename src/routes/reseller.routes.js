@@ -0,0 +1,255 @@
+// RESELLER ROUTES
+// Reseller wallet (balances and ledger), sales statistics, pricing and
+// reseller network (downline, override earnings), for the reseller and for
+// admins, and the reseller's storefront branding
+
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const resellerController = require("../controllers/reseller.controller");
+const storefrontController = require("../controllers/storefront.controller");
+
+// Middleware
+const {
+  authenticate,
+  adminOnly,
+  resellerOnly,
+} = require("../middleware/auth.middleware");
+const {
+  validate,
+  validateQuery,
+  validateParams,
+} = require("../middleware/validation.middleware");
+const { generalLimiter } = require("../middleware/rateLimiter.middleware");
+
+// Validators
+const {
+  paginationSchema,
+  walletLedgerQuerySchema,
+  overrideQuerySchema,
+  statsQuerySchema,
+  updateResellerPricingSchema,
+  updateStorefrontSchema,
+  resellerParamSchema,
+} = require("../utils/validators");
+
+// Apply general rate limiting to all reseller routes
+router.use(generalLimiter);
+
+// All reseller routes require authentication
+router.use(authenticate);
+
+// OWN WALLET (Reseller only)
+/**
+ * @route   GET /api/v1/resellers/me/wallet
+ * @desc    Get own wallet balances (available, pending, lifetime)
+ * @access  Private (Reseller only)
+ */
+router.get("/me/wallet", resellerOnly, resellerController.getMyWallet);
+
+/**
+ * @route   GET /api/v1/resellers/me/ledger
+ * @desc    Get own wallet ledger (commissions, reversals, withdrawals)
+ * @access  Private (Reseller only)
+ * @query   ?type=commission_earning&status=pending&from=2025-01-01&to=2025-01-31&page=1&limit=20
+ */
+router.get(
+  "/me/ledger",
+  resellerOnly,
+  validateQuery(walletLedgerQuerySchema),
+  resellerController.getMyLedger,
+);
+
+/**
+ * @route   GET /api/v1/resellers/me/stats
+ * @desc    Get own sales, commission and order statistics
+ * @access  Private (Reseller only)
+ * @query   ?from=2025-01-01&to=2025-01-31&groupBy=day|week|month
+ * @note    Dates are calendar days in Africa/Accra time, both inclusive.
+ *          Defaults to the last 30 days; at most 366 days
+ */
+router.get(
+  "/me/stats",
+  resellerOnly,
+  validateQuery(statsQuerySchema),
+  resellerController.getMyStats,
+);
+
+/**
+ * @route   GET /api/v1/resellers/me/pricing
+ * @desc    Get own pricing mode and the price of every active bundle
+ * @access  Private (Reseller only)
+ */
+router.get("/me/pricing", resellerOnly, resellerController.getMyPricing);
+
+/**
+ * @route   PUT /api/v1/resellers/me/pricing
+ * @desc    Switch pricing mode, set the preset commission or per-bundle commissions
+ * @access  Private (Reseller only)
+ * @body    { pricingMode?, commissionType?, presetCommission?, customPricing?: [{ bundleId, commissionType?, commission }] }
+ * @note    commissionType is FLAT (GHS) or PERCENT (of the base price, rounded to
+ *          the pesewa). commission null removes a custom price. Custom commissions
+ *          must be within the bundle's min/max commission; the preset is clamped to them
+ */
+router.put(
+  "/me/pricing",
+  resellerOnly,
+  validate(updateResellerPricingSchema),
+  resellerController.updateMyPricing,
+);
+
+/**
+ * @route   GET /api/v1/resellers/me/downline
+ * @desc    Get own upline and the sub-agents recruited with your referral code
+ * @access  Private (Reseller only)
+ * @query   ?page=1&limit=20
+ */
+router.get(
+  "/me/downline",
+  resellerOnly,
+  validateQuery(paginationSchema),
+  resellerController.getMyDownline,
+);
+
+/**
+ * @route   GET /api/v1/resellers/me/overrides
+ * @desc    Get own override commission earned on the downline's sales
+ * @access  Private (Reseller only)
+ * @query   ?type=commission_reversal&status=pending&from=2025-01-01&to=2025-01-31&page=1&limit=20
+ * @note    Level 1 is a sub-agent's sale, level 2 a sub-agent's sub-agent's
+ */
+router.get(
+  "/me/overrides",
+  resellerOnly,
+  validateQuery(overrideQuerySchema),
+  resellerController.getMyOverrides,
+);
+
+/**
+ * @route   GET /api/v1/resellers/me/storefront
+ * @desc    Get own storefront branding
+ * @access  Private (Reseller only)
+ */
+router.get(
+  "/me/storefront",
+  resellerOnly,
+  storefrontController.getMyStorefront,
+);
+
+/**
+ * @route   PUT /api/v1/resellers/me/storefront
+ * @desc    Update own storefront branding
+ * @access  Private (Reseller only)
+ * @body    { shopName?, logoUrl?, tagline?, whatsappNumber? } - null clears a field
+ */
+router.put(
+  "/me/storefront",
+  resellerOnly,
+  validate(updateStorefrontSchema),
+  storefrontController.updateMyStorefront,
+);
+
+// ANY RESELLER (Admin only)
+/**
+ * @route   GET /api/v1/resellers/:id/wallet
+ * @desc    Get a reseller's wallet balances
+ * @access  Private (Admin only)
+ * @params  id - Reseller ID (RES-001) or reseller document ID
+ */
+router.get(
+  "/:id/wallet",
+  adminOnly,
+  validateParams(resellerParamSchema),
+  resellerController.getResellerWallet,
+);
+
+/**
+ * @route   GET /api/v1/resellers/:id/ledger
+ * @desc    Get a reseller's wallet ledger
+ * @access  Private (Admin only)
+ * @params  id - Reseller ID (RES-001) or reseller document ID
+ * @query   ?type=withdrawal&status=completed&page=1&limit=20
+ */
+router.get(
+  "/:id/ledger",
+  adminOnly,
+  validateParams(resellerParamSchema),
+  validateQuery(walletLedgerQuerySchema),
+  resellerController.getResellerLedger,
+);
+
+/**
+ * @route   GET /api/v1/resellers/:id/stats
+ * @desc    Get a reseller's sales, commission and order statistics
+ * @access  Private (Admin only)
+ * @params  id - Reseller ID (RES-001) or reseller document ID
+ * @query   ?from=2025-01-01&to=2025-01-31&groupBy=day|week|month
+ */
+router.get(
+  "/:id/stats",
+  adminOnly,
+  validateParams(resellerParamSchema),
+  validateQuery(statsQuerySchema),
+  resellerController.getResellerStats,
+);
+
+/**
+ * @route   GET /api/v1/resellers/:id/pricing
+ * @desc    Get a reseller's pricing mode and the price of every active bundle
+ * @access  Private (Admin only)
+ * @params  id - Reseller ID (RES-001) or reseller document ID
+ */
+router.get(
+  "/:id/pricing",
+  adminOnly,
+  validateParams(resellerParamSchema),
+  resellerController.getResellerPricing,
+);
+
+/**
+ * @route   PUT /api/v1/resellers/:id/pricing
+ * @desc    Update a reseller's pricing mode, preset or per-bundle commissions
+ * @access  Private (Admin only)
+ * @params  id - Reseller ID (RES-001) or reseller document ID
+ * @body    { pricingMode?, commissionType?, presetCommission?, customPricing?: [{ bundleId, commissionType?, commission }] }
+ */
+router.put(
+  "/:id/pricing",
+  adminOnly,
+  validateParams(resellerParamSchema),
+  validate(updateResellerPricingSchema),
+  resellerController.updateResellerPricing,
+);
+
+/**
+ * @route   GET /api/v1/resellers/:id/downline
+ * @desc    Get a reseller's upline and downline
+ * @access  Private (Admin only)
+ * @params  id - Reseller ID (RES-001) or reseller document ID
+ * @query   ?page=1&limit=20
+ */
+router.get(
+  "/:id/downline",
+  adminOnly,
+  validateParams(resellerParamSchema),
+  validateQuery(paginationSchema),
+  resellerController.getResellerDownline,
+);
+
+/**
+ * @route   GET /api/v1/resellers/:id/overrides
+ * @desc    Get a reseller's override commission earnings
+ * @access  Private (Admin only)
+ * @params  id - Reseller ID (RES-001) or reseller document ID
+ * @query   ?type=commission_earning&status=completed&page=1&limit=20
+ */
+router.get(
+  "/:id/overrides",
+  adminOnly,
+  validateParams(resellerParamSchema),
+  validateQuery(overrideQuerySchema),
+  resellerController.getResellerOverrides,
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// SETTINGS ROUTES
+// Admin-editable system settings
+
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const settingsController = require("../controllers/settings.controller");
+
+// Middleware
+const { authenticate, adminOnly } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validation.middleware");
+const { generalLimiter } = require("../middleware/rateLimiter.middleware");
+
+// Validators
+const { updateSettingsSchema } = require("../utils/validators");
+
+// Apply general rate limiting to all settings routes
+router.use(generalLimiter);
+
+// All settings routes are admin only
+router.use(authenticate, adminOnly);
+
+/**
+ * @route   GET /api/v1/settings
+ * @desc    Get every system setting with its value, default and last change
+ * @access  Private (Admin only)
+ */
+router.get("/", settingsController.getSettings);
+
+/**
+ * @route   PUT /api/v1/settings
+ * @desc    Change system settings
+ * @access  Private (Admin only)
+ * @body    { houseSaleFallback?, overrideCommissionPercent?, grandparentOverrideCommissionPercent? }
+ * @note    houseSaleFallback - sell through a pending, suspended or rejected
+ *          reseller's link as a house sale instead of refusing the order.
+ *          overrideCommissionPercent / grandparentOverrideCommissionPercent -
+ *          % of the profit on each paid order paid to the seller's parent /
+ *          grandparent reseller (0 turns a level off; together at most 100)
+ */
+router.put(
+  "/",
+  validate(updateSettingsSchema),
+  settingsController.updateSettings,
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// STOREFRONT ROUTES
+// Public shop page behind a reseller's ?ref= link
+
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const storefrontController = require("../controllers/storefront.controller");
+
+// Middleware
+const { validateParams } = require("../middleware/validation.middleware");
+const { generalLimiter } = require("../middleware/rateLimiter.middleware");
+
+// Validators
+const { referralCodeParamSchema } = require("../utils/validators");
+
+// Apply general rate limiting to all storefront routes
+router.use(generalLimiter);
+
+// PUBLIC ROUTES
+/**
+ * @route   GET /api/v1/storefront/:referralCode
+ * @desc    Shop name, branding and priced bundles grouped by network
+ * @access  Public
+ * @params  referralCode - Reseller referral code (case-insensitive)
+ * @note    404 for an unknown code; 403 when the reseller is pending,
+ *          suspended or rejected (the message says which)
+ */
+router.get(
+  "/:referralCode",
+  validateParams(referralCodeParamSchema),
+  storefrontController.getStorefront,
+);
+
+module.exports = router;
@@ -0,0 +1,173 @@
+// SUPPORT ROUTES
+// Customer support tickets: customers open and follow them with the order
+// number and phone (no login), admins work the queue
+
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const supportController = require("../controllers/support.controller");
+
+// Middleware
+const { authenticate, adminOnly } = require("../middleware/auth.middleware");
+const {
+  validate,
+  validateQuery,
+  validateParams,
+} = require("../middleware/validation.middleware");
+const {
+  generalLimiter,
+  supportLimiter,
+  trackingLimiter,
+} = require("../middleware/rateLimiter.middleware");
+
+// Validators
+const {
+  createSupportTicketSchema,
+  updateTicketStatusSchema,
+  addTicketMessageSchema,
+  customerTicketMessageSchema,
+  assignTicketSchema,
+  ticketNumberParamSchema,
+  customerTicketQuerySchema,
+  ticketQuerySchema,
+  objectIdSchema,
+} = require("../utils/validators");
+
+// Customer routes take the ticket number (TKT-12345), admin routes the
+// document ID - the pattern keeps the two apart
+const TICKET_NUMBER_PATH = "/tickets/:ticketNumber(TKT-\\d{5})";
+
+// CUSTOMER ROUTES (Public)
+/**
+ * @route   POST /api/v1/support/tickets
+ * @desc    Open a support ticket about an order
+ * @access  Public
+ * @body    { orderNumber, customerPhone, message }
+ * @note    customerPhone must be the phone the order was bought for.
+ *          Keep the returned ticketNumber to follow the ticket
+ */
+router.post(
+  "/tickets",
+  supportLimiter,
+  validate(createSupportTicketSchema),
+  supportController.createTicket,
+);
+
+/**
+ * @route   GET /api/v1/support/tickets/:ticketNumber
+ * @desc    Get ticket status and message thread
+ * @access  Public
+ * @params  ticketNumber - TKT-12345
+ * @query   ?customerPhone=0241234567
+ */
+router.get(
+  TICKET_NUMBER_PATH,
+  trackingLimiter,
+  validateParams(ticketNumberParamSchema),
+  validateQuery(customerTicketQuerySchema),
+  supportController.getCustomerTicket,
+);
+
+/**
+ * @route   POST /api/v1/support/tickets/:ticketNumber/messages
+ * @desc    Reply to a ticket
+ * @access  Public
+ * @params  ticketNumber - TKT-12345
+ * @body    { customerPhone, message }
+ * @note    Reopens a resolved ticket. Closed tickets take no replies (409)
+ */
+router.post(
+  `${TICKET_NUMBER_PATH}/messages`,
+  trackingLimiter,
+  validateParams(ticketNumberParamSchema),
+  validate(customerTicketMessageSchema),
+  supportController.addCustomerMessage,
+);
+
+// ADMIN SUPPORT DESK (Admin only)
+/**
+ * @route   GET /api/v1/support/tickets
+ * @desc    List tickets, oldest first
+ * @access  Private (Admin only)
+ * @query   ?status=open&priority=high&assignedTo=me|none|<adminId>&orderNumber=&page=1&limit=20
+ */
+router.get(
+  "/tickets",
+  generalLimiter,
+  authenticate,
+  adminOnly,
+  validateQuery(ticketQuerySchema),
+  supportController.getTickets,
+);
+
+/**
+ * @route   GET /api/v1/support/tickets/:id
+ * @desc    Get ticket with its order, assignee and message thread
+ * @access  Private (Admin only)
+ * @params  id - Ticket ID
+ */
+router.get(
+  "/tickets/:id",
+  generalLimiter,
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  supportController.getTicketById,
+);
+
+/**
+ * @route   POST /api/v1/support/tickets/:id/assign
+ * @desc    Assign ticket to an admin (sets IN_PROGRESS)
+ * @access  Private (Admin only)
+ * @params  id - Ticket ID
+ * @body    { adminId? } - defaults to the requesting admin
+ */
+router.post(
+  "/tickets/:id/assign",
+  generalLimiter,
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  validate(assignTicketSchema),
+  supportController.assignTicket,
+);
+
+/**
+ * @route   POST /api/v1/support/tickets/:id/messages
+ * @desc    Reply to a ticket as support
+ * @access  Private (Admin only)
+ * @params  id - Ticket ID
+ * @body    { message }
+ * @note    Replying to an unassigned ticket assigns it to you
+ */
+router.post(
+  "/tickets/:id/messages",
+  generalLimiter,
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  validate(addTicketMessageSchema),
+  supportController.addAdminMessage,
+);
+
+/**
+ * @route   PATCH /api/v1/support/tickets/:id/status
+ * @desc    Change ticket status
+ * @access  Private (Admin only)
+ * @params  id - Ticket ID
+ * @body    { status } - OPEN, IN_PROGRESS, RESOLVED or CLOSED
+ * @note    OPEN -> IN_PROGRESS / RESOLVED / CLOSED, IN_PROGRESS -> OPEN / RESOLVED / CLOSED,
+ *          RESOLVED -> IN_PROGRESS / CLOSED. CLOSED is final
+ */
+router.patch(
+  "/tickets/:id/status",
+  generalLimiter,
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  validate(updateTicketStatusSchema),
+  supportController.updateTicketStatus,
+);
+
+module.exports = router;
@@ -1,6 +1,60 @@
 const express = require("express");
 const router = express.Router();
 const webhookController = require("../controllers/webhook.controller");
+const { authenticate, adminOnly } = require("../middleware/auth.middleware");
+const {
+  validateQuery,
+  validateParams,
+} = require("../middleware/validation.middleware");
+const {
+  webhookEventQuerySchema,
+  objectIdSchema,
+} = require("../utils/validators");
+
 // Public route, no auth middleware (Paystack calls this)
 router.post("/paystack", webhookController.handlePaystackWebhook);
+
+// WEBHOOK EVENT STORE (Admin only)
+/**
+ * @route   GET /api/v1/webhooks/events
+ * @desc    List received webhooks with processing status
+ * @access  Private (Admin only)
+ * @query   ?type=charge.success&status=failed&page=1&limit=20
+ */
+router.get(
+  "/events",
+  authenticate,
+  adminOnly,
+  validateQuery(webhookEventQuerySchema),
+  webhookController.getEvents,
+);
+
+/**
+ * @route   GET /api/v1/webhooks/events/:id
+ * @desc    Get a received webhook, including the raw body
+ * @access  Private (Admin only)
+ * @params  id - WebhookEvent ID
+ */
+router.get(
+  "/events/:id",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  webhookController.getEventById,
+);
+
+/**
+ * @route   POST /api/v1/webhooks/events/:id/replay
+ * @desc    Queue a stored webhook for processing again
+ * @access  Private (Admin only)
+ * @params  id - WebhookEvent ID
+ */
+router.post(
+  "/events/:id/replay",
+  authenticate,
+  adminOnly,
+  validateParams(objectIdSchema),
+  webhookController.replayEvent,
+);
+
 module.exports = router;
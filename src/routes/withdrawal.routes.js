@@ -0,0 +1,122 @@
+// WITHDRAWAL ROUTES
+// Reseller payout requests and admin approval
+
+const express = require("express");
+const router = express.Router();
+
+// Controllers
+const withdrawalController = require("../controllers/withdrawal.controller");
+
+// Middleware
+const {
+  authenticate,
+  adminOnly,
+  resellerOnly,
+} = require("../middleware/auth.middleware");
+const {
+  validate,
+  validateQuery,
+  validateParams,
+} = require("../middleware/validation.middleware");
+const { generalLimiter } = require("../middleware/rateLimiter.middleware");
+
+// Validators
+const {
+  requestWithdrawalSchema,
+  rejectWithdrawalSchema,
+  withdrawalQuerySchema,
+  objectIdSchema,
+} = require("../utils/validators");
+
+// Apply general rate limiting to all withdrawal routes
+router.use(generalLimiter);
+
+// All withdrawal routes require authentication
+router.use(authenticate);
+
+// RESELLER ROUTES
+/**
+ * @route   POST /api/v1/withdrawals
+ * @desc    Request a payout of available commission to mobile money
+ * @access  Private (Reseller only)
+ * @body    { amount, momoNetwork, momoNumber?, accountName? }
+ * @note    Minimum is ResellerSettings.MIN_WITHDRAWAL_AMOUNT. The amount is held
+ *          from the available balance until the payout completes or fails
+ */
+router.post(
+  "/",
+  resellerOnly,
+  validate(requestWithdrawalSchema),
+  withdrawalController.requestWithdrawal,
+);
+
+/**
+ * @route   GET /api/v1/withdrawals/me
+ * @desc    Get own withdrawal requests
+ * @access  Private (Reseller only)
+ * @query   ?status=pending&page=1&limit=20
+ */
+router.get(
+  "/me",
+  resellerOnly,
+  validateQuery(withdrawalQuerySchema),
+  withdrawalController.getMyWithdrawals,
+);
+
+// ADMIN ROUTES
+/**
+ * @route   GET /api/v1/withdrawals
+ * @desc    Get all withdrawal requests
+ * @access  Private (Admin only)
+ * @query   ?status=pending&reseller=RES-001&page=1&limit=20
+ */
+router.get(
+  "/",
+  adminOnly,
+  validateQuery(withdrawalQuerySchema),
+  withdrawalController.getWithdrawals,
+);
+
+/**
+ * @route   GET /api/v1/withdrawals/:id
+ * @desc    Get withdrawal details with its ledger entry
+ * @access  Private (Admin only)
+ * @params  id - Withdrawal ID
+ */
+router.get(
+  "/:id",
+  adminOnly,
+  validateParams(objectIdSchema),
+  withdrawalController.getWithdrawalById,
+);
+
+/**
+ * @route   POST /api/v1/withdrawals/:id/approve
+ * @desc    Approve a pending withdrawal and send the Paystack transfer
+ * @access  Private (Admin only)
+ * @params  id - Withdrawal ID
+ * @note    Completes or fails on the transfer.* webhook
+ */
+router.post(
+  "/:id/approve",
+  adminOnly,
+  validateParams(objectIdSchema),
+  withdrawalController.approveWithdrawal,
+);
+
+/**
+ * @route   POST /api/v1/withdrawals/:id/reject
+ * @desc    Reject a pending withdrawal; the amount goes back to the wallet
+ * @access  Private (Admin only)
+ * @params  id - Withdrawal ID
+ * @body    { reason }
+ */
+router.post(
+  "/:id/reject",
+  adminOnly,
+  validateParams(objectIdSchema),
+  validate(rejectWithdrawalSchema),
+  withdrawalController.rejectWithdrawal,
+);
+
+module.exports = router;
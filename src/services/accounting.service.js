@@ -0,0 +1,385 @@
+// ACCOUNTING SERVICE
+// Money movements shared by webhooks and admin actions:
+// payment checks, the payment ledger entry, settling a paid order and the
+// reseller commission entries behind the wallet (see wallet.service),
+// including override commission to the seller's upline
+//
+// Writes go through the order's session (order.$session()), so callers
+// can run them as one MongoDB transaction - see runInTransaction
+
+const mongoose = require("mongoose");
+const { Reseller, Transaction } = require("../models");
+const {
+  PaymentStatus,
+  TransactionType,
+  TransactionStatus,
+  CommissionType,
+  HouseSaleStage,
+} = require("../constants");
+const { roundToTwo, percentOf } = require("../utils/helpers");
+const settingsService = require("./settings.service");
+const eligibilityService = require("./eligibility.service");
+
+const ORDER_CURRENCY = "GHS";
+
+// Settings holding each upline level's override %, parent (level 1) first
+const OVERRIDE_LEVELS = [
+  "overrideCommissionPercent",
+  "grandparentOverrideCommissionPercent",
+];
+
+/**
+ * Run accounting writes as one MongoDB transaction
+ * Load documents with .session(session) inside fn; everything commits or
+ * nothing does. Write conflicts (e.g. the same charge twice at once) retry
+ * fn from the start, so fn must not touch anything outside the database.
+ * Needs a replica set (Atlas, or mongod --replSet).
+ *
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise<*>} Result of fn from the committed attempt
+ */
+const runInTransaction = async (fn) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
+/**
+ * Compare a charge with what the order costs
+ * Charge amounts are in pesewas (see services/payments)
+ *
+ * @param {Object} order - Order document
+ * @param {Object} charge - Charge data ({ amount, currency })
+ * @returns {Object|null} Discrepancy details, or null if the charge matches
+ */
+const checkChargeAmount = (order, charge) => {
+  const expectedAmount = roundToTwo(parseFloat(order.sellingPrice.toString()));
+  const receivedAmount = roundToTwo(Number(charge.amount || 0) / 100);
+  const receivedCurrency = (charge.currency || "").toUpperCase();
+
+  if (
+    receivedAmount === expectedAmount &&
+    receivedCurrency === ORDER_CURRENCY
+  ) {
+    return null;
+  }
+
+  return {
+    expectedAmount,
+    expectedCurrency: ORDER_CURRENCY,
+    receivedAmount,
+    receivedCurrency: receivedCurrency || null,
+    difference: roundToTwo(receivedAmount - expectedAmount),
+  };
+};
+
+/**
+ * Record a charge in the Transaction ledger
+ * @param {Object} order - Order document
+ * @param {Object} charge - Charge data
+ * @param {Object} options - Ledger options
+ * @param {number} options.amount - Amount received in GHS (defaults to selling price)
+ * @param {string} options.status - TransactionStatus (defaults to COMPLETED)
+ * @param {Object} options.metadata - Extra details
+ * @returns {Promise<Object>} Transaction document
+ */
+const recordPayment = async (
+  order,
+  charge,
+  {
+    amount = order.sellingPrice,
+    status = TransactionStatus.COMPLETED,
+    metadata = null,
+  } = {},
+) => {
+  const [transaction] = await Transaction.create(
+    [
+      {
+        transactionNumber: await Transaction.getNextTransactionNumber(),
+        orderId: order._id,
+        userId: order.resellerId,
+        type: TransactionType.ORDER_PAYMENT,
+        amount,
+        status,
+        paymentProvider: order.paymentProvider,
+        providerReference: charge.reference,
+        metadata,
+      },
+    ],
+    { session: order.$session() },
+  );
+  return transaction;
+};
+
+/**
+ * Turn a paid order into a house sale before it is settled
+ * For resellers who may no longer earn (see eligibility.service): the
+ * customer already paid the reseller's price, so the commission stays with
+ * the platform as profit and nobody is credited.
+ *
+ * @param {Object} order - Order document (not settled yet)
+ * @param {string} reason - Why the reseller was dropped
+ * @param {Object} options - History details, as in Order.addStatusNote
+ * @returns {Promise<Object>} Order document
+ */
+const convertToHouseSale = async (order, reason, options = {}) => {
+  const commission = parseFloat(order.commission.toString());
+
+  order.houseSale = {
+    resellerId: order.resellerId,
+    reason,
+    stage: HouseSaleStage.PAYMENT,
+    convertedAt: new Date(),
+  };
+  order.resellerId = null;
+  order.profit = roundToTwo(parseFloat(order.profit.toString()) + commission);
+  order.commission = 0;
+  order.commissionType = CommissionType.FLAT;
+  order.commissionRate = null;
+  await order.save();
+
+  await order.addStatusNote(
+    `House sale: ${reason}. Commission of GHS ${commission.toFixed(2)} not credited`,
+    options,
+  );
+  return order;
+};
+
+/**
+ * Settle a paid order
+ * Marks it PAID and PROCESSING and credits the reseller and their upline.
+ * Queue delivery once the transaction has committed (enqueueDelivery).
+ *
+ * @param {Object} order - Order document (payment fields already set)
+ * @param {Object} options - History details, as in Order.transitionTo
+ * @returns {Promise<Object>} Order document
+ */
+const settleOrderPayment = async (order, options = {}) => {
+  order.paymentStatus = PaymentStatus.PAID;
+  order.failureReason = null;
+  await order.markAsProcessing(options);
+
+  // Credit Reseller (Atomic)
+  if (order.resellerId) {
+    const reseller = await Reseller.findByIdAndUpdate(
+      order.resellerId,
+      {
+        $inc: {
+          totalEarnings: parseFloat(order.commission.toString()),
+          totalSales: parseFloat(order.sellingPrice.toString()),
+          totalOrders: 1,
+        },
+      },
+      { session: order.$session() },
+    );
+
+    // Refunds reverse these counters only for credited orders
+    order.commissionCreditedAt = new Date();
+    await order.save();
+
+    await recordCommission(order, reseller);
+    await recordOverrides(order, reseller);
+  }
+
+  return order;
+};
+
+/**
+ * Write the reseller's COMMISSION_EARNING entry for a paid order
+ * It stays PENDING until the order is closed (settleCommission)
+ *
+ * @param {Object} order - Order document
+ * @param {Object} reseller - Reseller document
+ * @returns {Promise<Object|null>} Transaction document (null if no commission)
+ */
+const recordCommission = async (order, reseller) => {
+  const amount = parseFloat(order.commission.toString());
+  if (!reseller || amount <= 0) return null;
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        transactionNumber: await Transaction.getNextTransactionNumber(),
+        orderId: order._id,
+        userId: reseller.userId,
+        resellerId: reseller._id,
+        type: TransactionType.COMMISSION_EARNING,
+        amount,
+        status: TransactionStatus.PENDING,
+      },
+    ],
+    { session: order.$session() },
+  );
+  return transaction;
+};
+
+/**
+ * Pay override commission to the seller's upline for a paid order
+ * Each level gets its setting's % of the order's profit, which comes out of
+ * that profit. Uplines who may not earn (see eligibility.service) are
+ * skipped. Entries are COMMISSION_EARNING with metadata.override, PENDING
+ * until the order is closed like the seller's own (settleCommission).
+ *
+ * @param {Object} order - Order document
+ * @param {Object} seller - Reseller document the order was sold through
+ * @returns {Promise<Array>} Overrides paid ({ resellerId, level, rate, amount })
+ */
+const recordOverrides = async (order, seller) => {
+  const profit = parseFloat(order.profit.toString());
+  if (!seller || profit <= 0) return [];
+
+  const overrides = [];
+  let upline = seller;
+
+  for (const [index, key] of OVERRIDE_LEVELS.entries()) {
+    if (!upline.parentResellerId) break;
+
+    upline = await Reseller.findById(upline.parentResellerId)
+      .populate({ path: "user", select: "status" })
+      .session(order.$session());
+    if (!upline) break;
+
+    const rate = Number(await settingsService.getSetting(key)) || 0;
+    const amount = percentOf(profit, rate);
+    if (amount <= 0 || eligibilityService.checkResellerEligibility(upline))
+      continue;
+
+    await Reseller.updateOne(
+      { _id: upline._id },
+      { $inc: { totalEarnings: amount } },
+      { session: order.$session() },
+    );
+
+    await Transaction.create(
+      [
+        {
+          transactionNumber: await Transaction.getNextTransactionNumber(),
+          orderId: order._id,
+          userId: upline.userId,
+          resellerId: upline._id,
+          type: TransactionType.COMMISSION_EARNING,
+          amount,
+          status: TransactionStatus.PENDING,
+          metadata: {
+            override: true,
+            level: index + 1,
+            rate,
+            fromResellerId: seller._id,
+            fromResellerCode: seller.resellerId, // RES-xxx, for display
+          },
+        },
+      ],
+      { session: order.$session() },
+    );
+
+    overrides.push({ resellerId: upline._id, level: index + 1, rate, amount });
+  }
+
+  if (overrides.length > 0) {
+    const total = roundToTwo(
+      overrides.reduce((sum, override) => sum + override.amount, 0),
+    );
+    order.overrides = overrides;
+    order.overrideCommission = total;
+    order.profit = roundToTwo(profit - total);
+    await order.save();
+  }
+
+  return overrides;
+};
+
+/**
+ * Release an order's commission (and overrides) to the available balances
+ * Called once the order is closed - delivered or refunded
+ *
+ * @param {Object} order - Order document
+ */
+const settleCommission = async (order) => {
+  if (!order.resellerId) return;
+
+  await Transaction.updateMany(
+    {
+      orderId: order._id,
+      type: TransactionType.COMMISSION_EARNING,
+      status: TransactionStatus.PENDING,
+    },
+    { status: TransactionStatus.COMPLETED },
+    { session: order.$session() },
+  );
+};
+
+/**
+ * Mark an order DELIVERED and release its commission, in one transaction
+ * @param {Object} order - Order document
+ * @param {Object} options - History details, as in Order.transitionTo
+ * @returns {Promise<Object>} Order document
+ */
+const markOrderDelivered = async (order, options = {}) => {
+  try {
+    await runInTransaction(async (session) => {
+      order.$session(session);
+      await order.markAsDelivered(options);
+      await settleCommission(order);
+    });
+  } finally {
+    order.$session(null);
+  }
+  return order;
+};
+
+/**
+ * Take back part of an order's commission (refunds)
+ * Settles the earnings first, so the debit comes off the available balance
+ *
+ * @param {Object} order - Order document
+ * @param {number} amount - Commission to take back in GHS
+ * @param {Object} metadata - Extra details (e.g. the refund reason)
+ * @param {string} resellerId - Whose commission: the seller, or an upline
+ *   for an override (defaults to the seller)
+ * @returns {Promise<Object|null>} Transaction document (null if nothing to take back)
+ */
+const reverseCommission = async (
+  order,
+  amount,
+  metadata = null,
+  resellerId = order.resellerId,
+) => {
+  await settleCommission(order);
+  if (!order.resellerId || !resellerId || amount <= 0) return null;
+
+  const earning = await Transaction.findOne({
+    orderId: order._id,
+    resellerId,
+    type: TransactionType.COMMISSION_EARNING,
+  }).session(order.$session());
+  if (!earning) return null; // Paid before the wallet ledger existed
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        transactionNumber: await Transaction.getNextTransactionNumber(),
+        orderId: order._id,
+        userId: earning.userId,
+        resellerId: earning.resellerId,
+        type: TransactionType.COMMISSION_REVERSAL,
+        amount,
+        status: TransactionStatus.COMPLETED,
+        metadata,
+      },
+    ],
+    { session: order.$session() },
+  );
+  return transaction;
+};
+
+module.exports = {
+  runInTransaction,
+  checkChargeAmount,
+  recordPayment,
+  convertToHouseSale,
+  settleOrderPayment,
+  markOrderDelivered,
+  reverseCommission,
+};
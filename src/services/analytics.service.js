@@ -0,0 +1,431 @@
+// ANALYTICS SERVICE
+// Order statistics over calendar-day ranges in Ghana time (see utils/date.util)
+//
+// Reseller stats: an order counts as paid once the money arrived - PAID, or
+// REFUNDED later. Sales and commission are summed over paid orders only.
+//
+// Revenue reports (admin): delivered orders that were never refunded, on the
+// day they were delivered. Each sale splits into
+//   sellingPrice (revenue) = costPrice (MNO cost) + profit (platform) + commission (reseller)
+//                            + overrideCommission (the seller's upline)
+
+const { Order, Reseller } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const {
+  HttpStatus,
+  OrderStatus,
+  PaymentStatus,
+  ReportSettings,
+} = require("../constants");
+const { roundToTwo } = require("../utils/helpers");
+const {
+  PERIOD_FORMATS,
+  resolveDayRange,
+  addDays,
+  countDays,
+  listPeriods,
+} = require("../utils/date.util");
+const walletService = require("./wallet.service");
+
+const PAID_STATUSES = [PaymentStatus.PAID, PaymentStatus.REFUNDED];
+
+// Aggregation expressions over one order
+const isPaid = { $in: ["$paymentStatus", PAID_STATUSES] };
+const isDelivered = { $and: [isPaid, { $gt: ["$deliveredAt", null] }] };
+// Paid but never delivered, and no longer trying
+const isUndelivered = {
+  $and: [
+    isPaid,
+    { $not: [{ $gt: ["$deliveredAt", null] }] },
+    { $in: ["$status", [OrderStatus.FAILED, OrderStatus.REFUNDED]] },
+  ],
+};
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+const sumIfPaid = (field) => ({ $sum: { $cond: [isPaid, field, 0] } });
+
+// Order counts and money for one group
+const orderTotals = {
+  orders: { $sum: 1 },
+  paidOrders: countIf(isPaid),
+  sales: sumIfPaid("$sellingPrice"),
+  commission: sumIfPaid("$commission"),
+};
+
+// Revenue split for one group of recognised sales
+const revenueTotals = {
+  orders: { $sum: 1 },
+  revenue: { $sum: "$sellingPrice" },
+  cost: { $sum: "$costPrice" },
+  profit: { $sum: "$profit" },
+  commission: { $sum: "$commission" },
+  overrideCommission: { $sum: "$overrideCommission" },
+};
+
+// Breakdown dimensions for revenue reports
+const REVENUE_DIMENSIONS = {
+  network: "$network",
+  bundle: "$bundleId",
+  reseller: "$resellerId",
+};
+
+/**
+ * Decimal128 sum -> GHS number
+ */
+const toMoney = (value) => roundToTwo(parseFloat((value || 0).toString()));
+
+/**
+ * Order counts and money for one group, as GHS numbers
+ */
+const toTotals = (group = {}) => ({
+  orders: group.orders || 0,
+  paidOrders: group.paidOrders || 0,
+  sales: toMoney(group.sales),
+  commission: toMoney(group.commission),
+});
+
+/**
+ * Revenue split for one group, as GHS numbers
+ */
+const toRevenueTotals = (group = {}) => ({
+  orders: group.orders || 0,
+  revenue: toMoney(group.revenue),
+  cost: toMoney(group.cost),
+  profit: toMoney(group.profit),
+  commission: toMoney(group.commission),
+  overrideCommission: toMoney(group.overrideCommission),
+});
+
+/**
+ * Percentage to two decimals, or null when there is nothing to measure
+ */
+const toRate = (part, whole) =>
+  whole > 0 ? roundToTwo((part / whole) * 100) : null;
+
+/**
+ * Percentage change of every figure against the previous period
+ * null where the previous period had nothing to compare with
+ */
+const toChange = (current, previous) =>
+  Object.fromEntries(
+    Object.keys(current).map((key) => [
+      key,
+      toRate(current[key] - previous[key], previous[key]),
+    ]),
+  );
+
+/**
+ * Resolve a report range, or throw 400 when it is empty or too long
+ * Only one end may be given - the other is filled in, so check the result
+ */
+const resolveReportRange = ({ from, to }) => {
+  const range = resolveDayRange({ from, to }, ReportSettings.TIMEZONE);
+  const days = countDays(range.from, range.to);
+
+  if (days < 1 || days > ReportSettings.MAX_RANGE_DAYS)
+    throw createError(
+      `Date range must be 1 to ${ReportSettings.MAX_RANGE_DAYS} days`,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  return { ...range, days };
+};
+
+/**
+ * Range of the same length that ends the day before
+ */
+const previousRangeOf = (range) =>
+  resolveDayRange(
+    {
+      from: addDays(range.from, -range.days),
+      to: addDays(range.from, -1),
+    },
+    ReportSettings.TIMEZONE,
+  );
+
+/**
+ * Orders whose revenue is recognised in a range: delivered and not refunded
+ * (any refund moves the order to REFUNDED)
+ */
+const recognisedSalesIn = (range) => ({
+  status: OrderStatus.DELIVERED,
+  paymentStatus: PaymentStatus.PAID,
+  deliveredAt: { $gte: range.start, $lt: range.end },
+});
+
+/**
+ * Revenue split over a whole range
+ */
+const sumRevenue = async (range) => {
+  const [group] = await Order.aggregate([
+    { $match: recognisedSalesIn(range) },
+    { $group: { _id: null, ...revenueTotals } },
+  ]);
+  return toRevenueTotals(group);
+};
+
+/**
+ * Revenue split per dimension value over a range, keyed by value
+ */
+const sumRevenueBy = async (range, dimension) => {
+  const groups = await Order.aggregate([
+    { $match: recognisedSalesIn(range) },
+    {
+      $group: {
+        _id: REVENUE_DIMENSIONS[dimension],
+        bundleName: { $last: "$bundleName" },
+        network: { $last: "$network" },
+        ...revenueTotals,
+      },
+    },
+  ]);
+  return new Map(groups.map((group) => [String(group._id), group]));
+};
+
+/**
+ * Get Reseller Stats
+ * Sales, commission and order counts over time and by network and bundle,
+ * with the created-to-paid conversion rate and delivery success rate.
+ *
+ * @param {string} resellerId - Reseller document ID or RES-XXX
+ * @param {Object} options - from, to (YYYY-MM-DD, inclusive), groupBy (day, week, month)
+ */
+const getResellerStats = async (
+  resellerId,
+  { from, to, groupBy = "day" } = {},
+) => {
+  const reseller = await walletService.findResellerOrFail(resellerId);
+  const timezone = ReportSettings.TIMEZONE;
+  const range = resolveReportRange({ from, to });
+
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        resellerId: reseller._id,
+        createdAt: { $gte: range.start, $lt: range.end },
+      },
+    },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              ...orderTotals,
+              delivered: countIf(isDelivered),
+              undelivered: countIf(isUndelivered),
+              refunded: sumIfPaid("$refundedAmount"),
+            },
+          },
+        ],
+        series: [
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: PERIOD_FORMATS[groupBy],
+                  date: "$createdAt",
+                  timezone,
+                },
+              },
+              ...orderTotals,
+            },
+          },
+        ],
+        byNetwork: [
+          { $group: { _id: "$network", ...orderTotals } },
+          { $sort: { sales: -1, orders: -1 } },
+        ],
+        byBundle: [
+          {
+            $group: {
+              _id: "$bundleId",
+              bundleName: { $last: "$bundleName" },
+              network: { $last: "$network" },
+              ...orderTotals,
+            },
+          },
+          { $sort: { sales: -1, orders: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const summary = result.summary[0] || {};
+  const totals = toTotals(summary);
+  const delivered = summary.delivered || 0;
+  const undelivered = summary.undelivered || 0;
+
+  // One entry per period, including quiet ones, so charts have no gaps
+  const seriesByPeriod = new Map(
+    result.series.map((group) => [group._id, group]),
+  );
+
+  return {
+    reseller: {
+      id: reseller._id.toString(),
+      resellerId: reseller.resellerId,
+    },
+    range: { from: range.from, to: range.to, timezone, groupBy },
+    summary: {
+      ...totals,
+      refunded: toMoney(summary.refunded),
+      deliveredOrders: delivered,
+      failedOrders: undelivered,
+      conversionRate: toRate(totals.paidOrders, totals.orders),
+      deliverySuccessRate: toRate(delivered, delivered + undelivered),
+    },
+    series: listPeriods(range.from, range.to, groupBy).map((period) => ({
+      period,
+      ...toTotals(seriesByPeriod.get(period)),
+    })),
+    byNetwork: result.byNetwork.map((group) => ({
+      network: group._id,
+      ...toTotals(group),
+    })),
+    byBundle: result.byBundle.map((group) => ({
+      bundleId: group._id.toString(),
+      bundleName: group.bundleName,
+      network: group.network,
+      ...toTotals(group),
+    })),
+  };
+};
+
+/**
+ * Get Revenue Report (Admin)
+ * Revenue, MNO cost, platform profit and reseller commission over a range,
+ * per period, compared with the previous period of the same length.
+ *
+ * @param {Object} options - from, to (YYYY-MM-DD, inclusive), groupBy (day, week, month)
+ */
+const getRevenueReport = async ({ from, to, groupBy = "day" } = {}) => {
+  const timezone = ReportSettings.TIMEZONE;
+  const range = resolveReportRange({ from, to });
+  const previousRange = previousRangeOf(range);
+
+  const [summary, previous, series] = await Promise.all([
+    sumRevenue(range),
+    sumRevenue(previousRange),
+    Order.aggregate([
+      { $match: recognisedSalesIn(range) },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: PERIOD_FORMATS[groupBy],
+              date: "$deliveredAt",
+              timezone,
+            },
+          },
+          ...revenueTotals,
+        },
+      },
+    ]),
+  ]);
+
+  const seriesByPeriod = new Map(series.map((group) => [group._id, group]));
+
+  return {
+    range: { from: range.from, to: range.to, timezone, groupBy },
+    previousRange: { from: previousRange.from, to: previousRange.to },
+    summary: { ...summary, margin: toRate(summary.profit, summary.revenue) },
+    previous: {
+      ...previous,
+      margin: toRate(previous.profit, previous.revenue),
+    },
+    change: toChange(summary, previous),
+    series: listPeriods(range.from, range.to, groupBy).map((period) => ({
+      period,
+      ...toRevenueTotals(seriesByPeriod.get(period)),
+    })),
+  };
+};
+
+/**
+ * Get Revenue Breakdown (Admin)
+ * The revenue split per network, bundle or reseller, highest revenue first,
+ * each with its share of revenue and its figures for the previous period.
+ * Orders without a reseller (direct sales) come under reseller null.
+ *
+ * @param {string} dimension - network, bundle or reseller
+ * @param {Object} options - from, to (YYYY-MM-DD, inclusive)
+ */
+const getRevenueBreakdown = async (dimension, { from, to } = {}) => {
+  const range = resolveReportRange({ from, to });
+  const previousRange = previousRangeOf(range);
+
+  const [current, previous] = await Promise.all([
+    sumRevenueBy(range, dimension),
+    sumRevenueBy(previousRange, dimension),
+  ]);
+
+  // Values seen in either period, so anything that stopped selling shows too
+  const keys = [...new Set([...current.keys(), ...previous.keys()])];
+
+  let resellers = new Map();
+  if (dimension === "reseller") {
+    const found = await Reseller.find({
+      _id: { $in: keys.filter((key) => key !== "null") },
+    }).select("resellerId referralCode");
+    resellers = new Map(
+      found.map((reseller) => [String(reseller._id), reseller]),
+    );
+  }
+
+  const total = [...current.values()].reduce(
+    (sum, group) => sum + toMoney(group.revenue),
+    0,
+  );
+
+  // What the row is, from whichever period has it
+  const describe = (key) => {
+    const group = current.get(key) || previous.get(key);
+    if (dimension === "network") return { network: group._id };
+    if (dimension === "bundle")
+      return {
+        bundleId: key,
+        bundleName: group.bundleName,
+        network: group.network,
+      };
+
+    const reseller = resellers.get(key);
+    return {
+      resellerId: key === "null" ? null : key,
+      resellerCode: reseller ? reseller.resellerId : null,
+    };
+  };
+
+  const rows = keys
+    .map((key) => {
+      const totals = toRevenueTotals(current.get(key));
+      const before = toRevenueTotals(previous.get(key));
+      return {
+        ...describe(key),
+        ...totals,
+        share: toRate(totals.revenue, total),
+        previous: before,
+        change: toChange(totals, before),
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.revenue - a.revenue || b.previous.revenue - a.previous.revenue,
+    );
+
+  return {
+    range: {
+      from: range.from,
+      to: range.to,
+      timezone: ReportSettings.TIMEZONE,
+    },
+    previousRange: { from: previousRange.from, to: previousRange.to },
+    dimension,
+    rows,
+  };
+};
+
+module.exports = {
+  getResellerStats,
+  getRevenueReport,
+  getRevenueBreakdown,
+};
@@ -10,6 +10,7 @@ const {
   sanitizeUser,
 } = require("../utils/helpers");
 const { createError } = require("../middleware/error.middleware");
+const eligibilityService = require("./eligibility.service");
 const {
   HttpStatus,
   ErrorMessages,
@@ -18,11 +19,35 @@ const {
   UserStatus,
 } = require("../constants");
 
+/**
+ * Find the active reseller behind an upline referral code, or throw 400
+ */
+const findUpline = async (uplineReferralCode) => {
+  const upline = await Reseller.findByReferralCode(uplineReferralCode).populate(
+    { path: "user", select: "status" },
+  );
+
+  if (!upline || eligibilityService.checkResellerEligibility(upline))
+    throw createError(
+      ErrorMessages.INVALID_UPLINE_CODE,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  return upline;
+};
+
 /**
  * Register new reseller
- * Creates user with PENDING status awaiting admin approval
+ * Creates user with PENDING status awaiting admin approval. With an upline
+ * referral code, the new reseller joins that reseller's downline.
  */
-const register = async ({ name, email, phone, password }) => {
+const register = async ({
+  name,
+  email,
+  phone,
+  password,
+  uplineReferralCode,
+}) => {
   try {
     // Check if user already exists
     // Mongoose: Use findOne with $or operator
@@ -45,6 +70,10 @@ const register = async ({ name, email, phone, password }) => {
       }
     }
 
+    const upline = uplineReferralCode
+      ? await findUpline(uplineReferralCode)
+      : null;
+
     // Hash password
     const hashedPassword = await hashPassword(password);
 
@@ -73,6 +102,7 @@ const register = async ({ name, email, phone, password }) => {
       referralCode,
       pricingMode: "PRESET",
       presetCommission: 5.0,
+      parentResellerId: upline ? upline._id : null,
     });
 
     // Populate reseller virtual field for response
@@ -0,0 +1,296 @@
+// BUNDLE SERVICE
+// Business logic for the bundle catalog and admin bundle management
+
+const { Bundle, Order, ResellerPricing } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const { HttpStatus, ErrorMessages, SuccessMessages } = require("../constants");
+const pricingService = require("./pricing.service");
+
+/**
+ * Shape a bundle for the public catalog
+ * Cost price, base price and commission stay internal
+ *
+ * @param {Object} bundle - Bundle document
+ * @param {Object} quote - Price quote from pricingService.quoteBundle
+ * @returns {Object} Catalog item
+ */
+const toCatalogItem = (bundle, quote) => ({
+  id: bundle._id.toString(),
+  name: bundle.name,
+  network: bundle.network,
+  volume: bundle.volume,
+  price: quote.sellingPrice,
+  currency: "GHS",
+});
+
+/**
+ * Get active bundles priced for a reseller's customers
+ *
+ * @param {Object|null} reseller - Reseller document (null for base prices)
+ * @param {Object} options - Catalog options
+ * @param {string} options.network - Filter by network (MTN, TELECEL, AT)
+ * @returns {Promise<Object[]>} Catalog items, by network then price
+ */
+const getPricedBundles = async (reseller, { network } = {}) => {
+  const query = network ? Bundle.findByNetwork(network) : Bundle.findActive();
+  const bundles = await query.sort({ network: 1, basePrice: 1 });
+
+  const customCommissions = await pricingService.getCustomCommissions(reseller);
+
+  return bundles.map((bundle) =>
+    toCatalogItem(
+      bundle,
+      pricingService.quoteBundle(bundle, reseller, customCommissions),
+    ),
+  );
+};
+
+/**
+ * Get active bundles with customer prices
+ * Without a referral code, prices are the plain base prices
+ *
+ * @param {Object} options - Catalog options
+ * @param {string} options.network - Filter by network (MTN, TELECEL, AT)
+ * @param {string} options.referralCode - Reseller referral code (?ref=)
+ * @returns {Promise<Object>} Priced catalog
+ */
+const getCatalog = async ({ network, referralCode } = {}) => {
+  const reseller = referralCode
+    ? await pricingService.getResellerByReferralCode(referralCode)
+    : null;
+
+  return {
+    referralCode: reseller ? reseller.referralCode : null,
+    bundles: await getPricedBundles(reseller, { network }),
+  };
+};
+
+/**
+ * Get a single active bundle with its customer price
+ *
+ * @param {string} bundleId - Bundle ID
+ * @param {Object} options - Catalog options
+ * @param {string} options.referralCode - Reseller referral code (?ref=)
+ * @returns {Promise<Object>} Catalog item
+ */
+const getCatalogBundle = async (bundleId, { referralCode } = {}) => {
+  const bundle = await Bundle.findById(bundleId);
+
+  if (!bundle || !bundle.isActive()) {
+    throw createError(ErrorMessages.BUNDLE_NOT_FOUND, HttpStatus.NOT_FOUND);
+  }
+
+  const reseller = referralCode
+    ? await pricingService.getResellerByReferralCode(referralCode)
+    : null;
+
+  const customCommissions = await pricingService.getCustomCommissions(
+    reseller,
+    [bundle._id],
+  );
+
+  return toCatalogItem(
+    bundle,
+    pricingService.quoteBundle(bundle, reseller, customCommissions),
+  );
+};
+
+/**
+ * Get networks that currently have active bundles
+ * @returns {Promise<string[]>} Network names
+ */
+const getNetworks = async () => {
+  const networks = await Bundle.getAvailableNetworks();
+  return networks.sort();
+};
+
+/**
+ * Find bundle by ID or throw 404
+ * @param {string} bundleId - Bundle ID
+ * @returns {Promise<Object>} Bundle document
+ */
+const findBundleOrFail = async (bundleId) => {
+  const bundle = await Bundle.findById(bundleId);
+
+  if (!bundle) {
+    throw createError(ErrorMessages.BUNDLE_NOT_FOUND, HttpStatus.NOT_FOUND);
+  }
+
+  return bundle;
+};
+
+/**
+ * Get all bundles including inactive ones
+ * Admin only - includes cost price and profit margin
+ *
+ * @param {Object} filters - Filter options
+ * @param {string} filters.network - Filter by network
+ * @param {boolean} filters.active - Filter by active flag
+ * @returns {Promise<Object[]>} Bundles
+ */
+const getAllBundles = async ({ network, active } = {}) => {
+  const where = {};
+  if (network) where.network = network;
+  if (active !== undefined) where.active = active;
+
+  const bundles = await Bundle.find(where).sort({ network: 1, basePrice: 1 });
+
+  return bundles.map((bundle) => ({
+    ...bundle.toJSON(),
+    profitMargin: bundle.getProfitMargin(),
+  }));
+};
+
+/**
+ * Create bundle
+ * Admin only - name must be unique per network
+ *
+ * @param {Object} data - Validated bundle data
+ * @returns {Promise<Object>} Created bundle
+ */
+const createBundle = async (data) => {
+  const exists = await Bundle.bundleExists(data.name, data.network);
+
+  if (exists) {
+    throw createError(ErrorMessages.BUNDLE_ALREADY_EXISTS, HttpStatus.CONFLICT);
+  }
+
+  const bundle = await Bundle.create(data);
+
+  return {
+    bundle,
+    message: SuccessMessages.BUNDLE_CREATED,
+  };
+};
+
+/**
+ * Update bundle
+ * Admin only - price changes only affect new orders (orders keep a snapshot).
+ * New commission bounds apply at checkout to custom prices already saved.
+ *
+ * @param {string} bundleId - Bundle ID
+ * @param {Object} updates - Validated fields to update
+ * @returns {Promise<Object>} Updated bundle
+ */
+const updateBundle = async (bundleId, updates) => {
+  const bundle = await findBundleOrFail(bundleId);
+
+  // Check for duplicate name on the same network
+  if (updates.name && updates.name !== bundle.name) {
+    const exists = await Bundle.bundleExists(updates.name, bundle.network);
+
+    if (exists) {
+      throw createError(
+        ErrorMessages.BUNDLE_ALREADY_EXISTS,
+        HttpStatus.CONFLICT,
+      );
+    }
+  }
+
+  const allowedUpdates = [
+    "name",
+    "volume",
+    "costPrice",
+    "basePrice",
+    "minCommission",
+    "maxCommission",
+    "active",
+  ];
+
+  for (const field of allowedUpdates) {
+    if (updates[field] !== undefined) {
+      bundle[field] = updates[field];
+    }
+  }
+
+  // Pre-save hook rejects basePrice < costPrice and maxCommission < minCommission
+  await bundle.save();
+
+  return {
+    bundle,
+    message: SuccessMessages.BUNDLE_UPDATED,
+  };
+};
+
+/**
+ * Activate bundle
+ * Admin only - makes bundle visible in the catalog again
+ *
+ * @param {string} bundleId - Bundle ID
+ * @returns {Promise<Object>} Updated bundle
+ */
+const activateBundle = async (bundleId) => {
+  const bundle = await findBundleOrFail(bundleId);
+
+  if (bundle.isActive()) {
+    throw createError("Bundle is already active", HttpStatus.BAD_REQUEST);
+  }
+
+  await bundle.activate();
+
+  return {
+    bundle,
+    message: SuccessMessages.BUNDLE_ACTIVATED,
+  };
+};
+
+/**
+ * Deactivate bundle
+ * Admin only - hides bundle from the catalog and blocks new orders
+ *
+ * @param {string} bundleId - Bundle ID
+ * @returns {Promise<Object>} Updated bundle
+ */
+const deactivateBundle = async (bundleId) => {
+  const bundle = await findBundleOrFail(bundleId);
+
+  if (!bundle.isActive()) {
+    throw createError("Bundle is already inactive", HttpStatus.BAD_REQUEST);
+  }
+
+  await bundle.deactivate();
+
+  return {
+    bundle,
+    message: SuccessMessages.BUNDLE_DEACTIVATED,
+  };
+};
+
+/**
+ * Delete bundle
+ * Admin only - refused once any order references the bundle
+ *
+ * @param {string} bundleId - Bundle ID
+ * @returns {Promise<Object>} Success message
+ */
+const deleteBundle = async (bundleId) => {
+  const bundle = await findBundleOrFail(bundleId);
+
+  const orderCount = await Order.countDocuments({ bundleId: bundle._id });
+
+  if (orderCount > 0) {
+    throw createError(ErrorMessages.BUNDLE_HAS_ORDERS, HttpStatus.CONFLICT);
+  }
+
+  // Remove reseller custom prices for this bundle
+  await ResellerPricing.deleteByBundle(bundle._id);
+
+  await bundle.deleteOne();
+
+  return {
+    message: SuccessMessages.BUNDLE_DELETED,
+  };
+};
+
+module.exports = {
+  getPricedBundles,
+  getCatalog,
+  getCatalogBundle,
+  getNetworks,
+  getAllBundles,
+  createBundle,
+  updateBundle,
+  activateBundle,
+  deactivateBundle,
+  deleteBundle,
+};
@@ -0,0 +1,62 @@
+// ELIGIBILITY SERVICE
+// Whether a reseller may sell and earn commission: only while their user
+// account is ACTIVE. Checked at checkout (order.service) and again when
+// the payment is accounted for (charge.success, payment review).
+
+const { Reseller } = require("../models");
+const { ErrorMessages, UserStatus } = require("../constants");
+
+// What customers are told, by the reseller's account status
+const BLOCKED_MESSAGES = {
+  [UserStatus.PENDING]: ErrorMessages.SHOP_NOT_OPEN,
+  [UserStatus.SUSPENDED]: ErrorMessages.SHOP_SUSPENDED,
+  [UserStatus.REJECTED]: ErrorMessages.SHOP_CLOSED,
+};
+
+/**
+ * Check a reseller can sell
+ * @param {Object} reseller - Reseller document with user (status) populated
+ * @returns {Object|null} null if eligible, else { resellerId, status, message, reason }
+ *   message is for customers, reason is recorded on orders
+ */
+const checkResellerEligibility = (reseller) => {
+  const status = reseller.user ? reseller.user.status : null;
+  if (status === UserStatus.ACTIVE) return null;
+
+  return {
+    resellerId: reseller.resellerId,
+    status,
+    message: BLOCKED_MESSAGES[status] || ErrorMessages.RESELLER_NOT_ELIGIBLE,
+    reason: status
+      ? `Reseller ${reseller.resellerId} is ${status}`
+      : `Reseller ${reseller.resellerId} has no user account`,
+  };
+};
+
+/**
+ * Check the reseller an order was placed through, in the order's session
+ * @param {Object} order - Order document
+ * @returns {Promise<Object|null>} As checkResellerEligibility; null for house sales
+ */
+const checkOrderReseller = async (order) => {
+  if (!order.resellerId) return null;
+
+  const reseller = await Reseller.findById(order.resellerId)
+    .populate({ path: "user", select: "status" })
+    .session(order.$session());
+
+  if (!reseller)
+    return {
+      resellerId: null,
+      status: null,
+      message: ErrorMessages.RESELLER_NOT_ELIGIBLE,
+      reason: "Reseller no longer exists",
+    };
+
+  return checkResellerEligibility(reseller);
+};
+
+module.exports = {
+  checkResellerEligibility,
+  checkOrderReseller,
+};
@@ -0,0 +1,116 @@
+// FULFILMENT SERVICE
+// Sends paid bundles to the customer through a provider per network
+//
+// A provider is any object with:
+//   name     - Provider name (stored on the order)
+//   network  - Network it serves
+//   deliver(order) - Resolves { reference, message } once the bundle is sent,
+//                    throws if the network rejected it
+//
+// Providers are chosen per network by FULFILMENT_PROVIDER_<NETWORK>.
+// A network without one is fulfilled by hand: its paid orders stay
+// PROCESSING until an admin marks them DELIVERED or FAILED.
+// To add a real API, write a factory like createMockProvider and add it below.
+
+const { config } = require("../../config/env");
+const { Network } = require("../../constants");
+const { createMockProvider } = require("./mock.provider");
+
+// Provider name -> factory(network, config)
+const providerFactories = {
+  mock: (network) => createMockProvider(network, config.fulfilment.mock),
+};
+
+// Network -> provider instance (built on first use)
+const providers = new Map();
+
+/**
+ * Get the provider for a network
+ * @param {string} network - MTN, TELECEL or AT
+ * @returns {Object|null} Fulfilment provider, or null if none is configured
+ */
+const getProvider = (network) => {
+  if (providers.has(network)) return providers.get(network);
+
+  if (!Object.values(Network).includes(network)) {
+    throw new Error(`Unknown network: ${network}`);
+  }
+
+  const name = config.fulfilment.providers[network];
+  if (!name) return null;
+
+  if (name === "mock" && config.isProduction) {
+    throw new Error(
+      `The mock fulfilment provider cannot be used in production (configured for ${network})`,
+    );
+  }
+
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(
+      `No fulfilment provider named "${name}" (configured for ${network})`,
+    );
+  }
+
+  const provider = factory(network);
+  providers.set(network, provider);
+
+  return provider;
+};
+
+/**
+ * Check a network's orders are delivered automatically
+ * @param {string} network - MTN, TELECEL or AT
+ * @returns {boolean}
+ */
+const hasProvider = (network) => getProvider(network) !== null;
+
+/**
+ * Replace the provider for a network (e.g. in scripts)
+ * @param {string} network - MTN, TELECEL or AT
+ * @param {Object} provider - Fulfilment provider
+ */
+const registerProvider = (network, provider) => {
+  providers.set(network, provider);
+};
+
+/**
+ * Deliver an order's bundle
+ * Fails if the provider does not answer within FULFILMENT_TIMEOUT_MS
+ *
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { provider, reference, message }
+ */
+const deliverOrder = async (order) => {
+  const provider = getProvider(order.network);
+  if (!provider) {
+    throw new Error(`No fulfilment provider configured for ${order.network}`);
+  }
+  const { timeoutMs } = config.fulfilment;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          new Error(`${provider.name} provider timed out after ${timeoutMs}ms`),
+        ),
+      timeoutMs,
+    );
+  });
+
+  try {
+    const result = await Promise.race([provider.deliver(order), timeout]);
+    return { provider: provider.name, ...result };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+module.exports = {
+  getProvider,
+  hasProvider,
+  registerProvider,
+  deliverOrder,
+};
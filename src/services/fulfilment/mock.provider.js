@@ -0,0 +1,56 @@
+// MOCK FULFILMENT PROVIDER
+// Offline stand-in for a network's bundle API
+// Outcome is set by MOCK_FULFILMENT_OUTCOME: success | fail | timeout
+
+const crypto = require("crypto");
+
+const OUTCOMES = ["success", "fail", "timeout"];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a mock provider for a network
+ *
+ * @param {string} network - Network the provider serves (MTN, TELECEL, AT)
+ * @param {Object} options - Mock options (config.fulfilment.mock)
+ * @param {string} options.outcome - success | fail | timeout
+ * @param {number} options.latencyMs - Simulated API latency
+ * @returns {Object} Fulfilment provider
+ */
+const createMockProvider = (
+  network,
+  { outcome = "success", latencyMs = 0 },
+) => {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new Error(
+      `Invalid mock fulfilment outcome "${outcome}". Must be one of: ${OUTCOMES.join(", ")}`,
+    );
+  }
+
+  return {
+    name: "mock",
+    network,
+
+    async deliver(order) {
+      if (outcome === "timeout") {
+        // Never answers - the fulfilment service timeout takes over
+        return new Promise(() => {});
+      }
+
+      await wait(latencyMs);
+
+      if (outcome === "fail") {
+        throw new Error(
+          `Mock ${network} provider rejected ${order.bundleName} for ${order.customerPhone}`,
+        );
+      }
+
+      return {
+        reference: `MOCK-${network}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+        message: `Mock ${network} provider delivered ${order.bundleName}`,
+      };
+    },
+  };
+};
+
+module.exports = { createMockProvider };
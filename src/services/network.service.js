@@ -0,0 +1,181 @@
+// NETWORK SERVICE
+// Multi-level reseller network: each reseller may have a parent (upline)
+// who recruited them, set at registration (see auth.service). Uplines earn
+// override commission on their downline's paid orders - parent at level 1,
+// grandparent at level 2 - as COMMISSION_EARNING entries with
+// metadata.override (see accounting.service.recordOverrides).
+
+const { Reseller, Transaction } = require("../models");
+const { TransactionType, TransactionStatus } = require("../constants");
+const { roundToTwo } = require("../utils/helpers");
+const walletService = require("./wallet.service");
+
+// Ledger entries that make up override earnings
+const OVERRIDE_TYPES = [
+  TransactionType.COMMISSION_EARNING,
+  TransactionType.COMMISSION_REVERSAL,
+];
+
+/**
+ * Public summary of a reseller in a network
+ */
+const toMember = (reseller) => ({
+  id: reseller._id.toString(),
+  resellerId: reseller.resellerId,
+  name: reseller.user ? reseller.user.name : null,
+  status: reseller.user ? reseller.user.status : null,
+  shopName: reseller.shopName,
+  joinedAt: reseller.createdAt,
+});
+
+/**
+ * Get Downline
+ * The reseller's upline and the sub-agents they recruited, newest first,
+ * with how many sub-agents each of those recruited in turn
+ *
+ * @param {string} resellerId - Reseller document ID or RES-XXX
+ * @param {Object} options - page, limit
+ * @returns {Promise<Object>} { upline, summary: { direct, indirect }, downline, total, page, limit }
+ */
+const getDownline = async (resellerId, { page = 1, limit = 20 } = {}) => {
+  const reseller = await walletService.findResellerOrFail(resellerId);
+  const where = { parentResellerId: reseller._id };
+
+  const [members, directIds, upline] = await Promise.all([
+    Reseller.find(where)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({ path: "user", select: "name status" }),
+    Reseller.distinct("_id", where),
+    reseller.parentResellerId
+      ? Reseller.findById(reseller.parentResellerId).populate({
+          path: "user",
+          select: "name status",
+        })
+      : null,
+  ]);
+
+  const subAgents = await Reseller.aggregate([
+    { $match: { parentResellerId: { $in: directIds } } },
+    { $group: { _id: "$parentResellerId", count: { $sum: 1 } } },
+  ]);
+  const subAgentsByParent = new Map(
+    subAgents.map(({ _id, count }) => [_id.toString(), count]),
+  );
+
+  return {
+    upline: upline ? toMember(upline) : null,
+    summary: {
+      direct: directIds.length,
+      indirect: subAgents.reduce((sum, { count }) => sum + count, 0),
+    },
+    downline: members.map((member) => ({
+      ...toMember(member),
+      subAgents: subAgentsByParent.get(member._id.toString()) || 0,
+    })),
+    total: directIds.length,
+    page,
+    limit,
+  };
+};
+
+/**
+ * Get Override Earnings
+ * Override commission earned from the downline and taken back by refunds,
+ * newest first, with totals per status and per level
+ *
+ * @param {string} resellerId - Reseller document ID or RES-XXX
+ * @param {Object} filters - type, status, from, to, page, limit
+ * @returns {Promise<Object>} { summary, entries, total, page, limit }
+ */
+const getOverrideEarnings = async (
+  resellerId,
+  { type, status, from, to, page = 1, limit = 20 } = {},
+) => {
+  const reseller = await walletService.findResellerOrFail(resellerId);
+
+  const overrides = {
+    resellerId: reseller._id,
+    type: { $in: OVERRIDE_TYPES },
+    "metadata.override": true,
+  };
+
+  const where = { ...overrides, type: type || overrides.type };
+  if (status) where.status = status;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.$gte = from;
+    if (to) where.createdAt.$lte = to;
+  }
+
+  const [entries, total, totals] = await Promise.all([
+    Transaction.find(where)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({
+        path: "order",
+        select: "orderNumber bundleName network status",
+      }),
+    Transaction.countDocuments(where),
+    Transaction.aggregate([
+      {
+        $match: { ...overrides, status: { $ne: TransactionStatus.FAILED } },
+      },
+      {
+        $group: {
+          _id: {
+            type: "$type",
+            status: "$status",
+            level: "$metadata.level",
+          },
+          total: { $sum: "$amount" },
+        },
+      },
+    ]),
+  ]);
+
+  // Earnings count up, reversals count down
+  const summary = { pending: 0, earned: 0, reversed: 0, lifetime: 0 };
+  const byLevel = {};
+  for (const { _id, total: sum } of totals) {
+    const amount = parseFloat(sum.toString());
+    const signed =
+      _id.type === TransactionType.COMMISSION_REVERSAL ? -amount : amount;
+
+    if (_id.type === TransactionType.COMMISSION_REVERSAL)
+      summary.reversed += amount;
+    else if (_id.status === TransactionStatus.PENDING)
+      summary.pending += amount;
+    else summary.earned += amount;
+
+    summary.lifetime += signed;
+    byLevel[_id.level] = (byLevel[_id.level] || 0) + signed;
+  }
+
+  return {
+    summary: {
+      currency: "GHS",
+      pending: roundToTwo(summary.pending),
+      earned: roundToTwo(summary.earned),
+      reversed: roundToTwo(summary.reversed),
+      lifetime: roundToTwo(summary.lifetime),
+      byLevel: Object.entries(byLevel)
+        .map(([level, amount]) => ({
+          level: Number(level),
+          amount: roundToTwo(amount),
+        }))
+        .sort((a, b) => a.level - b.level),
+    },
+    entries,
+    total,
+    page,
+    limit,
+  };
+};
+
+module.exports = {
+  getDownline,
+  getOverrideEarnings,
+};
@@ -1,24 +1,69 @@
 // src/services/order.service.js
-const { Order, Reseller, Bundle, ResellerPricing } = require("../models");
-const { generateOrderNumber } = require("../utils/helpers");
-const { OrderStatus, PaymentStatus, PricingMode } = require("../constants");
+const mongoose = require("mongoose");
+const { Order, Bundle, Reseller, Transaction } = require("../models");
+const {
+  generateOrderNumber,
+  formatPhoneNumber,
+  roundToTwo,
+} = require("../utils/helpers");
+const {
+  OrderStatus,
+  PaymentStatus,
+  TransactionType,
+  TransactionStatus,
+  ErrorMessages,
+  SuccessMessages,
+  RegexPatterns,
+  StatusActor,
+  HouseSaleStage,
+} = require("../constants");
 const { createError } = require("../middleware/error.middleware");
 const { HttpStatus } = require("../constants");
+const { config } = require("../config/env");
+const pricingService = require("./pricing.service");
+const paymentService = require("./payment.service");
+const accountingService = require("./accounting.service");
+const eligibilityService = require("./eligibility.service");
+const settingsService = require("./settings.service");
+const promoService = require("./promo.service");
+const { getProvider } = require("./payments");
+const { enqueueDelivery } = require("./queues/delivery.queue");
 
 /**
  * Initiate Order (Fixed Bundle Selection)
- * Logic: Selling Price = Bundle Base Price + Reseller Commission
+ * Logic: Selling Price = Bundle Base Price + Reseller Commission - Promo Discount
+ * The platform profit absorbs any promo discount (see promo.service)
  */
 const initiateOrder = async ({
   bundleId,
   referralCode,
   customerPhone,
   customerEmail,
+  promoCode,
+  paymentProvider = config.payment.provider,
 }) => {
+  // 0. Payment gateway for this order (rejects unknown names)
+  const provider = getProvider(paymentProvider);
+
   // 1. Find Reseller
-  const reseller = await Reseller.findOne({ referralCode });
-  if (!reseller)
-    throw createError("Invalid referral code", HttpStatus.NOT_FOUND);
+  // An inactive reseller's link is refused, or sold as a house sale at the
+  // base price when the houseSaleFallback setting is on
+  let reseller = await pricingService.findResellerByReferralCode(referralCode);
+  let houseSale = null;
+
+  const ineligible = eligibilityService.checkResellerEligibility(reseller);
+  if (ineligible) {
+    if (!(await settingsService.getSetting("houseSaleFallback")))
+      throw createError(ineligible.message, HttpStatus.FORBIDDEN);
+
+    houseSale = {
+      resellerId: reseller._id,
+      reason: ineligible.reason,
+      stage: HouseSaleStage.ORDER,
+      convertedAt: new Date(),
+    };
+    reseller = null;
+  }
 
   // 2. Find Bundle (Source of Base Price)
   const bundle = await Bundle.findById(bundleId);
@@ -31,54 +76,684 @@ const initiateOrder = async ({
     );
 
   // 3. Determine Commission Value (Flat amount)
-  // Default to the reseller's global preset (e.g., GHS 5.00)
-  let commissionAmount = parseFloat(reseller.presetCommission.toString());
-
-  // Check if they have a specific custom price for THIS bundle
-  if (reseller.pricingMode === PricingMode.CUSTOM) {
-    const customPricing = await ResellerPricing.findOne({
-      resellerId: reseller._id,
-      bundleId: bundle._id,
-    });
-    if (customPricing) {
-      commissionAmount = parseFloat(customPricing.commission.toString());
-    }
-  }
+  // Preset commission, or the reseller's custom price for THIS bundle
+  const customCommissions = await pricingService.getCustomCommissions(
+    reseller,
+    [bundle._id],
+  );
 
   // 4. Financial Calculations (No Multiplier)
   // The Bundle document holds the price for exactly one of these items
-  const costPrice = parseFloat(bundle.costPrice.toString()); // MNO Cost
-  const basePrice = parseFloat(bundle.basePrice.toString()); // JoyBundle Base Price
+  const quote = pricingService.quoteBundle(bundle, reseller, customCommissions);
 
-  // Final Price the customer pays
-  const finalSellingPrice = basePrice + commissionAmount;
+  // 5. Promo Code (takes one use of the code)
+  const discounted = promoCode
+    ? await promoService.redeemPromoCode(promoCode, {
+        bundle,
+        reseller,
+        customerPhone,
+        quote,
+      })
+    : null;
 
-  // Platform Profit
-  const estimatedProfit = basePrice - costPrice;
-
-  // 5. Create Order Snapshot
+  // 6. Create Order Snapshot
   const orderNumber = await generateOrderNumber();
 
   const order = await Order.create({
     orderNumber,
     customerPhone,
     bundleId: bundle._id,
-    resellerId: reseller._id,
+    resellerId: reseller ? reseller._id : null,
+    houseSale,
     network: bundle.network,
     bundleName: bundle.name, // e.g. "5GB Data Bundle"
 
     // Financial Snapshots (Saved as Decimal128 automatically)
-    costPrice: costPrice,
-    basePrice: basePrice,
-    sellingPrice: finalSellingPrice,
-    commission: commissionAmount,
-    profit: estimatedProfit,
+    costPrice: quote.costPrice,
+    basePrice: quote.basePrice,
+    sellingPrice: discounted ? discounted.sellingPrice : quote.sellingPrice,
+    commission: quote.commission,
+    commissionType: quote.commissionType,
+    commissionRate: quote.commissionRate, // % for PERCENT, null for FLAT
+    profit: discounted ? discounted.profit : quote.profit,
+    promo: discounted ? discounted.promo : null,
 
     status: OrderStatus.ACCEPTED,
     paymentStatus: PaymentStatus.PENDING,
+    paymentProvider: provider.name,
+  }).catch(async (error) => {
+    // The order never existed, so neither does its use of the code
+    if (discounted) await promoService.releasePromoCode(discounted);
+    throw error;
   });
 
+  // 7. Per-phone promo cap, checked again now the order exists
+  await promoService.confirmPhoneLimit(order);
+
   return { order, email: customerEmail };
 };
 
-module.exports = { initiateOrder };
+/**
+ * Track Order (Customer)
+ * Looked up by order number plus the phone the bundle was bought for.
+ * Only delivery progress is returned - no cost, profit or reseller details.
+ * History notes are admin-written and may name the reseller, so they stay out.
+ */
+const trackOrder = async ({ orderNumber, customerPhone }) => {
+  const order = await Order.findOne({
+    orderNumber,
+    customerPhone: formatPhoneNumber(customerPhone),
+  }).populate({
+    path: "statusHistory",
+    options: { sort: { createdAt: 1 } },
+  });
+
+  // Same error for unknown number and wrong phone
+  if (!order)
+    throw createError(ErrorMessages.ORDER_NOT_FOUND, HttpStatus.NOT_FOUND);
+
+  return {
+    orderNumber: order.orderNumber,
+    bundleName: order.bundleName,
+    network: order.network,
+    customerPhone: order.customerPhone,
+    amount: parseFloat(order.sellingPrice.toString()),
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    deliveredAt: order.deliveredAt,
+    createdAt: order.createdAt,
+    statusHistory: order.statusHistory.map((entry) => ({
+      status: entry.status,
+      createdAt: entry.createdAt,
+    })),
+  };
+};
+
+/**
+ * Resolve a reseller filter to a Reseller document ID
+ * Accepts the public reseller ID (RES-001) or the document ID
+ */
+const resolveResellerFilter = async (reseller) => {
+  if (RegexPatterns.OBJECT_ID.test(reseller)) return reseller;
+
+  const found = await Reseller.findByResellerId(reseller.toUpperCase());
+  if (!found)
+    throw createError(ErrorMessages.RESELLER_NOT_FOUND, HttpStatus.NOT_FOUND);
+
+  return found._id;
+};
+
+/**
+ * Get Orders (Admin)
+ * Paged order list with status, network, reseller, phone and date filters
+ */
+const getOrders = async (filters = {}) => {
+  const {
+    status,
+    paymentStatus,
+    network,
+    reseller,
+    customerPhone,
+    from,
+    to,
+    page = 1,
+    limit = 20,
+    sortOrder = "desc",
+  } = filters;
+
+  // Build where clause
+  const where = {};
+  if (status) where.status = status;
+  if (paymentStatus) where.paymentStatus = paymentStatus;
+  if (network) where.network = network;
+  if (customerPhone) where.customerPhone = formatPhoneNumber(customerPhone);
+  if (reseller) where.resellerId = await resolveResellerFilter(reseller);
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.$gte = from;
+    if (to) where.createdAt.$lte = to;
+  }
+
+  const [orders, total] = await Promise.all([
+    Order.find(where)
+      .sort({ createdAt: sortOrder === "desc" ? -1 : 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({ path: "reseller", select: "resellerId referralCode" }),
+    Order.countDocuments(where),
+  ]);
+
+  return { orders, total, page, limit };
+};
+
+/**
+ * Find order by ID or throw 404
+ */
+const findOrderOrFail = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order)
+    throw createError(ErrorMessages.ORDER_NOT_FOUND, HttpStatus.NOT_FOUND);
+  return order;
+};
+
+/**
+ * Get Order Details (Admin)
+ * Includes bundle, reseller (with user), transactions and status history
+ */
+const getOrderById = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .populate("bundle")
+    .populate({
+      path: "reseller",
+      populate: { path: "user", select: "name email phone status" },
+    })
+    .populate({ path: "transactions", options: { sort: { createdAt: 1 } } })
+    .populate({ path: "statusHistory", options: { sort: { createdAt: 1 } } });
+
+  if (!order)
+    throw createError(ErrorMessages.ORDER_NOT_FOUND, HttpStatus.NOT_FOUND);
+
+  return order;
+};
+
+/**
+ * Update Order Status (Admin)
+ * Used to fulfil orders by hand or to retry delivery of a FAILED order.
+ * Goes through the Order transition rules; illegal moves are rejected with 409.
+ */
+const updateOrderStatus = async (orderId, { status, notes }, admin) => {
+  const order = await findOrderOrFail(orderId);
+
+  if (order.status === status)
+    throw createError(
+      `Order is already ${status.toLowerCase()}`,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  // Refunds move money - they go through refundOrder
+  if (status === OrderStatus.REFUNDED)
+    throw createError(
+      "Use POST /orders/:id/refund to refund an order",
+      HttpStatus.BAD_REQUEST,
+    );
+
+  const actor = {
+    notes: notes || null,
+    changedById: admin.id,
+    changedByType: StatusActor.ADMIN,
+  };
+
+  if (status === OrderStatus.DELIVERED) {
+    await accountingService.markOrderDelivered(order, actor);
+  } else if (status === OrderStatus.FAILED) {
+    await order.markAsFailed(notes || "Marked as failed by admin", actor);
+  } else if (status === OrderStatus.PROCESSING) {
+    // Retry from FAILED gets a fresh set of delivery attempts
+    order.deliveryAttempts = 0;
+    order.failureReason = null;
+    await order.markAsProcessing(actor);
+    await enqueueDelivery(order);
+  } else {
+    await order.transitionTo(status, actor);
+  }
+
+  return { order, message: SuccessMessages.ORDER_UPDATED };
+};
+
+// Order statuses a paid order can be refunded from
+const REFUNDABLE_STATUSES = [
+  OrderStatus.FAILED,
+  OrderStatus.DELIVERED,
+  OrderStatus.REFUNDED, // Further partial refunds
+];
+
+/**
+ * Check an order can take a refund of this amount, or throw
+ * @returns {number} Amount to refund in GHS (omitted = whatever is left)
+ */
+const assertRefundable = (order, amount) => {
+  if (
+    order.paymentStatus !== PaymentStatus.PAID ||
+    !REFUNDABLE_STATUSES.includes(order.status)
+  )
+    throw createError(ErrorMessages.ORDER_NOT_REFUNDABLE, HttpStatus.CONFLICT);
+
+  const refundable = order.getRefundableAmount();
+  const refundAmount = amount ?? refundable;
+
+  if (refundAmount > refundable)
+    throw createError(
+      `${ErrorMessages.REFUND_EXCEEDS_BALANCE} (GHS ${refundable.toFixed(2)})`,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  return refundAmount;
+};
+
+/**
+ * Refund Order (Admin)
+ * Refunds through the payment provider, logs a REFUND transaction and reverses the
+ * reseller credit from payment.queue (counters and wallet), upline overrides included. Partial refunds can repeat until the
+ * full selling price is refunded; only then is paymentStatus REFUNDED.
+ *
+ * The amount is claimed on the order (refundedAmount) before the provider is
+ * called, so two admins at once cannot refund past the selling price and a
+ * retry after a crash cannot refund twice. The ledger writes that follow run
+ * as one MongoDB transaction.
+ */
+const refundOrder = async (orderId, { amount, reason }, admin) => {
+  const order = await findOrderOrFail(orderId);
+  const refundAmount = assertRefundable(order, amount);
+  const decimalAmount = mongoose.Types.Decimal128.fromString(
+    refundAmount.toFixed(2),
+  );
+
+  // 1. Claim the amount - returns the order as it was before the claim
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: PaymentStatus.PAID,
+      status: { $in: REFUNDABLE_STATUSES },
+      $expr: {
+        $lte: [{ $add: ["$refundedAmount", decimalAmount] }, "$sellingPrice"],
+      },
+    },
+    { $inc: { refundedAmount: decimalAmount } },
+  );
+
+  if (!claimed) {
+    // Another refund got there first - report what is left now
+    assertRefundable(await findOrderOrFail(orderId), amount);
+    throw createError(ErrorMessages.ORDER_NOT_REFUNDABLE, HttpStatus.CONFLICT);
+  }
+
+  const sellingPrice = parseFloat(claimed.sellingPrice.toString());
+  const commission = parseFloat(claimed.commission.toString());
+  const previouslyRefunded = parseFloat(claimed.refundedAmount.toString());
+  const totalRefunded = roundToTwo(previouslyRefunded + refundAmount);
+  const isFullyRefunded = totalRefunded >= sellingPrice;
+
+  // 2. Refund through the payment provider - give the claim back if it fails
+  let refund;
+  try {
+    refund = await paymentService.refundPayment(claimed, {
+      amount: refundAmount,
+      reason,
+    });
+  } catch (error) {
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $inc: {
+          refundedAmount: mongoose.Types.Decimal128.fromString(
+            `-${refundAmount.toFixed(2)}`,
+          ),
+        },
+      },
+    );
+    throw error;
+  }
+
+  // 3. Ledger and order, all or nothing
+  let result;
+  try {
+    result = await accountingService.runInTransaction(async (session) => {
+      const refunding = await Order.findById(order._id).session(session);
+
+      // Reverse Reseller Credit (pro-rata)
+      // Worked out on running totals, so the reversals add up to the exact
+      // commission once the order is fully refunded
+      const reversal = { totalEarnings: 0, totalSales: 0, totalOrders: 0 };
+      if (refunding.resellerId && refunding.commissionCreditedAt) {
+        reversal.totalEarnings = roundToTwo(
+          roundToTwo((commission * totalRefunded) / sellingPrice) -
+            roundToTwo((commission * previouslyRefunded) / sellingPrice),
+        );
+        reversal.totalSales = refundAmount;
+        reversal.totalOrders = isFullyRefunded ? 1 : 0;
+
+        await Reseller.updateOne(
+          { _id: refunding.resellerId },
+          {
+            $inc: {
+              totalEarnings: -reversal.totalEarnings,
+              totalSales: -reversal.totalSales,
+              totalOrders: -reversal.totalOrders,
+            },
+          },
+          { session },
+        );
+
+        // Same amount off the reseller's wallet
+        const walletEntry = await accountingService.reverseCommission(
+          refunding,
+          reversal.totalEarnings,
+          { reason, refundedAmount: refundAmount },
+        );
+        reversal.transactionId = walletEntry
+          ? walletEntry._id.toString()
+          : null;
+
+        // Upline overrides come back the same way
+        reversal.overrides = [];
+        for (const override of refunding.overrides) {
+          const overrideAmount = roundToTwo(
+            roundToTwo((override.amount * totalRefunded) / sellingPrice) -
+              roundToTwo((override.amount * previouslyRefunded) / sellingPrice),
+          );
+          if (overrideAmount <= 0) continue;
+
+          await Reseller.updateOne(
+            { _id: override.resellerId },
+            { $inc: { totalEarnings: -overrideAmount } },
+            { session },
+          );
+
+          const overrideEntry = await accountingService.reverseCommission(
+            refunding,
+            overrideAmount,
+            {
+              reason,
+              refundedAmount: refundAmount,
+              override: true,
+              level: override.level,
+            },
+            override.resellerId,
+          );
+          reversal.overrides.push({
+            resellerId: override.resellerId.toString(),
+            amount: overrideAmount,
+            transactionId: overrideEntry ? overrideEntry._id.toString() : null,
+          });
+        }
+      }
+
+      // Log Transaction Ledger
+      const [transaction] = await Transaction.create(
+        [
+          {
+            transactionNumber: await Transaction.getNextTransactionNumber(),
+            orderId: refunding._id,
+            userId: refunding.resellerId,
+            type: TransactionType.REFUND,
+            amount: refundAmount,
+            // Most refunds settle later (refund.processed webhook)
+            status:
+              refund.status === "processed"
+                ? TransactionStatus.COMPLETED
+                : TransactionStatus.PENDING,
+            paymentProvider: refunding.paymentProvider,
+            providerReference: refund.id ? refund.id.toString() : null,
+            metadata: {
+              reason,
+              partial: !isFullyRefunded,
+              refundedBy: admin.id,
+              providerStatus: refund.status,
+              resellerReversal: reversal,
+            },
+          },
+        ],
+        { session },
+      );
+
+      // Update Order (refundedAmount was set by the claim)
+      if (isFullyRefunded) refunding.paymentStatus = PaymentStatus.REFUNDED;
+
+      const actor = {
+        notes: `${isFullyRefunded ? "Refunded" : "Partially refunded"} GHS ${refundAmount.toFixed(2)}: ${reason}`,
+        changedById: admin.id,
+        changedByType: StatusActor.ADMIN,
+      };
+
+      if (refunding.status === OrderStatus.REFUNDED) {
+        await refunding.save();
+        await refunding.addStatusNote(actor.notes, actor);
+      } else {
+        await refunding.transitionTo(OrderStatus.REFUNDED, actor);
+      }
+
+      return { order: refunding, transaction };
+    });
+  } catch (error) {
+    // The money has left - keep the claim so nobody refunds it again
+    console.error(
+      `❌ Refund ${refund.id} for order ${claimed.orderNumber} sent but not recorded:`,
+      error.message,
+    );
+    throw error;
+  }
+
+  result.order.$session(null);
+
+  return { ...result, message: SuccessMessages.REFUND_SUCCESS };
+};
+
+/**
+ * Resolve Payment Review (Admin)
+ * For charges whose amount or currency did not match the order, or that
+ * came in through a reseller who is no longer active.
+ * APPROVE accepts the money as paid and settles the order as usual
+ * (as a house sale if the reseller is still inactive).
+ * REJECT refunds what was received and fails the order. Like refundOrder,
+ * the review is claimed before the provider is called and the ledger
+ * writes run as one MongoDB transaction.
+ */
+const resolvePaymentReview = async (orderId, { decision, notes }, admin) => {
+  const order = await findOrderOrFail(orderId);
+
+  if (order.paymentStatus !== PaymentStatus.UNDER_REVIEW)
+    throw createError(
+      ErrorMessages.PAYMENT_NOT_UNDER_REVIEW,
+      HttpStatus.CONFLICT,
+    );
+
+  const transaction = await Transaction.findOne({
+    orderId: order._id,
+    type: TransactionType.ORDER_PAYMENT,
+    status: TransactionStatus.PENDING,
+  }).sort({ createdAt: -1 });
+
+  if (!transaction)
+    throw createError("Payment under review not found", HttpStatus.NOT_FOUND);
+
+  const actor = { changedById: admin.id, changedByType: StatusActor.ADMIN };
+  const review = {
+    decision,
+    notes: notes || null,
+    reviewedBy: admin.id,
+    reviewedAt: new Date(),
+  };
+
+  if (decision === "APPROVE") {
+    // Same all-or-nothing accounting as charge.success. The order is read
+    // again inside the transaction so a second approval cannot credit twice.
+    const approved = await accountingService.runInTransaction(
+      async (session) => {
+        const pending = await Order.findById(order._id).session(session);
+        if (pending.paymentStatus !== PaymentStatus.UNDER_REVIEW)
+          throw createError(
+            ErrorMessages.PAYMENT_NOT_UNDER_REVIEW,
+            HttpStatus.CONFLICT,
+          );
+
+        const payment = await Transaction.findById(transaction._id).session(
+          session,
+        );
+        payment.metadata = { ...payment.metadata, review };
+        await payment.markAsCompleted();
+
+        // Still-inactive resellers earn nothing; the order goes to the house
+        const ineligible = await eligibilityService.checkOrderReseller(pending);
+        if (ineligible)
+          await accountingService.convertToHouseSale(
+            pending,
+            ineligible.reason,
+            actor,
+          );
+
+        await accountingService.settleOrderPayment(pending, {
+          ...actor,
+          notes: `Payment approved after review${notes ? `: ${notes}` : ""}`,
+        });
+
+        return { order: pending, transaction: payment };
+      },
+    );
+
+    await enqueueDelivery(approved.order);
+
+    return {
+      ...approved,
+      message: SuccessMessages.PAYMENT_REVIEW_APPROVED,
+    };
+  }
+
+  // REJECT - send back exactly what was received
+  const reason =
+    notes ||
+    (transaction.metadata?.ineligibleReseller
+      ? transaction.metadata.ineligibleReseller.reason
+      : "Payment did not match the order amount");
+
+  // 1. Claim the review, so a second rejection (or an approval) cannot
+  // refund or credit the same payment again
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: PaymentStatus.UNDER_REVIEW },
+    { paymentStatus: PaymentStatus.REFUNDED },
+  );
+  if (!claimed)
+    throw createError(
+      ErrorMessages.PAYMENT_NOT_UNDER_REVIEW,
+      HttpStatus.CONFLICT,
+    );
+
+  // 2. Refund through the payment provider - back under review if it fails
+  let refund;
+  try {
+    refund = await paymentService.refundPayment(claimed, {
+      amount: transaction.amount,
+      reason,
+    });
+  } catch (error) {
+    await Order.updateOne(
+      { _id: order._id, paymentStatus: PaymentStatus.REFUNDED },
+      { paymentStatus: PaymentStatus.UNDER_REVIEW },
+    );
+    throw error;
+  }
+
+  // 3. Ledger and order, all or nothing
+  let result;
+  try {
+    result = await accountingService.runInTransaction(async (session) => {
+      const rejected = await Order.findById(order._id).session(session);
+
+      const payment = await Transaction.findById(transaction._id).session(
+        session,
+      );
+      payment.metadata = { ...payment.metadata, review };
+      await payment.markAsFailed();
+
+      await Transaction.create(
+        [
+          {
+            transactionNumber: await Transaction.getNextTransactionNumber(),
+            orderId: rejected._id,
+            userId: rejected.resellerId,
+            type: TransactionType.REFUND,
+            amount: payment.amount,
+            status:
+              refund.status === "processed"
+                ? TransactionStatus.COMPLETED
+                : TransactionStatus.PENDING,
+            paymentProvider: rejected.paymentProvider,
+            providerReference: refund.id ? refund.id.toString() : null,
+            metadata: {
+              reason,
+              refundedBy: admin.id,
+              providerStatus: refund.status,
+              rejectedPayment: payment._id.toString(),
+            },
+          },
+        ],
+        { session },
+      );
+
+      // paymentStatus was set by the claim
+      rejected.failureReason = `Payment rejected after review: ${reason}`.slice(
+        0,
+        500,
+      );
+      const history = { ...actor, notes: rejected.failureReason };
+
+      // A charge can land after charge.failed already failed the order
+      if (rejected.status === OrderStatus.FAILED) {
+        await rejected.save();
+        await rejected.addStatusNote(history.notes, history);
+      } else {
+        await rejected.transitionTo(OrderStatus.FAILED, history);
+      }
+
+      return { order: rejected, transaction: payment };
+    });
+  } catch (error) {
+    // The money has left - keep the claim so nobody refunds it again
+    console.error(
+      `❌ Refund ${refund.id} for rejected payment on order ${claimed.orderNumber} sent but not recorded:`,
+      error.message,
+    );
+    throw error;
+  }
+
+  result.order.$session(null);
+  result.transaction.$session(null);
+
+  return {
+    ...result,
+    message: SuccessMessages.PAYMENT_REVIEW_REJECTED,
+  };
+};
+
+/**
+ * Expire Unpaid Orders (Scheduled)
+ * Orders still waiting for payment after the configured window become
+ * payment FAILED / order FAILED, so they drop out of Order.findPending.
+ * The payment provider is checked first; if it is down the order waits a run.
+ */
+const expireUnpaidOrders = async ({
+  expiryMinutes = config.orders.paymentExpiryMinutes,
+} = {}) => {
+  const cutoff = new Date(Date.now() - expiryMinutes * 60 * 1000);
+  const orders = await Order.findExpiredUnpaid(cutoff);
+
+  let expired = 0;
+  for (const order of orders) {
+    try {
+      // Last look at the provider - the webhook may have been missed
+      if (await paymentService.reconcileOrder(order)) continue;
+
+      if (await Order.expireUnpaid(order._id, expiryMinutes)) {
+        await promoService.releasePromoCode(order);
+        expired += 1;
+      }
+    } catch (error) {
+      // Keep going - one bad order must not block the rest
+      console.error(
+        `❌ Could not expire order ${order.orderNumber}: ${error.message}`,
+      );
+    }
+  }
+
+  return { checked: orders.length, expired };
+};
+
+module.exports = {
+  initiateOrder,
+  trackOrder,
+  getOrders,
+  getOrderById,
+  updateOrderStatus,
+  refundOrder,
+  resolvePaymentReview,
+  expireUnpaidOrders,
+};
@@ -1,57 +1,110 @@
 // src/services/payment.service.js
-const axios = require("axios");
+// Gateway-neutral payment operations - each call goes to the order's provider
 const { config } = require("../config/env");
-const { createError } = require("../middleware/error.middleware");
+const { Order } = require("../models");
+const { OrderStatus, PaymentStatus } = require("../constants");
+const { paymentQueue } = require("./queues/payment.queue");
+const { getProviderForOrder } = require("./payments");
 
 /**
- * Initialize Paystack Transaction
+ * Start checkout for an order
  * @param {Object} order - The order document
  * @param {string} email - Customer email
+ * @returns {Promise<string>} URL to send the customer to
  */
 const initializePayment = async (order, email) => {
-  try {
-    // Paystack expects amount in kobo/pesewas (multiply by 100)
-    const amountInPesewas = Math.round(
-      parseFloat(order.sellingPrice.toString()) * 100,
-    );
-
-    const params = {
-      email: email,
-      amount: amountInPesewas,
-      reference: order.orderNumber, // Unique Order Ref matches our DB
-      callback_url: `${config.frontend.url}/payment/callback`, // Where user goes after payment
-      metadata: {
-        orderId: order._id.toString(),
-        resellerId: order.resellerId ? order.resellerId.toString() : null,
-        custom_fields: [
-          {
-            display_name: "Bundle",
-            variable_name: "bundle_name",
-            value: order.bundleName,
-          },
-        ],
-      },
-    };
-
-    const response = await axios.post(
-      "https://api.paystack.co/transaction/initialize",
-      params,
-      {
-        headers: {
-          Authorization: `Bearer ${config.payment.secretKey}`,
-          "Content-Type": "application/json",
-        },
-      },
-    );
-
-    return response.data.data.authorization_url;
-  } catch (error) {
-    console.error(
-      "Paystack Init Error:",
-      error.response?.data || error.message,
-    );
-    throw createError("Payment initialization failed", 502);
+  const provider = getProviderForOrder(order);
+  const { paymentUrl } = await provider.initialize(order, email);
+  return paymentUrl;
+};
+
+/**
+ * Look up an order's charge with its provider
+ * @param {Object} order - The order document
+ * @returns {Promise<Object|null>} Charge data, or null if the provider has none
+ */
+const verifyPayment = async (order) => {
+  const provider = getProviderForOrder(order);
+  return await provider.verify(order.orderNumber);
+};
+
+/**
+ * Refund an order's charge (full or partial)
+ * @param {Object} order - The order document
+ * @param {Object} options - Refund details
+ * @param {number} options.amount - Amount in GHS
+ * @param {string} options.reason - Refund reason
+ * @returns {Promise<Object>} { id, status }
+ */
+const refundPayment = async (order, { amount, reason }) => {
+  const provider = getProviderForOrder(order);
+  return await provider.refund(order, { amount, reason });
+};
+
+/**
+ * Reconcile one pending order with its payment provider
+ * A successful charge is queued as a charge.success event, so it goes
+ * through the same accounting as a webhook (duplicates are skipped there).
+ *
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} True if the provider reports the order as paid
+ */
+const reconcileOrder = async (order) => {
+  const charge = await verifyPayment(order);
+
+  if (!charge || charge.status !== "success") return false;
+
+  await paymentQueue.add(
+    {
+      event: "charge.success",
+      data: charge,
+      provider: order.paymentProvider,
+      source: "reconciliation",
+    },
+    { attempts: 5, backoff: 5000, removeOnComplete: true },
+  );
+
+  return true;
+};
+
+/**
+ * Reconcile Pending Payments (Scheduled)
+ * Catches payments whose webhook never arrived. Checks unpaid orders that
+ * are old enough for the webhook to have landed but not yet expired.
+ *
+ * @returns {Promise<Object>} { checked, recovered }
+ */
+const reconcilePendingPayments = async ({
+  minAgeMinutes = config.orders.reconcileMinAgeMinutes,
+} = {}) => {
+  const orders = await Order.find({
+    status: OrderStatus.ACCEPTED,
+    paymentStatus: PaymentStatus.PENDING,
+    createdAt: { $lt: new Date(Date.now() - minAgeMinutes * 60 * 1000) },
+  }).sort({ createdAt: 1 });
+
+  let recovered = 0;
+  for (const order of orders) {
+    try {
+      if (await reconcileOrder(order)) {
+        recovered += 1;
+        console.log(`🔎 Recovered missed payment for ${order.orderNumber}`);
+      }
+    } catch (error) {
+      // Provider down - try again next run
+      console.error(
+        `❌ Could not reconcile order ${order.orderNumber}: ${error.message}`,
+      );
+    }
   }
+
+  return { checked: orders.length, recovered };
 };
 
-module.exports = { initializePayment };
+module.exports = {
+  initializePayment,
+  verifyPayment,
+  refundPayment,
+  reconcileOrder,
+  reconcilePendingPayments,
+};
@@ -0,0 +1,58 @@
+// PAYMENT PROVIDERS
+// Picks the gateway for an order: the one stored on the order, else PAYMENT_PROVIDER
+//
+// A provider is an object with:
+//   name                         - Stored on Order/Transaction.paymentProvider
+//   initialize(order, email)     - Start checkout, resolves { paymentUrl, reference }
+//   verify(reference)            - Charge data for our order number, or null if unknown
+//   refund(order, { amount, reason }) - Resolves { id, status } ("processed" when instant)
+//   createTransferRecipient({ name, momoNumber, network }) - Resolves a recipient code
+//   transfer({ amount, recipientCode, reference, reason })  - Resolves { transferCode, status }
+//   verifySignature(rawBody, headers) - True if the webhook really came from the provider
+//   parseWebhook(payload, rawBody)    - Resolves { eventId, type, data }
+//
+// Webhook types and data use the Paystack names and fields (charge.success,
+// data.reference = order number, data.amount in pesewas, ...), which the
+// handlers in services/webhooks expect. Other adapters translate into that.
+
+const { config } = require("../../config/env");
+const { createError } = require("../../middleware/error.middleware");
+const { HttpStatus } = require("../../constants");
+const paystack = require("./paystack.provider");
+
+// Provider name -> adapter
+const providers = {
+  [paystack.name]: paystack,
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Object} Payment provider
+ */
+const getProvider = (name = config.payment.provider) => {
+  const provider = providers[(name || "").toLowerCase()];
+
+  if (!provider) {
+    throw createError(
+      `Unsupported payment provider: ${name}. Available: ${Object.keys(providers).join(", ")}`,
+      HttpStatus.BAD_REQUEST,
+    );
+  }
+
+  return provider;
+};
+
+/**
+ * Get the provider an order was paid through
+ * @param {Object} order - Order document
+ * @returns {Object} Payment provider
+ */
+const getProviderForOrder = (order) =>
+  getProvider(order.paymentProvider || config.payment.provider);
+
+module.exports = {
+  getProvider,
+  getProviderForOrder,
+  availableProviders: Object.keys(providers),
+};
@@ -0,0 +1,255 @@
+// PAYSTACK PAYMENT PROVIDER
+// Paystack checkout, verify, refunds, payouts (transfers) and webhooks
+// Paystack amounts are in pesewas; our amounts are in GHS
+
+const axios = require("axios");
+const crypto = require("crypto");
+const { config } = require("../../config/env");
+const { createError } = require("../../middleware/error.middleware");
+const { ErrorMessages, Network, PaymentProvider } = require("../../constants");
+
+const toPesewas = (amount) => Math.round(parseFloat(amount.toString()) * 100);
+
+// Paystack mobile money "bank" codes for Ghana
+const MOMO_BANK_CODES = {
+  [Network.MTN]: "MTN",
+  [Network.TELECEL]: "VOD",
+  [Network.AT]: "ATL",
+};
+
+const client = () =>
+  axios.create({
+    baseURL: config.payment.baseUrl,
+    headers: {
+      Authorization: `Bearer ${config.payment.secretKey}`,
+      "Content-Type": "application/json",
+    },
+  });
+
+/**
+ * Initialize Paystack Transaction
+ * @param {Object} order - The order document
+ * @param {string} email - Customer email
+ * @returns {Promise<Object>} { paymentUrl, reference }
+ */
+const initialize = async (order, email) => {
+  try {
+    const params = {
+      email: email,
+      amount: toPesewas(order.sellingPrice),
+      reference: order.orderNumber, // Unique Order Ref matches our DB
+      callback_url: `${config.frontend.url}/payment/callback`, // Where user goes after payment
+      metadata: {
+        orderId: order._id.toString(),
+        resellerId: order.resellerId ? order.resellerId.toString() : null,
+        custom_fields: [
+          {
+            display_name: "Bundle",
+            variable_name: "bundle_name",
+            value: order.bundleName,
+          },
+        ],
+      },
+    };
+
+    const response = await client().post("/transaction/initialize", params);
+
+    return {
+      paymentUrl: response.data.data.authorization_url,
+      reference: response.data.data.reference,
+    };
+  } catch (error) {
+    console.error(
+      "Paystack Init Error:",
+      error.response?.data || error.message,
+    );
+    throw createError("Payment initialization failed", 502);
+  }
+};
+
+/**
+ * Verify Paystack Transaction
+ * @param {string} reference - Our order number (the reference sent at initialize)
+ * @returns {Promise<Object|null>} Charge data, or null if Paystack has none
+ */
+const verify = async (reference) => {
+  try {
+    const response = await client().get(
+      `/transaction/verify/${encodeURIComponent(reference)}`,
+    );
+
+    return response.data.data;
+  } catch (error) {
+    // Customer never reached the Paystack page
+    if (error.response?.status === 404 || error.response?.status === 400) {
+      return null;
+    }
+
+    console.error(
+      "Paystack Verify Error:",
+      error.response?.data || error.message,
+    );
+    throw createError("Payment verification failed", 502);
+  }
+};
+
+/**
+ * Refund a Paystack Transaction (full or partial)
+ * @param {Object} order - The order document
+ * @param {Object} options - Refund details
+ * @param {number} options.amount - Amount in GHS
+ * @param {string} options.reason - Shown to the merchant on Paystack
+ * @returns {Promise<Object>} { id, status: "processed" | "pending" | ..., raw }
+ */
+const refund = async (order, { amount, reason }) => {
+  try {
+    const response = await client().post("/refund", {
+      transaction: order.orderNumber,
+      amount: toPesewas(amount),
+      currency: "GHS",
+      merchant_note: reason,
+    });
+
+    const data = response.data.data;
+    return { id: data.id ? data.id.toString() : null, status: data.status };
+  } catch (error) {
+    console.error(
+      "Paystack Refund Error:",
+      error.response?.data || error.message,
+    );
+    throw createError(
+      error.response?.data?.message || ErrorMessages.REFUND_FAILED,
+      502,
+    );
+  }
+};
+
+/**
+ * Create (or fetch) a Paystack transfer recipient for a MoMo wallet
+ * Paystack returns the existing recipient for a number it already knows
+ *
+ * @param {Object} account - Payout account
+ * @param {string} account.name - Account holder name
+ * @param {string} account.momoNumber - Local number (0XXXXXXXXX)
+ * @param {string} account.network - Network (MTN, TELECEL, AT)
+ * @returns {Promise<string>} Recipient code
+ */
+const createTransferRecipient = async ({ name, momoNumber, network }) => {
+  try {
+    const response = await client().post("/transferrecipient", {
+      type: "mobile_money",
+      name,
+      account_number: momoNumber,
+      bank_code: MOMO_BANK_CODES[network],
+      currency: "GHS",
+    });
+
+    return response.data.data.recipient_code;
+  } catch (error) {
+    console.error(
+      "Paystack Recipient Error:",
+      error.response?.data || error.message,
+    );
+    throw createError(
+      error.response?.data?.message || ErrorMessages.PAYOUT_FAILED,
+      502,
+    );
+  }
+};
+
+/**
+ * Send a Paystack transfer (payout) from our balance
+ * The reference is ours and unique per payout, so a repeated call cannot
+ * pay twice - Paystack rejects the duplicate.
+ *
+ * @param {Object} options - Transfer details
+ * @param {number} options.amount - Amount in GHS
+ * @param {string} options.recipientCode - From createTransferRecipient
+ * @param {string} options.reference - Our payout reference
+ * @param {string} options.reason - Shown to the recipient
+ * @returns {Promise<Object>} { transferCode, status: "pending" | "success" | "otp" | ... }
+ */
+const transfer = async ({ amount, recipientCode, reference, reason }) => {
+  try {
+    const response = await client().post("/transfer", {
+      source: "balance",
+      amount: toPesewas(amount),
+      recipient: recipientCode,
+      reference,
+      reason,
+      currency: "GHS",
+    });
+
+    const data = response.data.data;
+    return { transferCode: data.transfer_code, status: data.status };
+  } catch (error) {
+    console.error(
+      "Paystack Transfer Error:",
+      error.response?.data || error.message,
+    );
+    throw createError(
+      error.response?.data?.message || ErrorMessages.PAYOUT_FAILED,
+      502,
+    );
+  }
+};
+
+/**
+ * Check the x-paystack-signature header against the raw request body
+ * @param {Buffer} rawBody - Body bytes as received
+ * @param {Object} headers - Request headers
+ * @returns {boolean}
+ */
+const verifySignature = (rawBody, headers) => {
+  const signature = headers["x-paystack-signature"];
+  if (!rawBody || !signature) return false;
+
+  const expected = Buffer.from(
+    crypto
+      .createHmac("sha512", config.payment.secretKey)
+      .update(rawBody)
+      .digest("hex"),
+  );
+  const received = Buffer.from(signature);
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Read a Paystack webhook body
+ * Paystack has no event ID, so the dedupe key is the event type plus the
+ * object ID (charge, refund, transfer or dispute), or a body hash.
+ *
+ * @param {Object} payload - Parsed body
+ * @param {Buffer} rawBody - Body bytes as received
+ * @returns {Object} { eventId, type, data }
+ */
+const parseWebhook = (payload, rawBody) => {
+  const type = payload?.event || "unknown";
+  const id = payload?.data?.id;
+
+  const eventId =
+    id !== undefined && id !== null
+      ? `${type}:${id}`
+      : `${type}:${crypto
+          .createHash("sha256")
+          .update(rawBody || "")
+          .digest("hex")}`;
+
+  // Paystack events are already in the shape our handlers use
+  return { eventId, type, data: payload?.data || {} };
+};
+
+module.exports = {
+  name: PaymentProvider.PAYSTACK,
+  initialize,
+  verify,
+  refund,
+  createTransferRecipient,
+  transfer,
+  verifySignature,
+  parseWebhook,
+};
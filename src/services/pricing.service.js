@@ -0,0 +1,385 @@
+// PRICING SERVICE
+// Commission rules shared by checkout and the bundle catalog,
+// and reseller pricing management (preset or custom commission per bundle)
+//
+// A commission rule is { type, value }: FLAT is GHS per bundle, PERCENT is a
+// percentage of the bundle base price, rounded half up to the pesewa.
+// Either way the result is kept within the bundle's min/max commission.
+
+const { Bundle, Reseller, ResellerPricing } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const { roundToTwo, percentOf } = require("../utils/helpers");
+const {
+  HttpStatus,
+  ErrorMessages,
+  SuccessMessages,
+  PricingMode,
+  CommissionType,
+  ResellerSettings,
+} = require("../constants");
+const { runInTransaction } = require("./accounting.service");
+const walletService = require("./wallet.service");
+const eligibilityService = require("./eligibility.service");
+
+/**
+ * Find reseller by referral code, active or not
+ * Referral codes are matched case-insensitively (stored uppercase)
+ *
+ * @param {string} referralCode - Referral code from the ?ref= link
+ * @returns {Promise<Object>} Reseller document, with user (name, status) populated
+ */
+const findResellerByReferralCode = async (referralCode) => {
+  const reseller = await Reseller.findByReferralCode(referralCode).populate({
+    path: "user",
+    select: "name status",
+  });
+
+  if (!reseller || !reseller.user) {
+    throw createError(
+      ErrorMessages.INVALID_REFERRAL_CODE,
+      HttpStatus.NOT_FOUND,
+    );
+  }
+
+  return reseller;
+};
+
+/**
+ * Get reseller by referral code
+ * Only active resellers can sell - others get 403 with the reason
+ *
+ * @param {string} referralCode - Referral code from the ?ref= link
+ * @returns {Promise<Object>} Reseller document, with user (name, status) populated
+ */
+const getResellerByReferralCode = async (referralCode) => {
+  const reseller = await findResellerByReferralCode(referralCode);
+
+  const ineligible = eligibilityService.checkResellerEligibility(reseller);
+  if (ineligible) {
+    throw createError(ineligible.message, HttpStatus.FORBIDDEN);
+  }
+
+  return reseller;
+};
+
+/**
+ * Load a reseller's custom commissions keyed by bundle ID
+ * Only resellers in CUSTOM mode have their ResellerPricing applied
+ *
+ * @param {Object|null} reseller - Reseller document
+ * @param {Array<string>} bundleIds - Restrict lookup to these bundles (optional)
+ * @returns {Promise<Map<string, Object>>} Commission rule { type, value } per bundle ID
+ */
+const getCustomCommissions = async (reseller, bundleIds = null) => {
+  const commissions = new Map();
+
+  if (!reseller || reseller.pricingMode !== PricingMode.CUSTOM) {
+    return commissions;
+  }
+
+  const where = { resellerId: reseller._id };
+  if (bundleIds) where.bundleId = { $in: bundleIds };
+
+  const pricing = await ResellerPricing.find(where);
+
+  for (const entry of pricing) {
+    commissions.set(entry.bundleId.toString(), toCommissionRule(entry));
+  }
+
+  return commissions;
+};
+
+/**
+ * Commission rule saved on a Reseller (preset) or ResellerPricing entry
+ * Records from before commission types are FLAT
+ *
+ * @param {Object} source - Reseller or ResellerPricing document
+ * @param {string} field - Field holding the value
+ * @returns {Object} { type, value }
+ */
+const toCommissionRule = (source, field = "commission") => ({
+  type: source.commissionType || CommissionType.FLAT,
+  value: parseFloat(source[field].toString()),
+});
+
+/**
+ * GHS a commission rule comes to on a bundle, before bounds
+ *
+ * @param {Object} bundle - Bundle document
+ * @param {Object} rule - { type, value }
+ * @returns {number} Commission in GHS
+ */
+const toCommissionAmount = (bundle, { type, value }) =>
+  type === CommissionType.PERCENT
+    ? percentOf(parseFloat(bundle.basePrice.toString()), value)
+    : value;
+
+/**
+ * Keep a commission inside the bundle's min/max bounds
+ * Bounds can change after a price was set, so checkout clamps as well
+ *
+ * @param {Object} bundle - Bundle document
+ * @param {number} commission - Commission in GHS
+ * @returns {number} Commission within bounds
+ */
+const clampCommission = (bundle, commission) => {
+  const { min, max } = bundle.getCommissionBounds();
+  return Math.min(Math.max(commission, min), max ?? Infinity);
+};
+
+/**
+ * Reject a commission rule that comes to GHS outside the bundle's
+ * min/max bounds with 400
+ *
+ * @param {Object} bundle - Bundle document
+ * @param {Object} rule - { type, value }
+ */
+const assertCommissionInBounds = (bundle, rule) => {
+  const commission = toCommissionAmount(bundle, rule);
+  const { min, max } = bundle.getCommissionBounds();
+  if (commission >= min && (max === null || commission <= max)) return;
+
+  const allowed =
+    max === null
+      ? `at least GHS ${min.toFixed(2)}`
+      : `GHS ${min.toFixed(2)} to ${max.toFixed(2)}`;
+  const given =
+    rule.type === CommissionType.PERCENT
+      ? `; ${rule.value}% is GHS ${commission.toFixed(2)}`
+      : "";
+  throw createError(
+    `${ErrorMessages.COMMISSION_OUT_OF_RANGE} (${bundle.name}: ${allowed}${given})`,
+    HttpStatus.BAD_REQUEST,
+  );
+};
+
+/**
+ * Resolve the commission a reseller earns on a bundle
+ * Defaults to the reseller's preset unless a custom price exists for the bundle,
+ * kept within the bundle's commission bounds
+ *
+ * @param {Object|null} reseller - Reseller document (null for house sales)
+ * @param {Object} bundle - Bundle document
+ * @param {Map<string, Object>} customCommissions - From getCustomCommissions
+ * @returns {Object} { commission (GHS), commissionType, commissionRate (% or null) }
+ */
+const resolveCommission = (reseller, bundle, customCommissions = new Map()) => {
+  if (!reseller)
+    return {
+      commission: 0,
+      commissionType: CommissionType.FLAT,
+      commissionRate: null,
+    };
+
+  const rule =
+    customCommissions.get(bundle._id.toString()) ||
+    toCommissionRule(reseller, "presetCommission");
+
+  return {
+    commission: clampCommission(bundle, toCommissionAmount(bundle, rule)),
+    commissionType: rule.type,
+    commissionRate: rule.type === CommissionType.PERCENT ? rule.value : null,
+  };
+};
+
+/**
+ * Price a bundle for a customer
+ * Logic: Selling Price = Bundle Base Price + Reseller Commission
+ *
+ * @param {Object} bundle - Bundle document
+ * @param {Object|null} reseller - Reseller document
+ * @param {Map<string, Object>} customCommissions - From getCustomCommissions
+ * @returns {Object} { costPrice, basePrice, commission, commissionType, commissionRate, sellingPrice, profit }
+ */
+const quoteBundle = (bundle, reseller, customCommissions = new Map()) => {
+  const costPrice = parseFloat(bundle.costPrice.toString()); // MNO Cost
+  const basePrice = parseFloat(bundle.basePrice.toString()); // JoyBundle Base Price
+  const { commission, commissionType, commissionRate } = resolveCommission(
+    reseller,
+    bundle,
+    customCommissions,
+  );
+
+  return {
+    costPrice,
+    basePrice,
+    commission,
+    commissionType,
+    commissionRate,
+    sellingPrice: roundToTwo(basePrice + commission),
+    profit: roundToTwo(basePrice - costPrice),
+  };
+};
+
+/**
+ * Get Reseller Pricing
+ * The reseller's pricing mode and, for every active bundle, the commission
+ * customers are charged now and any saved custom commission
+ *
+ * @param {string} resellerId - Reseller document ID or RES-XXX
+ * @returns {Promise<Object>} { reseller, bundles }
+ */
+const getResellerPricing = async (resellerId) => {
+  const reseller = await walletService.findResellerOrFail(resellerId);
+
+  const [bundles, pricing] = await Promise.all([
+    Bundle.findActive().sort({ network: 1, basePrice: 1 }),
+    ResellerPricing.find({ resellerId: reseller._id }),
+  ]);
+
+  // Saved custom prices are kept in PRESET mode, just not applied
+  const saved = new Map(
+    pricing.map((entry) => [
+      entry.bundleId.toString(),
+      toCommissionRule(entry),
+    ]),
+  );
+  const applied =
+    reseller.pricingMode === PricingMode.CUSTOM ? saved : new Map();
+
+  return {
+    reseller: {
+      id: reseller._id.toString(),
+      resellerId: reseller.resellerId,
+      pricingMode: reseller.pricingMode,
+      commissionType: reseller.commissionType || CommissionType.FLAT,
+      presetCommission: parseFloat(reseller.presetCommission.toString()),
+    },
+    bundles: bundles.map((bundle) => {
+      const quote = quoteBundle(bundle, reseller, applied);
+      const bounds = bundle.getCommissionBounds();
+      const custom = saved.get(bundle._id.toString());
+
+      return {
+        bundleId: bundle._id.toString(),
+        name: bundle.name,
+        network: bundle.network,
+        volume: bundle.volume,
+        basePrice: quote.basePrice,
+        minCommission: bounds.min,
+        maxCommission: bounds.max,
+        customCommission: custom ? custom.value : null,
+        customCommissionType: custom ? custom.type : null,
+        commission: quote.commission,
+        commissionType: quote.commissionType,
+        commissionRate: quote.commissionRate,
+        sellingPrice: quote.sellingPrice,
+      };
+    }),
+  };
+};
+
+/**
+ * Update Reseller Pricing
+ * Switches pricing mode, sets the preset commission (and its type) and saves
+ * or removes per-bundle custom commissions, all or nothing.
+ * Custom commissions must sit within the bundle's bounds; the preset applies
+ * to every bundle, so it is clamped per bundle at checkout instead.
+ *
+ * @param {string} resellerId - Reseller document ID or RES-XXX
+ * @param {Object} data - { pricingMode, commissionType, presetCommission,
+ *   customPricing: [{ bundleId, commissionType, commission|null }] }
+ * @returns {Promise<Object>} { pricing, message }
+ */
+const updateResellerPricing = async (
+  resellerId,
+  { pricingMode, commissionType, presetCommission, customPricing = [] },
+) => {
+  const reseller = await walletService.findResellerOrFail(resellerId);
+
+  // The preset type and value may arrive separately, so check what will be saved
+  const preset = toCommissionRule(
+    {
+      commissionType: commissionType ?? reseller.commissionType,
+      presetCommission: presetCommission ?? reseller.presetCommission,
+    },
+    "presetCommission",
+  );
+  if (
+    preset.type === CommissionType.PERCENT &&
+    preset.value > ResellerSettings.MAX_COMMISSION_PERCENT
+  )
+    throw createError(
+      `${ErrorMessages.COMMISSION_PERCENT_TOO_HIGH} (${ResellerSettings.MAX_COMMISSION_PERCENT}%)`,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  const bundles = await Bundle.find({
+    _id: { $in: customPricing.map((entry) => entry.bundleId) },
+  });
+  const bundlesById = new Map(
+    bundles.map((bundle) => [bundle._id.toString(), bundle]),
+  );
+
+  // Check every entry before writing any of them
+  for (const { bundleId, commissionType: type, commission } of customPricing) {
+    const bundle = bundlesById.get(bundleId);
+    if (!bundle)
+      throw createError(
+        `${ErrorMessages.BUNDLE_NOT_FOUND} (${bundleId})`,
+        HttpStatus.NOT_FOUND,
+      );
+
+    // Removing a custom price is always allowed
+    if (commission === null) continue;
+
+    if (!bundle.isActive())
+      throw createError(
+        `${ErrorMessages.BUNDLE_NOT_ACTIVE} (${bundle.name})`,
+        HttpStatus.BAD_REQUEST,
+      );
+    assertCommissionInBounds(bundle, { type, value: commission });
+  }
+
+  await runInTransaction(async (session) => {
+    if (pricingMode !== undefined) reseller.pricingMode = pricingMode;
+    if (commissionType !== undefined) reseller.commissionType = commissionType;
+    if (presetCommission !== undefined)
+      reseller.presetCommission = presetCommission;
+    await reseller.save({ session });
+
+    for (const {
+      bundleId,
+      commissionType: type,
+      commission,
+    } of customPricing) {
+      const where = { resellerId: reseller._id, bundleId };
+
+      if (commission === null) {
+        await ResellerPricing.deleteOne(where, { session });
+        continue;
+      }
+
+      // Selling price as of today - checkout always prices from the bundle
+      const bundle = bundlesById.get(bundleId);
+      const rule = { type, value: commission };
+      await ResellerPricing.findOneAndUpdate(
+        where,
+        {
+          commissionType: type,
+          commission,
+          sellingPrice: roundToTwo(
+            parseFloat(bundle.basePrice.toString()) +
+              clampCommission(bundle, toCommissionAmount(bundle, rule)),
+          ),
+        },
+        { upsert: true, runValidators: true, session },
+      );
+    }
+  });
+
+  return {
+    pricing: await getResellerPricing(reseller._id.toString()),
+    message: SuccessMessages.PRICING_UPDATED,
+  };
+};
+
+module.exports = {
+  findResellerByReferralCode,
+  getResellerByReferralCode,
+  getCustomCommissions,
+  resolveCommission,
+  quoteBundle,
+  getResellerPricing,
+  updateResellerPricing,
+};
@@ -0,0 +1,355 @@
+// PROMO SERVICE
+// Promo codes customers enter at checkout, and their admin management
+//
+// The platform absorbs every discount: it comes off the selling price and
+// out of the platform profit, never out of the reseller's commission. It is
+// capped at that profit, so a sale never goes below MNO cost + commission.
+//
+// A use is taken when the order is created (so a capped code cannot be
+// oversold) and given back if the payment never arrives (releasePromoCode).
+
+const { PromoCode, Order } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const {
+  HttpStatus,
+  ErrorMessages,
+  SuccessMessages,
+  DiscountType,
+  PaymentStatus,
+} = require("../constants");
+const {
+  roundToTwo,
+  percentOf,
+  formatPhoneNumber,
+} = require("../utils/helpers");
+const walletService = require("./wallet.service");
+
+/**
+ * GHS a promo code takes off a price, before the profit cap
+ * @param {Object} promo - PromoCode document
+ * @param {number} price - Price before the discount in GHS
+ * @returns {number} Discount in GHS
+ */
+const getDiscount = (promo, price) => {
+  const value = parseFloat(promo.discountValue.toString());
+  const discount =
+    promo.discountType === DiscountType.PERCENT
+      ? percentOf(price, value)
+      : value;
+
+  return promo.maxDiscount !== null
+    ? Math.min(discount, promo.maxDiscount)
+    : discount;
+};
+
+/**
+ * Check a promo code can be used now, or throw 400
+ */
+const assertUsable = (promo, now = new Date()) => {
+  if (!promo.active)
+    throw createError(
+      ErrorMessages.PROMO_CODE_INACTIVE,
+      HttpStatus.BAD_REQUEST,
+    );
+  if (promo.startsAt && promo.startsAt > now)
+    throw createError(
+      ErrorMessages.PROMO_CODE_NOT_STARTED,
+      HttpStatus.BAD_REQUEST,
+    );
+  if (promo.endsAt && promo.endsAt <= now)
+    throw createError(ErrorMessages.PROMO_CODE_EXPIRED, HttpStatus.BAD_REQUEST);
+  if (promo.isUsedUp())
+    throw createError(ErrorMessages.PROMO_CODE_USED_UP, HttpStatus.BAD_REQUEST);
+};
+
+/**
+ * Redeem a promo code on a checkout quote
+ * Checks the code, works out the discount and takes one use of the code.
+ *
+ * @param {string} code - Promo code the customer entered
+ * @param {Object} checkout - { bundle, reseller (null for house sales), customerPhone, quote }
+ * @returns {Promise<Object>} { promo (Order.promo snapshot), sellingPrice, profit }
+ */
+const redeemPromoCode = async (
+  code,
+  { bundle, reseller, customerPhone, quote },
+) => {
+  const promo = await PromoCode.findByCode(code);
+  if (!promo)
+    throw createError(ErrorMessages.PROMO_CODE_NOT_FOUND, HttpStatus.NOT_FOUND);
+
+  assertUsable(promo);
+
+  if (!promo.appliesTo(bundle, reseller))
+    throw createError(
+      ErrorMessages.PROMO_CODE_NOT_APPLICABLE,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  // Capped at the platform profit - the platform absorbs the discount
+  const discount = roundToTwo(
+    Math.min(getDiscount(promo, quote.sellingPrice), quote.profit),
+  );
+  if (discount <= 0)
+    throw createError(
+      ErrorMessages.PROMO_CODE_NOT_APPLICABLE,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  // Orders that never got paid do not count against the phone
+  // (checked again once the order exists - see confirmPhoneLimit)
+  if (promo.maxUsesPerPhone !== null) {
+    const phoneUses = await Order.countDocuments({
+      "promo.promoCodeId": promo._id,
+      customerPhone: formatPhoneNumber(customerPhone),
+      paymentStatus: { $ne: PaymentStatus.FAILED },
+    });
+    if (phoneUses >= promo.maxUsesPerPhone)
+      throw createError(
+        ErrorMessages.PROMO_CODE_PHONE_LIMIT,
+        HttpStatus.BAD_REQUEST,
+      );
+  }
+
+  if (!(await PromoCode.claimUse(promo._id)))
+    throw createError(ErrorMessages.PROMO_CODE_USED_UP, HttpStatus.BAD_REQUEST);
+
+  return {
+    promo: {
+      promoCodeId: promo._id,
+      code: promo.code,
+      discountType: promo.discountType,
+      discountValue: parseFloat(promo.discountValue.toString()),
+      discount,
+    },
+    sellingPrice: roundToTwo(quote.sellingPrice - discount),
+    profit: roundToTwo(quote.profit - discount),
+  };
+};
+
+/**
+ * Check a new order keeps its code within the per-phone cap
+ * The count in redeemPromoCode can race with another checkout from the same
+ * phone, so it is checked again once the order exists. The earliest orders
+ * (by document ID) keep the code; an order over the cap gives its use back
+ * and is removed before the customer ever sees it.
+ *
+ * @param {Object} order - Order document, just created
+ */
+const confirmPhoneLimit = async (order) => {
+  if (!order.promo) return;
+
+  const promo = await PromoCode.findById(order.promo.promoCodeId).select(
+    "maxUsesPerPhone",
+  );
+  if (!promo || promo.maxUsesPerPhone === null) return;
+
+  const earlierUses = await Order.countDocuments({
+    _id: { $lt: order._id },
+    "promo.promoCodeId": promo._id,
+    customerPhone: formatPhoneNumber(order.customerPhone),
+    paymentStatus: { $ne: PaymentStatus.FAILED },
+  });
+  if (earlierUses < promo.maxUsesPerPhone) return;
+
+  await releasePromoCode(order);
+  await order.deleteOne();
+  throw createError(
+    ErrorMessages.PROMO_CODE_PHONE_LIMIT,
+    HttpStatus.BAD_REQUEST,
+  );
+};
+
+/**
+ * Give back the promo code use an unpaid order took
+ * Called when the payment failed or never arrived
+ *
+ * @param {Object} order - Order document
+ */
+const releasePromoCode = async (order) => {
+  if (!order.promo) return;
+  await PromoCode.releaseUse(order.promo.promoCodeId);
+};
+
+/**
+ * Take the use back for an order paid after all
+ * A charge can still succeed once the order failed or expired, and the
+ * customer paid the discounted price, so it counts even past maxUses.
+ * Runs in the order's session, with the rest of charge.success.
+ *
+ * @param {Object} order - Order document
+ */
+const retakePromoCode = async (order) => {
+  if (!order.promo) return;
+  await PromoCode.updateOne(
+    { _id: order.promo.promoCodeId },
+    { $inc: { usedCount: 1 } },
+    { session: order.$session() },
+  );
+};
+
+/**
+ * Find promo code by ID or throw 404
+ */
+const findPromoCodeOrFail = async (promoCodeId) => {
+  const promo = await PromoCode.findById(promoCodeId);
+  if (!promo)
+    throw createError(ErrorMessages.PROMO_CODE_NOT_FOUND, HttpStatus.NOT_FOUND);
+  return promo;
+};
+
+/**
+ * Get Promo Codes (Admin)
+ * @param {Object} filters - active, reseller (RES-XXX or document ID), page, limit
+ */
+const getPromoCodes = async ({
+  active,
+  reseller,
+  page = 1,
+  limit = 20,
+} = {}) => {
+  const where = {};
+  if (active !== undefined) where.active = active;
+  if (reseller)
+    where.resellerId = (await walletService.findResellerOrFail(reseller))._id;
+
+  const [promoCodes, total] = await Promise.all([
+    PromoCode.find(where)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({ path: "reseller", select: "resellerId referralCode" }),
+    PromoCode.countDocuments(where),
+  ]);
+
+  return { promoCodes, total, page, limit };
+};
+
+/**
+ * Get Promo Code (Admin)
+ * With what its paid orders were discounted in total
+ */
+const getPromoCodeById = async (promoCodeId) => {
+  const promo = await findPromoCodeOrFail(promoCodeId);
+  await promo.populate([
+    { path: "reseller", select: "resellerId referralCode" },
+    { path: "createdBy", select: "name email" },
+  ]);
+
+  const [usage] = await Order.aggregate([
+    {
+      $match: {
+        "promo.promoCodeId": promo._id,
+        paymentStatus: { $in: [PaymentStatus.PAID, PaymentStatus.REFUNDED] },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        paidOrders: { $sum: 1 },
+        discountGiven: { $sum: "$promo.discount" },
+      },
+    },
+  ]);
+
+  return {
+    ...promo.toJSON(),
+    usage: {
+      paidOrders: usage ? usage.paidOrders : 0,
+      discountGiven: usage ? roundToTwo(usage.discountGiven) : 0,
+    },
+  };
+};
+
+/**
+ * Resolve a reseller given as RES-XXX or document ID to its document ID
+ * null clears it (global code)
+ */
+const resolveReseller = async (reseller) =>
+  reseller ? (await walletService.findResellerOrFail(reseller))._id : null;
+
+/**
+ * Create Promo Code (Admin)
+ * @param {Object} data - Validated promo code data
+ * @param {Object} admin - Request user (req.user)
+ */
+const createPromoCode = async ({ reseller, ...data }, admin) => {
+  if (await PromoCode.findByCode(data.code))
+    throw createError(
+      ErrorMessages.PROMO_CODE_ALREADY_EXISTS,
+      HttpStatus.CONFLICT,
+    );
+
+  const promo = await PromoCode.create({
+    ...data,
+    resellerId: await resolveReseller(reseller),
+    createdById: admin.id,
+  });
+
+  return { promoCode: promo, message: SuccessMessages.PROMO_CODE_CREATED };
+};
+
+/**
+ * Update Promo Code (Admin)
+ * The code itself cannot change - orders keep it in their snapshot
+ *
+ * @param {string} promoCodeId - Promo code ID
+ * @param {Object} updates - Validated fields to update
+ */
+const updatePromoCode = async (promoCodeId, { reseller, ...updates }) => {
+  const promo = await findPromoCodeOrFail(promoCodeId);
+
+  const allowedUpdates = [
+    "description",
+    "discountType",
+    "discountValue",
+    "maxDiscount",
+    "networks",
+    "bundleIds",
+    "startsAt",
+    "endsAt",
+    "maxUses",
+    "maxUsesPerPhone",
+    "active",
+  ];
+
+  for (const field of allowedUpdates) {
+    if (updates[field] !== undefined) {
+      promo[field] = updates[field];
+    }
+  }
+  if (reseller !== undefined)
+    promo.resellerId = await resolveReseller(reseller);
+
+  // Pre-save hook rejects a PERCENT discount over 100% and endsAt <= startsAt
+  await promo.save();
+
+  return { promoCode: promo, message: SuccessMessages.PROMO_CODE_UPDATED };
+};
+
+/**
+ * Delete Promo Code (Admin)
+ * Refused once any order used the code - deactivate it instead
+ */
+const deletePromoCode = async (promoCodeId) => {
+  const promo = await findPromoCodeOrFail(promoCodeId);
+
+  if (await Order.exists({ "promo.promoCodeId": promo._id }))
+    throw createError(ErrorMessages.PROMO_CODE_HAS_ORDERS, HttpStatus.CONFLICT);
+
+  await promo.deleteOne();
+
+  return { message: SuccessMessages.PROMO_CODE_DELETED };
+};
+
+module.exports = {
+  redeemPromoCode,
+  confirmPhoneLimit,
+  releasePromoCode,
+  retakePromoCode,
+  getPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+};
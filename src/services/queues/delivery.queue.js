@@ -0,0 +1,110 @@
+// src/services/queues/delivery.queue.js
+const Queue = require("bull");
+const { config } = require("../../config/env");
+const { Order } = require("../../models");
+const { OrderSettings } = require("../../constants");
+const { deliverOrder, hasProvider } = require("../fulfilment");
+const { markOrderDelivered } = require("../accounting.service");
+
+// 1. Initialize Queue
+const deliveryQueue = new Queue("bundle-delivery", config.redis.url);
+
+/**
+ * Queue a PROCESSING order for delivery
+ * Orders on a network without a provider are left PROCESSING for an admin
+ * to fulfil by hand.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} options - Queue options
+ * @param {number} options.delay - Wait before the attempt (ms)
+ */
+const enqueueDelivery = async (order, { delay = 0 } = {}) => {
+  if (!hasProvider(order.network)) {
+    console.log(
+      `✋ [Queue] No ${order.network} fulfilment provider. Order ${order.orderNumber} awaits manual delivery`,
+    );
+    return;
+  }
+
+  await deliveryQueue.add(
+    { orderId: order._id.toString(), orderNumber: order.orderNumber },
+    { delay, removeOnComplete: true },
+  );
+};
+
+// 2. Define the Delivery Process
+// Each job is one attempt. Failed attempts are re-queued after
+// RETRY_DELAY_MINUTES until Order.canRetry() runs out, then the order FAILS.
+deliveryQueue.process(async (job) => {
+  const { orderId, orderNumber } = job.data;
+
+  console.log(`📦 [Queue] Delivering Order: ${orderNumber}`);
+
+  const order = await Order.findById(orderId);
+
+  // A. Skip orders that are gone or no longer waiting for delivery
+  // (e.g. an admin delivered or failed it by hand)
+  if (!order) {
+    console.error(`❌ Order ${orderNumber} not found!`);
+    return;
+  }
+  if (!order.isProcessing()) {
+    console.log(`⚠️ Order ${orderNumber} is ${order.status}. Skipping.`);
+    return;
+  }
+  if (!hasProvider(order.network)) {
+    console.log(
+      `✋ [Queue] No ${order.network} fulfilment provider. Order ${orderNumber} awaits manual delivery`,
+    );
+    return;
+  }
+  if (!order.canRetry()) {
+    await order.markAsFailed("No delivery attempts left");
+    return;
+  }
+
+  // B. Count the attempt before calling the provider,
+  // so a crash mid-call still uses one up
+  order.deliveryAttempts += 1;
+  await order.save();
+
+  let result;
+  try {
+    result = await deliverOrder(order);
+  } catch (error) {
+    // C. Provider failed or timed out
+    const reason = error.message.slice(0, 500);
+
+    if (order.canRetry()) {
+      order.failureReason = reason;
+      await order.save();
+      await enqueueDelivery(order, {
+        delay: OrderSettings.RETRY_DELAY_MINUTES * 60 * 1000,
+      });
+
+      console.warn(
+        `🔁 [Queue] Delivery attempt ${order.deliveryAttempts}/${OrderSettings.MAX_DELIVERY_ATTEMPTS} failed for ${orderNumber}: ${reason}`,
+      );
+      return;
+    }
+
+    await order.markAsFailed(reason, {
+      notes: `Delivery failed after ${order.deliveryAttempts} attempts: ${reason}`,
+    });
+
+    console.error(`❌ [Queue] Delivery Failed: ${orderNumber}`);
+    return;
+  }
+
+  // D. Delivered - the reseller's commission becomes available
+  order.fulfilmentProvider = result.provider;
+  order.fulfilmentReference = result.reference;
+  order.failureReason = null;
+  await markOrderDelivered(order, {
+    notes: `Delivered by ${result.provider} provider (${result.reference})`,
+  });
+
+  console.log(`✅ [Queue] Order Delivered: ${orderNumber}`);
+});
+
+module.exports = { deliveryQueue, enqueueDelivery };
@@ -0,0 +1,81 @@
+// src/services/queues/maintenance.queue.js
+const Queue = require("bull");
+const { config } = require("../../config/env");
+const orderService = require("../order.service");
+const paymentService = require("../payment.service");
+
+// 1. Initialize Queue
+// Holds repeatable housekeeping jobs, one named processor per job
+const maintenanceQueue = new Queue("order-maintenance", config.redis.url);
+
+const JOBS = {
+  EXPIRE_UNPAID_ORDERS: "expire-unpaid-orders",
+  RECONCILE_PAYMENTS: "reconcile-payments",
+};
+
+// 2. Define the Processes
+maintenanceQueue.process(JOBS.EXPIRE_UNPAID_ORDERS, async () => {
+  const { checked, expired } = await orderService.expireUnpaidOrders();
+
+  if (checked > 0) {
+    console.log(
+      `⏰ [Queue] Expired ${expired}/${checked} unpaid orders older than ${config.orders.paymentExpiryMinutes} minutes`,
+    );
+  }
+
+  return { checked, expired };
+});
+
+maintenanceQueue.process(JOBS.RECONCILE_PAYMENTS, async () => {
+  const { checked, recovered } =
+    await paymentService.reconcilePendingPayments();
+
+  if (recovered > 0) {
+    console.log(
+      `🔎 [Queue] Reconciliation found ${recovered}/${checked} paid orders with no webhook`,
+    );
+  }
+
+  return { checked, recovered };
+});
+
+/**
+ * Add a repeatable job
+ * @param {string} name - Job name from JOBS
+ * @param {number} minutes - Interval between runs
+ */
+const scheduleEvery = async (name, minutes) => {
+  await maintenanceQueue.add(
+    name,
+    {},
+    {
+      repeat: { every: minutes * 60 * 1000 },
+      removeOnComplete: true,
+      removeOnFail: 50,
+    },
+  );
+
+  console.log(`⏰ ${name} scheduled every ${minutes} minutes`);
+};
+
+/**
+ * Register the repeatable jobs
+ * Called on every start - schedules left over from an old interval are removed first
+ */
+const scheduleMaintenanceJobs = async () => {
+  const existing = await maintenanceQueue.getRepeatableJobs();
+  for (const job of existing) {
+    await maintenanceQueue.removeRepeatableByKey(job.key);
+  }
+
+  await scheduleEvery(
+    JOBS.EXPIRE_UNPAID_ORDERS,
+    config.orders.expiryCheckIntervalMinutes,
+  );
+  await scheduleEvery(
+    JOBS.RECONCILE_PAYMENTS,
+    config.orders.reconcileIntervalMinutes,
+  );
+};
+
+module.exports = { maintenanceQueue, scheduleMaintenanceJobs };
@@ -0,0 +1,91 @@
+// SETTINGS SERVICE
+// Admin-editable system settings (SystemSetting), with defaults from
+// constants.SystemSettingDefaults until an admin changes them
+
+const { SystemSetting } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const { roundToTwo } = require("../utils/helpers");
+const {
+  HttpStatus,
+  ErrorMessages,
+  SuccessMessages,
+  SystemSettingDefaults,
+} = require("../constants");
+
+// Override levels share the order profit, so together they stay within 100%
+const OVERRIDE_SETTINGS = [
+  "overrideCommissionPercent",
+  "grandparentOverrideCommissionPercent",
+];
+
+/**
+ * Get one setting's value
+ * @param {string} key - Setting key (see SystemSettingDefaults)
+ * @returns {Promise<*>}
+ */
+const getSetting = async (key) => await SystemSetting.getValue(key);
+
+/**
+ * Get All Settings (Admin)
+ * Every known setting with its value, and who last changed it
+ *
+ * @returns {Promise<Object>} { key: { value, default, updatedAt, updatedBy } }
+ */
+const getSettings = async () => {
+  const saved = await SystemSetting.find().populate({
+    path: "updatedBy",
+    select: "name email",
+  });
+  const savedByKey = new Map(saved.map((setting) => [setting.key, setting]));
+
+  return Object.fromEntries(
+    Object.entries(SystemSettingDefaults).map(([key, defaultValue]) => {
+      const setting = savedByKey.get(key);
+      return [
+        key,
+        {
+          value: setting ? setting.value : defaultValue,
+          default: defaultValue,
+          updatedAt: setting ? setting.updatedAt : null,
+          updatedBy: setting?.updatedBy
+            ? { name: setting.updatedBy.name, email: setting.updatedBy.email }
+            : null,
+        },
+      ];
+    }),
+  );
+};
+
+/**
+ * Update Settings (Admin)
+ * @param {Object} updates - { key: value } for the settings to change
+ * @param {Object} admin - Request user (req.user)
+ */
+const updateSettings = async (updates, admin) => {
+  if (OVERRIDE_SETTINGS.some((key) => updates[key] !== undefined)) {
+    let total = 0;
+    for (const key of OVERRIDE_SETTINGS) {
+      total += updates[key] ?? Number(await getSetting(key));
+    }
+    if (roundToTwo(total) > 100)
+      throw createError(
+        ErrorMessages.OVERRIDE_PERCENT_TOO_HIGH,
+        HttpStatus.BAD_REQUEST,
+      );
+  }
+
+  for (const [key, value] of Object.entries(updates)) {
+    await SystemSetting.setValue(key, value, admin.id);
+  }
+
+  return {
+    settings: await getSettings(),
+    message: SuccessMessages.SETTINGS_UPDATED,
+  };
+};
+
+module.exports = {
+  getSetting,
+  getSettings,
+  updateSettings,
+};
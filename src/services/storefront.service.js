@@ -0,0 +1,108 @@
+// STOREFRONT SERVICE
+// The public shop page behind a reseller's ?ref= link, and the reseller's
+// own branding for it (shop name, logo, tagline, WhatsApp contact)
+
+const { SuccessMessages } = require("../constants");
+const { formatPhoneNumber } = require("../utils/helpers");
+const pricingService = require("./pricing.service");
+const bundleService = require("./bundle.service");
+const walletService = require("./wallet.service");
+
+// Branding fields a reseller can edit
+const BRANDING_FIELDS = ["shopName", "logoUrl", "tagline", "whatsappNumber"];
+
+/**
+ * Branding as shown to customers
+ * Falls back to the reseller's own name when no shop name is set
+ *
+ * @param {Object} reseller - Reseller document
+ * @param {string} ownerName - Reseller's user name
+ * @returns {Object} Branding
+ */
+const toBranding = (reseller, ownerName) => ({
+  displayName: reseller.shopName || ownerName,
+  shopName: reseller.shopName,
+  logoUrl: reseller.logoUrl,
+  tagline: reseller.tagline,
+  whatsappNumber: reseller.whatsappNumber,
+  // Click-to-chat link wants the international number without +
+  whatsappLink: reseller.whatsappNumber
+    ? `https://wa.me/233${reseller.whatsappNumber.slice(1)}`
+    : null,
+});
+
+/**
+ * Get Storefront (Public)
+ * Who runs the shop and what it sells, grouped by network.
+ * Unknown codes get 404; shops of pending, suspended or rejected resellers 403.
+ *
+ * @param {string} referralCode - Referral code from the ?ref= link
+ * @returns {Promise<Object>} { referralCode, shop, networks }
+ */
+const getStorefront = async (referralCode) => {
+  const reseller = await pricingService.getResellerByReferralCode(referralCode);
+  const bundles = await bundleService.getPricedBundles(reseller);
+
+  // Bundles come sorted by network, then price
+  const networks = [];
+  for (const bundle of bundles) {
+    const last = networks[networks.length - 1];
+    if (last && last.network === bundle.network) last.bundles.push(bundle);
+    else networks.push({ network: bundle.network, bundles: [bundle] });
+  }
+
+  return {
+    referralCode: reseller.referralCode,
+    shop: {
+      ...toBranding(reseller, reseller.user.name),
+      status: reseller.user.status,
+    },
+    networks,
+  };
+};
+
+/**
+ * Get Own Storefront (Reseller)
+ * @param {Object} user - Request user (req.user)
+ */
+const getMyStorefront = async (user) => {
+  const reseller = await walletService.findResellerOrFail(user.reseller?.id);
+
+  return {
+    referralCode: reseller.referralCode,
+    ...toBranding(reseller, user.name),
+  };
+};
+
+/**
+ * Update Own Storefront (Reseller)
+ * Fields set to null are cleared
+ *
+ * @param {Object} user - Request user (req.user)
+ * @param {Object} data - { shopName, logoUrl, tagline, whatsappNumber }
+ */
+const updateMyStorefront = async (user, data) => {
+  const reseller = await walletService.findResellerOrFail(user.reseller?.id);
+
+  for (const field of BRANDING_FIELDS) {
+    if (data[field] !== undefined) reseller[field] = data[field];
+  }
+  if (data.whatsappNumber)
+    reseller.whatsappNumber = formatPhoneNumber(data.whatsappNumber);
+
+  await reseller.save();
+
+  return {
+    storefront: {
+      referralCode: reseller.referralCode,
+      ...toBranding(reseller, user.name),
+    },
+    message: SuccessMessages.STOREFRONT_UPDATED,
+  };
+};
+
+module.exports = {
+  getStorefront,
+  getMyStorefront,
+  updateMyStorefront,
+};
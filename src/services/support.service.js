@@ -0,0 +1,356 @@
+// SUPPORT SERVICE
+// Customer support tickets and their message threads
+//
+// Customers do not log in: they open a ticket against an order by giving
+// its order number plus the phone it was bought for, and use that phone
+// again to read and reply. Admins list, assign, reply, resolve and close.
+//
+// Status moves follow TicketStatusTransitions. A closed ticket is final -
+// the customer opens a new one instead.
+
+const { SupportTicket, SupportMessage, Order, User } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const {
+  HttpStatus,
+  ErrorMessages,
+  SuccessMessages,
+  TicketStatus,
+  TicketStatusTransitions,
+  TicketAuthorType,
+  UserRole,
+  UserStatus,
+} = require("../constants");
+const { formatPhoneNumber } = require("../utils/helpers");
+
+// Ticket numbers are random, so retry on the rare collision
+const MAX_TICKET_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Pick a ticket number not taken yet
+ */
+const generateTicketNumber = async () => {
+  for (let attempt = 0; attempt < MAX_TICKET_NUMBER_ATTEMPTS; attempt++) {
+    const ticketNumber = await SupportTicket.getNextTicketNumber();
+    if (!(await SupportTicket.exists({ ticketNumber }))) return ticketNumber;
+  }
+
+  throw createError(
+    "Could not generate a ticket number. Please try again",
+    HttpStatus.SERVICE_UNAVAILABLE,
+  );
+};
+
+/**
+ * Throw 409 if the ticket is closed
+ */
+const assertNotClosed = (ticket) => {
+  if (ticket.isClosed())
+    throw createError(ErrorMessages.TICKET_CLOSED, HttpStatus.CONFLICT);
+};
+
+/**
+ * Shape a ticket for the customer
+ * Only who wrote each message (customer or support) - no admin details
+ */
+const toCustomerTicket = (ticket, order, messages) => ({
+  ticketNumber: ticket.ticketNumber,
+  orderNumber: order.orderNumber,
+  status: ticket.status,
+  createdAt: ticket.createdAt,
+  resolvedAt: ticket.resolvedAt,
+  messages: messages.map((entry) => ({
+    authorType: entry.authorType,
+    message: entry.message,
+    createdAt: entry.createdAt,
+  })),
+});
+
+/**
+ * Find a customer's ticket by number and phone, or throw 404
+ * Same error for unknown number and wrong phone
+ */
+const findCustomerTicketOrFail = async (ticketNumber, customerPhone) => {
+  const ticket = await SupportTicket.findOne({
+    ticketNumber,
+    customerPhone: formatPhoneNumber(customerPhone),
+  });
+  if (!ticket)
+    throw createError(ErrorMessages.TICKET_NOT_FOUND, HttpStatus.NOT_FOUND);
+  return ticket;
+};
+
+/**
+ * Open Ticket (Customer)
+ * The opening message is kept on the ticket and starts the thread.
+ *
+ * @param {Object} data - { orderNumber, customerPhone, message }
+ */
+const createTicket = async ({ orderNumber, customerPhone, message }) => {
+  const phone = formatPhoneNumber(customerPhone);
+
+  // Same 404 as order tracking for unknown number and wrong phone
+  const order = await Order.findOne({ orderNumber, customerPhone: phone });
+  if (!order)
+    throw createError(ErrorMessages.ORDER_NOT_FOUND, HttpStatus.NOT_FOUND);
+
+  const ticket = await SupportTicket.create({
+    ticketNumber: await generateTicketNumber(),
+    orderId: order._id,
+    customerPhone: phone,
+    message,
+  });
+
+  const opening = await SupportMessage.create({
+    ticketId: ticket._id,
+    authorType: TicketAuthorType.CUSTOMER,
+    message,
+  });
+
+  return {
+    ticket: toCustomerTicket(ticket, order, [opening]),
+    message: SuccessMessages.TICKET_CREATED,
+  };
+};
+
+/**
+ * Get Ticket (Customer)
+ * @param {string} ticketNumber - TKT-XXXXX
+ * @param {string} customerPhone - Phone the ticket was opened with
+ */
+const getCustomerTicket = async (ticketNumber, customerPhone) => {
+  const ticket = await findCustomerTicketOrFail(ticketNumber, customerPhone);
+  await ticket.populate([
+    { path: "order", select: "orderNumber" },
+    { path: "messages" },
+  ]);
+
+  return toCustomerTicket(ticket, ticket.order, ticket.messages);
+};
+
+/**
+ * Reply to Ticket (Customer)
+ * A reply on a resolved ticket reopens it: back with its admin if it has
+ * one, otherwise back in the open queue.
+ *
+ * @param {string} ticketNumber - TKT-XXXXX
+ * @param {Object} data - { customerPhone, message }
+ */
+const addCustomerMessage = async (ticketNumber, { customerPhone, message }) => {
+  const ticket = await findCustomerTicketOrFail(ticketNumber, customerPhone);
+  assertNotClosed(ticket);
+
+  await SupportMessage.create({
+    ticketId: ticket._id,
+    authorType: TicketAuthorType.CUSTOMER,
+    message,
+  });
+
+  if (ticket.isResolved()) {
+    ticket.status = ticket.assignedToId
+      ? TicketStatus.IN_PROGRESS
+      : TicketStatus.OPEN;
+    ticket.resolvedAt = null;
+    await ticket.save();
+  }
+
+  return {
+    ticket: await getCustomerTicket(ticket.ticketNumber, customerPhone),
+    message: SuccessMessages.TICKET_REPLY_ADDED,
+  };
+};
+
+/**
+ * Find ticket by ID or throw 404
+ */
+const findTicketOrFail = async (ticketId) => {
+  const ticket = await SupportTicket.findById(ticketId);
+  if (!ticket)
+    throw createError(ErrorMessages.TICKET_NOT_FOUND, HttpStatus.NOT_FOUND);
+  return ticket;
+};
+
+/**
+ * Get Tickets (Admin)
+ * Oldest first, so the queue is worked in order
+ *
+ * @param {Object} filters - status, priority, assignedTo (ID, "me" or "none"), orderNumber, page, limit
+ * @param {Object} admin - Request user (req.user)
+ */
+const getTickets = async (
+  { status, priority, assignedTo, orderNumber, page = 1, limit = 20 } = {},
+  admin,
+) => {
+  const where = {};
+  if (status) where.status = status;
+  if (priority) where.priority = priority;
+  if (assignedTo === "me") where.assignedToId = admin.id;
+  else if (assignedTo === "none") where.assignedToId = null;
+  else if (assignedTo) where.assignedToId = assignedTo;
+
+  if (orderNumber) {
+    const order = await Order.findOne({
+      orderNumber: orderNumber.toUpperCase(),
+    }).select("_id");
+    if (!order) return { tickets: [], total: 0, page, limit };
+    where.orderId = order._id;
+  }
+
+  const [tickets, total] = await Promise.all([
+    SupportTicket.find(where)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate([
+        { path: "order", select: "orderNumber status paymentStatus" },
+        { path: "assignedTo", select: "name email" },
+      ]),
+    SupportTicket.countDocuments(where),
+  ]);
+
+  return { tickets, total, page, limit };
+};
+
+/**
+ * Get Ticket (Admin)
+ * With the order it is about and the full thread, admin authors named
+ */
+const getTicketById = async (ticketId) => {
+  const ticket = await findTicketOrFail(ticketId);
+  await ticket.populate([
+    {
+      path: "order",
+      select:
+        "orderNumber bundleName network customerPhone sellingPrice status paymentStatus createdAt",
+    },
+    { path: "assignedTo", select: "name email" },
+    { path: "messages", populate: { path: "author", select: "name email" } },
+  ]);
+
+  return ticket;
+};
+
+/**
+ * Find an active admin by ID, or throw 400
+ */
+const findAssigneeOrFail = async (adminId) => {
+  const user = await User.findById(adminId);
+
+  if (
+    !user ||
+    user.role !== UserRole.ADMIN ||
+    user.status !== UserStatus.ACTIVE
+  )
+    throw createError(
+      ErrorMessages.TICKET_ASSIGNEE_NOT_ADMIN,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  return user;
+};
+
+/**
+ * Assign Ticket (Admin)
+ * Puts the ticket IN_PROGRESS with the assignee (a resolved ticket is reopened)
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} data - { adminId? } - defaults to the requesting admin
+ * @param {Object} admin - Request user (req.user)
+ */
+const assignTicket = async (ticketId, { adminId } = {}, admin) => {
+  const ticket = await findTicketOrFail(ticketId);
+  assertNotClosed(ticket);
+
+  const assignee = await findAssigneeOrFail(adminId || admin.id);
+  ticket.resolvedAt = null;
+  await ticket.assign(assignee._id);
+
+  return {
+    ticket: await getTicketById(ticket._id),
+    message: SuccessMessages.TICKET_ASSIGNED,
+  };
+};
+
+/**
+ * Reply to Ticket (Admin)
+ * Replying to an unassigned ticket takes it: it is assigned to the replier
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} data - { message }
+ * @param {Object} admin - Request user (req.user)
+ */
+const addAdminMessage = async (ticketId, { message }, admin) => {
+  const ticket = await findTicketOrFail(ticketId);
+  assertNotClosed(ticket);
+
+  await SupportMessage.create({
+    ticketId: ticket._id,
+    authorType: TicketAuthorType.ADMIN,
+    authorId: admin.id,
+    message,
+  });
+
+  if (!ticket.assignedToId) await ticket.assign(admin.id);
+
+  return {
+    ticket: await getTicketById(ticket._id),
+    message: SuccessMessages.TICKET_REPLY_ADDED,
+  };
+};
+
+/**
+ * Update Ticket Status (Admin)
+ * - IN_PROGRESS takes an unassigned ticket for the requesting admin
+ * - OPEN puts the ticket back in the queue, unassigned
+ * - RESOLVED / CLOSED stamp resolvedAt
+ *
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} data - { status }
+ * @param {Object} admin - Request user (req.user)
+ */
+const updateTicketStatus = async (ticketId, { status }, admin) => {
+  const ticket = await findTicketOrFail(ticketId);
+
+  if (!TicketStatusTransitions[ticket.status].includes(status))
+    throw createError(
+      ticket.isClosed()
+        ? ErrorMessages.TICKET_CLOSED
+        : `${ErrorMessages.INVALID_TICKET_STATUS_TRANSITION}: ${ticket.status} to ${status}`,
+      ticket.isClosed() ? HttpStatus.CONFLICT : HttpStatus.BAD_REQUEST,
+    );
+
+  let message = SuccessMessages.TICKET_UPDATED;
+
+  switch (status) {
+    case TicketStatus.RESOLVED:
+      await ticket.resolve();
+      message = SuccessMessages.TICKET_RESOLVED;
+      break;
+    case TicketStatus.CLOSED:
+      await ticket.close();
+      message = SuccessMessages.TICKET_CLOSED;
+      break;
+    case TicketStatus.IN_PROGRESS:
+      ticket.resolvedAt = null;
+      await ticket.assign(ticket.assignedToId || admin.id);
+      break;
+    case TicketStatus.OPEN:
+      ticket.status = TicketStatus.OPEN;
+      ticket.assignedToId = null;
+      ticket.resolvedAt = null;
+      await ticket.save();
+      break;
+  }
+
+  return { ticket: await getTicketById(ticket._id), message };
+};
+
+module.exports = {
+  createTicket,
+  getCustomerTicket,
+  addCustomerMessage,
+  getTickets,
+  getTicketById,
+  assignTicket,
+  addAdminMessage,
+  updateTicketStatus,
+};
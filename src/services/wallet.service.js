@@ -0,0 +1,155 @@
+// WALLET SERVICE
+// Reseller balances, worked out from the Transaction ledger rather than
+// the Reseller counters:
+//
+//   COMMISSION_EARNING  PENDING   - order paid, not delivered yet (pending)
+//   COMMISSION_EARNING  COMPLETED - order delivered or refunded (earned)
+//   COMMISSION_REVERSAL COMPLETED - commission taken back by a refund
+//   WITHDRAWAL          PENDING / COMPLETED - on its way / paid out
+//
+// FAILED entries never count. available = earned - reversed - withdrawals
+
+const { Reseller, Transaction } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const {
+  HttpStatus,
+  ErrorMessages,
+  RegexPatterns,
+  TransactionType,
+  TransactionStatus,
+} = require("../constants");
+const { roundToTwo } = require("../utils/helpers");
+
+// Ledger entries that move a reseller's wallet
+const WALLET_TYPES = [
+  TransactionType.COMMISSION_EARNING,
+  TransactionType.COMMISSION_REVERSAL,
+  TransactionType.WITHDRAWAL,
+];
+
+/**
+ * Find reseller by document ID or public reseller ID (RES-001), or throw 404
+ */
+const findResellerOrFail = async (reseller, session = null) => {
+  const found = RegexPatterns.OBJECT_ID.test(reseller || "")
+    ? await Reseller.findById(reseller).session(session)
+    : await Reseller.findByResellerId((reseller || "").toUpperCase()).session(
+        session,
+      );
+
+  if (!found)
+    throw createError(ErrorMessages.RESELLER_NOT_FOUND, HttpStatus.NOT_FOUND);
+  return found;
+};
+
+/**
+ * Get Wallet Balance
+ * @param {string} resellerId - Reseller document ID or RES-XXX
+ * @param {Object} options - { session } to read inside a transaction
+ * @returns {Promise<Object>} { reseller, currency, available, pending, lifetime, withdrawn, withdrawing }
+ */
+const getBalance = async (resellerId, { session = null } = {}) => {
+  const reseller = await findResellerOrFail(resellerId, session);
+
+  const totals = await Transaction.aggregate([
+    {
+      $match: {
+        resellerId: reseller._id,
+        type: { $in: WALLET_TYPES },
+        status: { $ne: TransactionStatus.FAILED },
+      },
+    },
+    {
+      $group: {
+        _id: { type: "$type", status: "$status" },
+        total: { $sum: "$amount" },
+      },
+    },
+  ]).session(session);
+
+  // "TYPE:STATUS" -> GHS
+  const sums = {};
+  for (const { _id, total } of totals) {
+    sums[`${_id.type}:${_id.status}`] = parseFloat(total.toString());
+  }
+  const sum = (type, status) => sums[`${type}:${status}`] || 0;
+
+  const earned = sum(
+    TransactionType.COMMISSION_EARNING,
+    TransactionStatus.COMPLETED,
+  );
+  const pending = sum(
+    TransactionType.COMMISSION_EARNING,
+    TransactionStatus.PENDING,
+  );
+  const reversed = sum(
+    TransactionType.COMMISSION_REVERSAL,
+    TransactionStatus.COMPLETED,
+  );
+  const withdrawn = sum(
+    TransactionType.WITHDRAWAL,
+    TransactionStatus.COMPLETED,
+  );
+  const withdrawing = sum(
+    TransactionType.WITHDRAWAL,
+    TransactionStatus.PENDING,
+  );
+
+  return {
+    reseller: {
+      id: reseller._id.toString(),
+      resellerId: reseller.resellerId,
+    },
+    currency: "GHS",
+    available: roundToTwo(earned - reversed - withdrawn - withdrawing),
+    pending: roundToTwo(pending),
+    lifetime: roundToTwo(earned + pending - reversed),
+    withdrawn: roundToTwo(withdrawn),
+    withdrawing: roundToTwo(withdrawing),
+  };
+};
+
+/**
+ * Get Wallet Ledger
+ * Commission, reversal and withdrawal entries, newest first
+ *
+ * @param {string} resellerId - Reseller document ID or RES-XXX
+ * @param {Object} filters - type, status, from, to, page, limit
+ */
+const getLedger = async (
+  resellerId,
+  { type, status, from, to, page = 1, limit = 20 } = {},
+) => {
+  const reseller = await findResellerOrFail(resellerId);
+
+  const where = {
+    resellerId: reseller._id,
+    type: type || { $in: WALLET_TYPES },
+  };
+  if (status) where.status = status;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.$gte = from;
+    if (to) where.createdAt.$lte = to;
+  }
+
+  const [entries, total] = await Promise.all([
+    Transaction.find(where)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({
+        path: "order",
+        select: "orderNumber bundleName network status",
+      }),
+    Transaction.countDocuments(where),
+  ]);
+
+  return { entries, total, page, limit };
+};
+
+module.exports = {
+  findResellerOrFail,
+  getBalance,
+  getLedger,
+};
@@ -0,0 +1,168 @@
+// WEBHOOK SERVICE
+// Receives, stores and replays provider webhooks (see WebhookEvent model)
+
+const { WebhookEvent } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const { HttpStatus, WebhookEventStatus } = require("../constants");
+const { paymentQueue } = require("./queues/payment.queue");
+const { getProvider } = require("./payments");
+
+const QUEUE_OPTIONS = {
+  attempts: 5, // Retry 5 times if DB is down
+  backoff: 5000, // Wait 5s between retries
+  removeOnComplete: true,
+};
+
+/**
+ * Put a stored event on the payment queue
+ * @param {Object} event - WebhookEvent document
+ */
+const enqueueEvent = async (event) => {
+  const provider = getProvider(event.provider);
+  const { type, data } = provider.parseWebhook(event.payload, event.rawBody);
+
+  await paymentQueue.add(
+    {
+      event: type,
+      data,
+      provider: provider.name,
+      webhookEventId: event._id.toString(),
+    },
+    QUEUE_OPTIONS,
+  );
+};
+
+/**
+ * Receive a provider webhook
+ * Every call is stored. Bad signatures are stored as REJECTED and never
+ * queued; repeats of a signed event are not queued again.
+ *
+ * @param {string} providerName - Payment provider (from the webhook URL)
+ * @param {Object} options - Request details
+ * @param {Buffer} options.rawBody - Body bytes as received
+ * @param {Object} options.payload - Parsed body
+ * @param {Object} options.headers - Request headers (carry the signature)
+ * @returns {Promise<Object>} { accepted, duplicate, event }
+ */
+const receiveEvent = async (providerName, { rawBody, payload, headers }) => {
+  const provider = getProvider(providerName);
+  const signatureValid = provider.verifySignature(rawBody, headers);
+  const { eventId, type } = provider.parseWebhook(payload, rawBody);
+
+  const base = {
+    provider: provider.name,
+    eventId,
+    type,
+    rawBody: rawBody ? rawBody.toString("utf8") : "",
+    payload,
+    signatureValid,
+  };
+
+  if (!signatureValid) {
+    const event = await WebhookEvent.create({
+      ...base,
+      status: WebhookEventStatus.REJECTED,
+      error: "Invalid signature",
+    });
+    return { accepted: false, duplicate: false, event };
+  }
+
+  let event;
+  try {
+    event = await WebhookEvent.create({
+      ...base,
+      status: WebhookEventStatus.QUEUED,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Already received - only re-queue if it never got onto the queue
+    event = await WebhookEvent.findByEventId(base.provider, base.eventId);
+    if (event.status !== WebhookEventStatus.FAILED || event.attempts > 0) {
+      return { accepted: true, duplicate: true, event };
+    }
+  }
+
+  try {
+    await enqueueEvent(event);
+  } catch (error) {
+    // Providers retry on 5xx, and the retry re-queues it (see above)
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      {
+        status: WebhookEventStatus.FAILED,
+        error: `Could not queue: ${error.message}`,
+      },
+    );
+    throw error;
+  }
+
+  if (event.status !== WebhookEventStatus.QUEUED) {
+    event.status = WebhookEventStatus.QUEUED;
+    event.error = null;
+    await event.save();
+  }
+
+  return { accepted: true, duplicate: false, event };
+};
+
+/**
+ * Get Webhook Events (Admin)
+ * Raw body and payload are left out of the list - open one event to see them
+ */
+const getEvents = async ({ type, status, page = 1, limit = 20 } = {}) => {
+  const where = {};
+  if (type) where.type = type;
+  if (status) where.status = status;
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(where)
+      .select("-rawBody -payload")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WebhookEvent.countDocuments(where),
+  ]);
+
+  return { events, total, page, limit };
+};
+
+/**
+ * Find webhook event by ID or throw 404
+ */
+const getEventById = async (eventId) => {
+  const event = await WebhookEvent.findById(eventId);
+  if (!event)
+    throw createError("Webhook event not found", HttpStatus.NOT_FOUND);
+  return event;
+};
+
+/**
+ * Replay Webhook Event (Admin)
+ * Queues a stored event again. Handlers are idempotent, so replaying a
+ * PROCESSED event is safe; REJECTED (unsigned) events cannot be replayed.
+ */
+const replayEvent = async (eventId) => {
+  const event = await getEventById(eventId);
+
+  if (!event.canReplay())
+    throw createError(
+      "Events with an invalid signature cannot be replayed",
+      HttpStatus.BAD_REQUEST,
+    );
+
+  await enqueueEvent(event);
+
+  event.status = WebhookEventStatus.QUEUED;
+  event.error = null;
+  await event.save();
+
+  return { event, message: "Webhook event queued for processing" };
+};
+
+module.exports = {
+  receiveEvent,
+  getEvents,
+  getEventById,
+  replayEvent,
+};
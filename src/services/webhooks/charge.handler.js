@@ -0,0 +1,195 @@
+// CHARGE WEBHOOK HANDLERS
+// charge.success - customer paid: check amount, settle order, log ledger
+// charge.failed  - payment attempt declined: fail the unpaid order and give
+//                  back its promo code use
+
+const { Order } = require("../../models");
+const {
+  OrderStatus,
+  PaymentStatus,
+  TransactionStatus,
+} = require("../../constants");
+const accountingService = require("../accounting.service");
+const eligibilityService = require("../eligibility.service");
+const settingsService = require("../settings.service");
+const promoService = require("../promo.service");
+const { enqueueDelivery } = require("../queues/delivery.queue");
+
+/**
+ * charge.success
+ * Every write (order, history, reseller credit, ledger entry) is one MongoDB
+ * transaction: a crash part-way leaves nothing behind and the queue retry
+ * starts clean. Delivery is queued only after the commit.
+ *
+ * @param {Object} data - Charge data (reference = our order number, amount in pesewas)
+ */
+const handleChargeSuccess = async (data) => {
+  const orderNumber = data.reference;
+
+  let settledOrder;
+  try {
+    settledOrder = await accountingService.runInTransaction((session) =>
+      applyChargeSuccess(data, session),
+    );
+  } catch (error) {
+    // Unique { type, providerReference } on Transaction - already recorded
+    if (error.code !== 11000) throw error;
+    console.log(`⚠️ Payment for ${orderNumber} already recorded. Skipping.`);
+    return;
+  }
+
+  if (!settledOrder) return;
+
+  // Hand over to the delivery queue
+  await enqueueDelivery(settledOrder);
+
+  console.log(`✅ [Queue] Payment Processed: ${orderNumber}`);
+};
+
+/**
+ * charge.success writes, inside the transaction
+ * @param {Object} data - Charge data
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} Order to deliver, or null if nothing to deliver
+ */
+const applyChargeSuccess = async (data, session) => {
+  const orderNumber = data.reference;
+  const order = await Order.findOne({ orderNumber }).session(session);
+
+  // A. Idempotency Check (Critical for Queues)
+  if (!order) {
+    console.error(`❌ Order ${orderNumber} not found!`);
+    return null;
+  }
+  if (
+    order.paymentStatus === PaymentStatus.PAID ||
+    order.paymentStatus === PaymentStatus.UNDER_REVIEW
+  ) {
+    console.log(`⚠️ Order ${orderNumber} already processed. Skipping.`);
+    return null;
+  }
+
+  // A failed or expired order gave its promo code use back - it is paid now
+  if (order.paymentStatus === PaymentStatus.FAILED)
+    await promoService.retakePromoCode(order);
+
+  order.paymentReference = data.id.toString();
+  order.paymentMethod = data.channel;
+
+  // B. Late Payment for an Expired Order
+  // The money is recorded, but the reseller is not credited and nothing
+  // is delivered. An admin decides whether to refund or re-process.
+  if (order.isExpired()) {
+    order.paymentStatus = PaymentStatus.PAID;
+    await order.save();
+
+    await order.addStatusNote(
+      "Payment received after the order expired. Not delivered and no reseller commission credited - needs admin review (refund or re-process).",
+    );
+    await accountingService.recordPayment(order, data);
+
+    console.warn(
+      `⚠️ [Queue] Late payment for expired order ${orderNumber}. Flagged for review.`,
+    );
+    return null;
+  }
+
+  // C. Amount Check
+  // Wrong amount or currency: hold for admin review (POST /orders/:id/payment-review)
+  // No reseller credit and no delivery until it is approved
+  const discrepancy = accountingService.checkChargeAmount(order, data);
+  if (discrepancy) {
+    order.paymentStatus = PaymentStatus.UNDER_REVIEW;
+    await order.save();
+
+    await accountingService.recordPayment(order, data, {
+      amount: discrepancy.receivedAmount,
+      status: TransactionStatus.PENDING,
+      metadata: { discrepancy },
+    });
+    await order.addStatusNote(
+      `Payment held for review: expected ${discrepancy.expectedCurrency} ${discrepancy.expectedAmount.toFixed(2)}, received ${discrepancy.receivedCurrency} ${discrepancy.receivedAmount.toFixed(2)}`,
+    );
+
+    console.warn(
+      `⚠️ [Queue] Payment mismatch on ${orderNumber}. Held for review.`,
+    );
+    return null;
+  }
+
+  // D. Reseller Eligibility
+  // A reseller suspended (or never approved) since checkout earns nothing:
+  // house sale if the houseSaleFallback setting is on, else admin review
+  const ineligible = await eligibilityService.checkOrderReseller(order);
+  if (ineligible) {
+    if (await settingsService.getSetting("houseSaleFallback")) {
+      await accountingService.convertToHouseSale(order, ineligible.reason);
+    } else {
+      order.paymentStatus = PaymentStatus.UNDER_REVIEW;
+      await order.save();
+
+      await accountingService.recordPayment(order, data, {
+        status: TransactionStatus.PENDING,
+        metadata: { ineligibleReseller: ineligible },
+      });
+      await order.addStatusNote(
+        `Payment held for review: ${ineligible.reason}. Approve to deliver as a house sale, or reject to refund`,
+      );
+
+      console.warn(
+        `⚠️ [Queue] ${ineligible.reason} on ${orderNumber}. Held for review.`,
+      );
+      return null;
+    }
+  }
+
+  // E. Settle Order - PAID, PROCESSING, reseller credit
+  // A FAILED order here had an earlier declined attempt (charge.failed)
+  await accountingService.settleOrderPayment(order, {
+    notes: "Payment confirmed",
+  });
+
+  // F. Log Transaction Ledger
+  await accountingService.recordPayment(order, data);
+
+  return order;
+};
+
+/**
+ * charge.failed
+ * Paystack lets the customer try again on the same reference, so a later
+ * charge.success still moves the order on (FAILED -> PROCESSING once paid).
+ *
+ * @param {Object} data - Paystack charge data
+ */
+const handleChargeFailed = async (data) => {
+  const orderNumber = data.reference;
+  const order = await Order.findOne({ orderNumber });
+
+  if (!order) {
+    console.error(`❌ Order ${orderNumber} not found!`);
+    return;
+  }
+  if (
+    order.paymentStatus !== PaymentStatus.PENDING ||
+    order.status !== OrderStatus.ACCEPTED
+  ) {
+    console.log(`⚠️ Order ${orderNumber} is not awaiting payment. Skipping.`);
+    return;
+  }
+
+  const reason = `Payment failed: ${data.gateway_response || data.message || "declined by the provider"}`;
+
+  order.paymentStatus = PaymentStatus.FAILED;
+  order.paymentMethod = data.channel || null;
+  order.failureReason = reason.slice(0, 500);
+  await order.transitionTo(OrderStatus.FAILED, { notes: order.failureReason });
+  await promoService.releasePromoCode(order);
+
+  console.log(`❌ [Queue] Payment Failed: ${orderNumber}`);
+};
+
+module.exports = {
+  handleChargeSuccess,
+  handleChargeFailed,
+};
@@ -0,0 +1,93 @@
+// DISPUTE WEBHOOK HANDLERS
+// charge.dispute.create  - customer's bank raised a chargeback: flag the order
+// charge.dispute.resolve - chargeback closed: record the outcome
+
+const { Order } = require("../../models");
+const { DisputeStatus } = require("../../constants");
+
+/**
+ * Find the order a dispute is about
+ * @param {Object} data - Paystack dispute data (transaction.reference = our order number)
+ * @returns {Promise<Object|null>} Order document
+ */
+const findDisputedOrder = async (data) => {
+  const orderNumber = data.transaction?.reference;
+  const order = orderNumber ? await Order.findOne({ orderNumber }) : null;
+
+  if (!order) {
+    console.error(`❌ Order for dispute ${data.id} not found!`);
+  }
+
+  return order;
+};
+
+/**
+ * charge.dispute.create
+ * @param {Object} data - Paystack dispute data
+ */
+const handleDisputeCreate = async (data) => {
+  const order = await findDisputedOrder(data);
+  if (!order) return;
+
+  if (order.dispute && order.dispute.providerDisputeId === data.id.toString()) {
+    console.log(`⚠️ Dispute ${data.id} already recorded. Skipping.`);
+    return;
+  }
+
+  order.dispute = {
+    providerDisputeId: data.id.toString(),
+    status: DisputeStatus.OPEN,
+    category: data.category || null,
+    providerStatus: data.status || null,
+    amount: data.refund_amount ? data.refund_amount / 100 : null,
+    dueAt: data.due_at || null,
+    openedAt: new Date(),
+  };
+  await order.save();
+
+  await order.addStatusNote(
+    `Chargeback opened (${data.category || "dispute"}) - respond on Paystack${data.due_at ? ` by ${data.due_at}` : ""}`,
+  );
+
+  console.warn(`⚠️ [Queue] Dispute Opened: ${order.orderNumber}`);
+};
+
+/**
+ * charge.dispute.resolve
+ * @param {Object} data - Paystack dispute data
+ */
+const handleDisputeResolve = async (data) => {
+  const order = await findDisputedOrder(data);
+  if (!order) return;
+
+  if (
+    !order.dispute ||
+    order.dispute.providerDisputeId !== data.id.toString()
+  ) {
+    console.error(
+      `❌ Dispute ${data.id} was never opened on ${order.orderNumber}`,
+    );
+    return;
+  }
+  if (order.dispute.status === DisputeStatus.RESOLVED) {
+    console.log(`⚠️ Dispute ${data.id} already resolved. Skipping.`);
+    return;
+  }
+
+  order.dispute.status = DisputeStatus.RESOLVED;
+  order.dispute.providerStatus = data.status || null;
+  order.dispute.resolution = data.resolution || null;
+  order.dispute.resolvedAt = data.resolved_at || new Date();
+  await order.save();
+
+  await order.addStatusNote(
+    `Chargeback resolved: ${data.resolution || data.status}`,
+  );
+
+  console.log(`✅ [Queue] Dispute Resolved: ${order.orderNumber}`);
+};
+
+module.exports = {
+  handleDisputeCreate,
+  handleDisputeResolve,
+};
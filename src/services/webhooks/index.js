@@ -0,0 +1,43 @@
+// WEBHOOK EVENT HANDLERS
+// Routes each Paystack event type to its handler module.
+// Called by the payment queue; a thrown error makes Bull retry the job.
+
+const charge = require("./charge.handler");
+const refund = require("./refund.handler");
+const transfer = require("./transfer.handler");
+const dispute = require("./dispute.handler");
+
+// Paystack event name -> handler(data)
+const handlers = {
+  "charge.success": charge.handleChargeSuccess,
+  "charge.failed": charge.handleChargeFailed,
+  "refund.processed": refund.handleRefundProcessed,
+  "refund.failed": refund.handleRefundFailed,
+  "transfer.success": transfer.handleTransferSuccess,
+  "transfer.failed": transfer.handleTransferFailed,
+  "transfer.reversed": transfer.handleTransferReversed,
+  "charge.dispute.create": dispute.handleDisputeCreate,
+  "charge.dispute.resolve": dispute.handleDisputeResolve,
+};
+
+/**
+ * Handle one Paystack event
+ * @param {Object} event - Paystack event body ({ event, data })
+ * @returns {Promise<boolean>} False if the event type is not handled
+ */
+const handleWebhookEvent = async (event) => {
+  const handler = handlers[event.event];
+
+  if (!handler) {
+    console.log(`ℹ️ [Queue] No handler for ${event.event}. Ignoring.`);
+    return false;
+  }
+
+  await handler(event.data);
+  return true;
+};
+
+module.exports = {
+  handleWebhookEvent,
+  supportedEvents: Object.keys(handlers),
+};
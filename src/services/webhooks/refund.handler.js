@@ -0,0 +1,154 @@
+// REFUND WEBHOOK HANDLERS
+// Paystack settles refunds after the admin requests them (order.service.refundOrder).
+// refund.processed - money is back with the customer
+// refund.failed    - refund did not go through: undo it so the admin can retry
+
+const mongoose = require("mongoose");
+const { Order, Reseller, Transaction } = require("../../models");
+const {
+  PaymentStatus,
+  TransactionType,
+  TransactionStatus,
+} = require("../../constants");
+const { runInTransaction } = require("../accounting.service");
+
+/**
+ * Find the pending REFUND transaction for a refund event
+ * Matched on the Paystack refund ID saved at request time
+ *
+ * @param {Object} data - Paystack refund data
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} Transaction document
+ */
+const findRefundTransaction = async (data, session) => {
+  return await Transaction.findOne({
+    type: TransactionType.REFUND,
+    providerReference: data.id.toString(),
+  }).session(session);
+};
+
+/**
+ * refund.processed
+ * @param {Object} data - Paystack refund data
+ */
+const handleRefundProcessed = async (data) => {
+  await runInTransaction(async (session) => {
+    const transaction = await findRefundTransaction(data, session);
+
+    if (!transaction) {
+      console.error(`❌ Refund ${data.id} not found!`);
+      return;
+    }
+    if (!transaction.isPending()) {
+      console.log(`⚠️ Refund ${data.id} already settled. Skipping.`);
+      return;
+    }
+
+    await transaction.markAsCompleted();
+
+    const order = await Order.findById(transaction.orderId).session(session);
+    if (order) {
+      await order.addStatusNote(
+        `Refund of GHS ${transaction.amount.toFixed(2)} processed by Paystack`,
+      );
+    }
+
+    console.log(`✅ [Queue] Refund Processed: ${data.transaction_reference}`);
+  });
+};
+
+/**
+ * refund.failed
+ * Reverses what refundOrder did: refunded amount, payment status and the
+ * reseller reversal. The order stays REFUNDED (a final status) but is PAID
+ * again, so the admin can refund it once more.
+ * All in one transaction - a retry after a failed write starts over.
+ *
+ * @param {Object} data - Paystack refund data
+ */
+const handleRefundFailed = async (data) => {
+  await runInTransaction(async (session) => {
+    const transaction = await findRefundTransaction(data, session);
+
+    if (!transaction) {
+      console.error(`❌ Refund ${data.id} not found!`);
+      return;
+    }
+    if (!transaction.isPending()) {
+      console.log(`⚠️ Refund ${data.id} already settled. Skipping.`);
+      return;
+    }
+
+    await transaction.markAsFailed();
+
+    // Give the claim back with $inc, as refundOrder took it
+    const amount = transaction.amount;
+    const order = await Order.findOneAndUpdate(
+      { _id: transaction.orderId },
+      {
+        $inc: {
+          refundedAmount: mongoose.Types.Decimal128.fromString(
+            `-${amount.toFixed(2)}`,
+          ),
+        },
+        paymentStatus: PaymentStatus.PAID,
+      },
+      { new: true, session },
+    );
+    if (!order) return;
+
+    // Give the reseller back what the refund took
+    const reversal = transaction.metadata?.resellerReversal;
+    if (order.resellerId && reversal) {
+      await Reseller.updateOne(
+        { _id: order.resellerId },
+        {
+          $inc: {
+            totalEarnings: reversal.totalEarnings,
+            totalSales: reversal.totalSales,
+            totalOrders: reversal.totalOrders,
+          },
+        },
+        { session },
+      );
+
+      // Cancel the wallet debit too
+      if (reversal.transactionId) {
+        await Transaction.updateOne(
+          { _id: reversal.transactionId },
+          { status: TransactionStatus.FAILED },
+          { session },
+        );
+      }
+
+      // And the upline overrides taken back with it
+      for (const override of reversal.overrides || []) {
+        await Reseller.updateOne(
+          { _id: override.resellerId },
+          { $inc: { totalEarnings: override.amount } },
+          { session },
+        );
+        if (override.transactionId) {
+          await Transaction.updateOne(
+            { _id: override.transactionId },
+            { status: TransactionStatus.FAILED },
+            { session },
+          );
+        }
+      }
+    }
+
+    await order.addStatusNote(
+      `Refund of GHS ${amount.toFixed(2)} failed at Paystack - payment restored, refund again if needed`,
+    );
+
+    console.error(
+      `❌ [Queue] Refund Failed: ${data.transaction_reference} (${data.id})`,
+    );
+  });
+};
+
+module.exports = {
+  handleRefundProcessed,
+  handleRefundFailed,
+};
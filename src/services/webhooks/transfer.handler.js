@@ -0,0 +1,88 @@
+// TRANSFER WEBHOOK HANDLERS
+// Paystack transfers pay out reseller earnings (Withdrawal requests and
+// their WITHDRAWAL transactions - see services/withdrawal.service)
+// transfer.success  - payout reached the reseller
+// transfer.failed   - payout did not go through
+// transfer.reversed - payout was sent back to our balance
+
+const { Transaction, Withdrawal } = require("../../models");
+const { TransactionType } = require("../../constants");
+const { runInTransaction } = require("../accounting.service");
+
+/**
+ * Find the WITHDRAWAL transaction for a transfer event
+ * Matched on our transfer reference or Paystack's transfer code
+ *
+ * @param {Object} data - Paystack transfer data
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} Transaction document
+ */
+const findPayoutTransaction = async (data, session) => {
+  return await Transaction.findOne({
+    type: TransactionType.WITHDRAWAL,
+    providerReference: { $in: [data.reference, data.transfer_code] },
+  }).session(session);
+};
+
+/**
+ * Settle a payout transaction and its withdrawal request
+ * A failed payout returns the money to the reseller's wallet, since FAILED
+ * ledger entries do not count. transfer.reversed can follow a success.
+ *
+ * @param {Object} data - Paystack transfer data
+ * @param {boolean} succeeded - Whether the money reached the reseller
+ */
+const settlePayout = async (data, succeeded) => {
+  await runInTransaction(async (session) => {
+    const transaction = await findPayoutTransaction(data, session);
+
+    if (!transaction) {
+      console.error(`❌ Payout ${data.reference} not found!`);
+      return;
+    }
+
+    const reversingPaidOut =
+      data.status === "reversed" && transaction.isCompleted();
+    if (!transaction.isPending() && !reversingPaidOut) {
+      console.log(`⚠️ Payout ${data.reference} already settled. Skipping.`);
+      return;
+    }
+
+    const failureReason = succeeded
+      ? null
+      : `Transfer ${data.status}${data.failures ? `: ${JSON.stringify(data.failures)}` : ""}`;
+
+    transaction.metadata = {
+      ...transaction.metadata,
+      transferCode: data.transfer_code,
+      transferStatus: data.status,
+      failureReason,
+    };
+
+    const withdrawal = await Withdrawal.findOne({
+      transactionId: transaction._id,
+    }).session(session);
+
+    if (succeeded) {
+      await transaction.markAsCompleted();
+      if (withdrawal) await withdrawal.markAsCompleted();
+      console.log(`✅ [Queue] Payout Completed: ${data.reference}`);
+    } else {
+      await transaction.markAsFailed();
+      if (withdrawal) await withdrawal.markAsFailed(failureReason);
+      console.error(`❌ [Queue] Payout ${data.status}: ${data.reference}`);
+    }
+  });
+};
+
+const handleTransferSuccess = (data) => settlePayout(data, true);
+
+const handleTransferFailed = (data) => settlePayout(data, false);
+
+const handleTransferReversed = (data) => settlePayout(data, false);
+
+module.exports = {
+  handleTransferSuccess,
+  handleTransferFailed,
+  handleTransferReversed,
+};
@@ -0,0 +1,296 @@
+// WITHDRAWAL SERVICE
+// Reseller payouts to mobile money:
+// request (funds held) -> admin approves -> Paystack transfer -> transfer webhook
+//
+// The WITHDRAWAL Transaction is written PENDING at request time, so the
+// amount leaves the available balance at once. It becomes COMPLETED when
+// the transfer succeeds, or FAILED (funds back in the wallet) when the
+// request is rejected or the transfer fails.
+
+const mongoose = require("mongoose");
+const { Withdrawal, Reseller, Transaction } = require("../models");
+const { createError } = require("../middleware/error.middleware");
+const {
+  HttpStatus,
+  ErrorMessages,
+  SuccessMessages,
+  ResellerSettings,
+  TransactionType,
+  TransactionStatus,
+  WithdrawalStatus,
+} = require("../constants");
+const { formatPhoneNumber } = require("../utils/helpers");
+const { runInTransaction } = require("./accounting.service");
+const walletService = require("./wallet.service");
+const { getProvider } = require("./payments");
+
+/**
+ * Request Withdrawal (Reseller)
+ * Checks the minimum and the available balance, then holds the amount.
+ * One open (pending or processing) withdrawal per reseller.
+ *
+ * @param {Object} user - Request user (req.user)
+ * @param {Object} data - { amount, momoNumber, momoNetwork, accountName }
+ */
+const requestWithdrawal = async (
+  user,
+  { amount, momoNumber, momoNetwork, accountName },
+) => {
+  if (amount < ResellerSettings.MIN_WITHDRAWAL_AMOUNT)
+    throw createError(
+      `${ErrorMessages.WITHDRAWAL_BELOW_MINIMUM} (GHS ${ResellerSettings.MIN_WITHDRAWAL_AMOUNT.toFixed(2)})`,
+      HttpStatus.BAD_REQUEST,
+    );
+
+  const provider = getProvider();
+
+  const withdrawal = await runInTransaction(async (session) => {
+    const reseller = await walletService.findResellerOrFail(
+      user.reseller?.id,
+      session,
+    );
+
+    // Touch the reseller so two requests at once conflict and run one by one
+    await Reseller.updateOne(
+      { _id: reseller._id },
+      { $currentDate: { updatedAt: true } },
+      { session },
+    );
+
+    const open = await Withdrawal.findOpenForReseller(reseller._id).session(
+      session,
+    );
+    if (open)
+      throw createError(
+        ErrorMessages.WITHDRAWAL_IN_PROGRESS,
+        HttpStatus.CONFLICT,
+      );
+
+    const { available } = await walletService.getBalance(reseller._id, {
+      session,
+    });
+    if (amount > available)
+      throw createError(
+        `${ErrorMessages.WITHDRAWAL_EXCEEDS_BALANCE} (GHS ${available.toFixed(2)})`,
+        HttpStatus.BAD_REQUEST,
+      );
+
+    const withdrawalId = new mongoose.Types.ObjectId();
+
+    const [transaction] = await Transaction.create(
+      [
+        {
+          transactionNumber: await Transaction.getNextTransactionNumber(),
+          userId: reseller.userId,
+          resellerId: reseller._id,
+          type: TransactionType.WITHDRAWAL,
+          amount,
+          status: TransactionStatus.PENDING,
+          paymentProvider: provider.name,
+          metadata: { withdrawalId: withdrawalId.toString() },
+        },
+      ],
+      { session },
+    );
+
+    const [created] = await Withdrawal.create(
+      [
+        {
+          _id: withdrawalId,
+          withdrawalNumber: await Withdrawal.getNextWithdrawalNumber(),
+          resellerId: reseller._id,
+          amount,
+          momoNumber: formatPhoneNumber(momoNumber || user.phone),
+          momoNetwork,
+          accountName: accountName || user.name,
+          transactionId: transaction._id,
+        },
+      ],
+      { session },
+    );
+
+    return created;
+  });
+
+  return { withdrawal, message: SuccessMessages.WITHDRAWAL_REQUESTED };
+};
+
+/**
+ * Get Own Withdrawals (Reseller)
+ */
+const getMyWithdrawals = async (user, filters = {}) => {
+  const reseller = await walletService.findResellerOrFail(user.reseller?.id);
+  return await getWithdrawals({ ...filters, reseller: reseller._id });
+};
+
+/**
+ * Get Withdrawals (Admin)
+ * @param {Object} filters - status, reseller (RES-XXX or document ID), page, limit
+ */
+const getWithdrawals = async ({
+  status,
+  reseller,
+  page = 1,
+  limit = 20,
+} = {}) => {
+  const where = {};
+  if (status) where.status = status;
+  if (reseller)
+    where.resellerId = (await walletService.findResellerOrFail(reseller))._id;
+
+  const [withdrawals, total] = await Promise.all([
+    Withdrawal.find(where)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({ path: "reseller", select: "resellerId referralCode" }),
+    Withdrawal.countDocuments(where),
+  ]);
+
+  return { withdrawals, total, page, limit };
+};
+
+/**
+ * Find withdrawal by ID or throw 404
+ */
+const getWithdrawalById = async (withdrawalId) => {
+  const withdrawal = await Withdrawal.findById(withdrawalId)
+    .populate({
+      path: "reseller",
+      select: "resellerId referralCode",
+      populate: { path: "user", select: "name email phone" },
+    })
+    .populate("transaction");
+
+  if (!withdrawal)
+    throw createError(ErrorMessages.WITHDRAWAL_NOT_FOUND, HttpStatus.NOT_FOUND);
+
+  return withdrawal;
+};
+
+/**
+ * Move a PENDING withdrawal on, or throw 404 / 409
+ * Atomic, so two admins cannot approve (or approve and reject) the same request
+ */
+const claimPendingWithdrawal = async (withdrawalId, update, session = null) => {
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, status: WithdrawalStatus.PENDING },
+    update,
+    { new: true, session },
+  );
+  if (withdrawal) return withdrawal;
+
+  const exists = await Withdrawal.exists({ _id: withdrawalId }).session(
+    session,
+  );
+  throw exists
+    ? createError(ErrorMessages.WITHDRAWAL_NOT_PENDING, HttpStatus.CONFLICT)
+    : createError(ErrorMessages.WITHDRAWAL_NOT_FOUND, HttpStatus.NOT_FOUND);
+};
+
+/**
+ * Approve Withdrawal (Admin)
+ * Sends the Paystack transfer. The transfer webhook settles it
+ * (services/webhooks/transfer.handler).
+ */
+const approveWithdrawal = async (withdrawalId, admin) => {
+  const provider = getProvider();
+
+  // Paystack wants lowercase references; this one is fixed per withdrawal,
+  // so re-approving after an error cannot pay twice
+  const existing =
+    await Withdrawal.findById(withdrawalId).select("withdrawalNumber");
+  if (!existing)
+    throw createError(ErrorMessages.WITHDRAWAL_NOT_FOUND, HttpStatus.NOT_FOUND);
+  const reference = existing.withdrawalNumber.toLowerCase();
+
+  const withdrawal = await claimPendingWithdrawal(withdrawalId, {
+    status: WithdrawalStatus.PROCESSING,
+    reviewedById: admin.id,
+    reviewedAt: new Date(),
+    transferReference: reference,
+  });
+
+  // The transfer webhook finds the ledger entry by this reference
+  await Transaction.updateOne(
+    { _id: withdrawal.transactionId },
+    { providerReference: reference, paymentProvider: provider.name },
+  );
+
+  try {
+    withdrawal.recipientCode =
+      withdrawal.recipientCode ||
+      (await provider.createTransferRecipient({
+        name: withdrawal.accountName,
+        momoNumber: withdrawal.momoNumber,
+        network: withdrawal.momoNetwork,
+      }));
+
+    const transfer = await provider.transfer({
+      amount: withdrawal.amount,
+      recipientCode: withdrawal.recipientCode,
+      reference,
+      reason: `Commission payout ${withdrawal.withdrawalNumber}`,
+    });
+
+    withdrawal.transferCode = transfer.transferCode;
+    await withdrawal.save();
+
+    await Transaction.updateOne(
+      { _id: withdrawal.transactionId },
+      {
+        "metadata.transferCode": transfer.transferCode,
+        "metadata.transferStatus": transfer.status,
+      },
+    );
+  } catch (error) {
+    // Back to PENDING so an admin can approve again or reject
+    withdrawal.status = WithdrawalStatus.PENDING;
+    withdrawal.failureReason = error.message.slice(0, 500);
+    await withdrawal.save();
+    throw error;
+  }
+
+  return { withdrawal, message: SuccessMessages.WITHDRAWAL_APPROVED };
+};
+
+/**
+ * Reject Withdrawal (Admin)
+ * The held amount goes back to the available balance
+ */
+const rejectWithdrawal = async (withdrawalId, { reason }, admin) => {
+  const withdrawal = await runInTransaction(async (session) => {
+    const rejected = await claimPendingWithdrawal(
+      withdrawalId,
+      {
+        status: WithdrawalStatus.REJECTED,
+        reviewedById: admin.id,
+        reviewedAt: new Date(),
+        rejectionReason: reason,
+      },
+      session,
+    );
+
+    await Transaction.updateOne(
+      { _id: rejected.transactionId },
+      {
+        status: TransactionStatus.FAILED,
+        "metadata.rejectionReason": reason,
+      },
+      { session },
+    );
+
+    return rejected;
+  });
+
+  return { withdrawal, message: SuccessMessages.WITHDRAWAL_REJECTED };
+};
+
+module.exports = {
+  requestWithdrawal,
+  getMyWithdrawals,
+  getWithdrawals,
+  getWithdrawalById,
+  approveWithdrawal,
+  rejectWithdrawal,
+};
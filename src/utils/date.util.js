@@ -0,0 +1,169 @@
+// DATE UTILITY
+// Calendar days and report periods in the business time zone (Africa/Accra)
+// Days are "YYYY-MM-DD" strings; instants are Dates (stored in UTC)
+
+const { ReportSettings } = require("../constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// MongoDB $dateToString formats for each report period
+const PERIOD_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V", // ISO week, e.g. 2025-W03
+  month: "%Y-%m",
+};
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in ms (positive east of UTC)
+ */
+const getTimezoneOffsetMs = (date, timeZone = ReportSettings.TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second"),
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Calendar day of an instant in the time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} YYYY-MM-DD
+ */
+const toLocalDay = (date, timeZone = ReportSettings.TIMEZONE) => {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+};
+
+/**
+ * Move a calendar day by a number of days
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (day, days) => {
+  const [year, month, date] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, date) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+};
+
+/**
+ * Number of calendar days from one day to another, inclusive
+ */
+const countDays = (fromDay, toDay) =>
+  Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS) + 1;
+
+/**
+ * Instant a calendar day starts in the time zone
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+const startOfDay = (day, timeZone = ReportSettings.TIMEZONE) => {
+  const [year, month, date] = day.split("-").map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, date);
+  // The offset at local midnight is what matters, so correct once more
+  // in case a DST change falls between UTC and local midnight
+  const guess =
+    utcMidnight - getTimezoneOffsetMs(new Date(utcMidnight), timeZone);
+  return new Date(utcMidnight - getTimezoneOffsetMs(new Date(guess), timeZone));
+};
+
+/**
+ * Resolve a report range of calendar days
+ * Without dates, the range is the last DEFAULT_RANGE_DAYS days up to today.
+ *
+ * @param {Object} range - { from, to } as YYYY-MM-DD, both inclusive
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { from, to, start, end } - start inclusive, end exclusive
+ */
+const resolveDayRange = (
+  { from, to } = {},
+  timeZone = ReportSettings.TIMEZONE,
+) => {
+  const toDay = to || toLocalDay(new Date(), timeZone);
+  const fromDay =
+    from || addDays(toDay, -(ReportSettings.DEFAULT_RANGE_DAYS - 1));
+
+  return {
+    from: fromDay,
+    to: toDay,
+    start: startOfDay(fromDay, timeZone),
+    end: startOfDay(addDays(toDay, 1), timeZone),
+  };
+};
+
+/**
+ * Report period a calendar day falls in
+ * Matches the labels MongoDB builds from PERIOD_FORMATS
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} groupBy - day, week or month
+ * @returns {string} Period label
+ */
+const getPeriodLabel = (day, groupBy) => {
+  if (groupBy === "month") return day.slice(0, 7);
+  if (groupBy !== "week") return day;
+
+  // ISO week: the week belongs to the year of its Thursday
+  const [year, month, date] = day.split("-").map(Number);
+  const thursday = new Date(Date.UTC(year, month - 1, date));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
+
+/**
+ * Every report period in a range, in order
+ * @param {string} fromDay - YYYY-MM-DD
+ * @param {string} toDay - YYYY-MM-DD
+ * @param {string} groupBy - day, week or month
+ * @returns {string[]} Period labels
+ */
+const listPeriods = (fromDay, toDay, groupBy) => {
+  const periods = [];
+  for (let day = fromDay; day <= toDay; day = addDays(day, 1)) {
+    const period = getPeriodLabel(day, groupBy);
+    if (periods[periods.length - 1] !== period) periods.push(period);
+  }
+  return periods;
+};
+
+module.exports = {
+  PERIOD_FORMATS,
+  getTimezoneOffsetMs,
+  toLocalDay,
+  addDays,
+  countDays,
+  startOfDay,
+  resolveDayRange,
+  getPeriodLabel,
+  listPeriods,
+};
@@ -229,6 +229,21 @@ const roundToTwo = (num) => {
   return Math.round((num + Number.EPSILON) * 100) / 100;
 };
 
+/**
+ * Percentage of a GHS amount, rounded half up to the pesewa
+ * Worked out in whole pesewas so 2.5% of 12.50 is exactly 0.31
+ *
+ * @param {number} amount - Amount in GHS
+ * @param {number} percent - Percentage (2 decimals at most)
+ * @returns {number} GHS
+ */
+const percentOf = (amount, percent) => {
+  const pesewas = Math.round(amount * 100);
+  const hundredths = Math.round(percent * 100);
+  // pesewas * hundredths / 10000 pesewas, rounded half up
+  return Math.floor((pesewas * hundredths + 5000) / 10000) / 100;
+};
+
 module.exports = {
   calculateProfit,
   calculateCommission,
@@ -248,4 +263,5 @@ module.exports = {
   sleep,
   isEmpty,
   roundToTwo,
+  percentOf,
 };
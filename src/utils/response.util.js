@@ -261,6 +261,10 @@ const transformForFrontend = (data) => {
         transformed[key] =
           typeof value === "string" ? value.toLowerCase() : value;
       }
+      // Keep dates and ObjectIds intact
+      else if (value instanceof Date || value?._bsontype) {
+        transformed[key] = value;
+      }
       // Recursively transform nested objects
       else if (typeof value === "object" && value !== null) {
         transformed[key] = transformForFrontend(value);
@@ -2,7 +2,20 @@
 // This file contains **Zod schemas** that validate incoming data from API requests.
 
 const { z } = require("zod");
-const { RegexPatterns } = require("../constants");
+const {
+  RegexPatterns,
+  OrderStatus,
+  PaymentStatus,
+  WebhookEventStatus,
+  TransactionType,
+  TransactionStatus,
+  WithdrawalStatus,
+  ReportSettings,
+  ResellerSettings,
+  DiscountType,
+  TicketStatus,
+  PaymentProvider,
+} = require("../constants");
 
 // USER VALIDATION SCHEMAS
 
@@ -27,6 +40,12 @@ const registerSchema = z.object({
     .string()
     .min(6, "Password must be at least 6 characters")
     .max(128, "Password must not exceed 128 characters"),
+  // Referral code of the reseller recruiting this one (their upline)
+  uplineReferralCode: z
+    .string()
+    .trim()
+    .length(8, "Upline referral code must be 8 characters")
+    .optional(),
 });
 
 /**
@@ -77,7 +96,28 @@ const changePasswordSchema = z
     path: ["confirmPassword"],
   });
 
+// SHARED FIELD SCHEMAS
+/**
+ * Network field (accepts any case, normalized to uppercase)
+ */
+const networkSchema = z
+  .string()
+  .transform((val) => val.toUpperCase())
+  .pipe(
+    z.enum(["MTN", "TELECEL", "AT"], {
+      errorMap: () => ({ message: "Network must be MTN, TELECEL, or AT" }),
+    }),
+  );
+
 // BUNDLE VALIDATION SCHEMAS
+/**
+ * Flat commission in GHS
+ */
+const commissionSchema = z
+  .number()
+  .nonnegative("Commission must be non-negative")
+  .multipleOf(0.01, "Commission must have at most 2 decimal places");
+
 /**
  * Schema for creating a bundle
  */
@@ -88,14 +128,7 @@ const createBundleSchema = z
       .min(1, "Bundle name is required")
       .max(100, "Bundle name must not exceed 100 characters")
       .trim(),
-    network: z
-      .string()
-      .transform((val) => val.toUpperCase())
-      .pipe(
-        z.enum(["MTN", "TELECEL", "AT"], {
-          errorMap: () => ({ message: "Network must be MTN, TELECEL, or AT" }),
-        }),
-      ),
+    network: networkSchema,
     volume: z.string().min(1, "Volume is required").trim(),
     costPrice: z
       .number()
@@ -105,12 +138,23 @@ const createBundleSchema = z
       .number()
       .positive("Base price must be positive")
       .min(0.01, "Base price must be at least 0.01"),
+    minCommission: commissionSchema.optional(),
+    maxCommission: commissionSchema.nullable().optional(),
     active: z.boolean().optional().default(true),
   })
   .refine((data) => data.basePrice >= data.costPrice, {
     message: "Base price must be greater than or equal to cost price",
     path: ["basePrice"],
-  });
+  })
+  .refine(
+    (data) =>
+      data.maxCommission == null ||
+      data.maxCommission >= (data.minCommission || 0),
+    {
+      message: "Maximum commission must be greater than or equal to minimum",
+      path: ["maxCommission"],
+    },
+  );
 
 /**
  * Schema for updating a bundle
@@ -125,20 +169,65 @@ const updateBundleSchema = z.object({
   volume: z.string().trim().optional(),
   costPrice: z.number().positive().optional(),
   basePrice: z.number().positive().optional(),
+  minCommission: commissionSchema.optional(),
+  maxCommission: commissionSchema.nullable().optional(), // null removes the limit
   active: z.boolean().optional(),
 });
 
+/**
+ * Schema for reseller referral query (?ref=)
+ */
+const referralQuerySchema = z.object({
+  ref: z.string().trim().min(1, "Referral code is required").optional(),
+});
+
+/**
+ * Schema for bundle catalog query
+ */
+const bundleCatalogQuerySchema = referralQuerySchema.extend({
+  network: networkSchema.optional(),
+});
+
+/**
+ * Schema for admin bundle list query
+ */
+const adminBundleQuerySchema = z.object({
+  network: networkSchema.optional(),
+  active: z
+    .enum(["true", "false"])
+    .transform((val) => val === "true")
+    .optional(),
+});
+
 // ORDER VALIDATION SCHEMAS
 /**
  * Schema for creating an order
  */
 const createOrderSchema = z.object({
-  bundleId: z.string().uuid("Invalid bundle ID"),
+  bundleId: z.string().regex(RegexPatterns.OBJECT_ID, "Invalid bundle ID"),
   customerPhone: z
     .string()
     .regex(RegexPatterns.GHANA_PHONE, "Invalid Ghana phone number format")
     .trim(),
+  email: z
+    .string()
+    .email("Invalid email format")
+    .toLowerCase()
+    .trim()
+    .optional(),
   referralCode: z.string().trim().optional(),
+  promoCode: z.string().trim().max(20, "Invalid promo code").optional(),
+  // Defaults to PAYMENT_PROVIDER
+  paymentProvider: z
+    .string()
+    .trim()
+    .transform((val) => val.toLowerCase())
+    .pipe(
+      z.nativeEnum(PaymentProvider, {
+        errorMap: () => ({ message: "Unsupported payment provider" }),
+      }),
+    )
+    .optional(),
   paymentMethod: z
     .enum(["momo_mtn", "momo_telecel", "momo_at"], {
       errorMap: () => ({ message: "Invalid payment method" }),
@@ -150,15 +239,92 @@ const createOrderSchema = z.object({
  * Schema for updating order status
  */
 const updateOrderStatusSchema = z.object({
-  status: z.enum(
-    ["ACCEPTED", "PROCESSING", "DELIVERED", "FAILED", "REFUNDED"],
-    {
-      errorMap: () => ({ message: "Invalid order status" }),
-    },
-  ),
+  status: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(
+      z.nativeEnum(OrderStatus, {
+        errorMap: () => ({ message: "Invalid order status" }),
+      }),
+    ),
   notes: z.string().trim().optional(),
 });
 
+/**
+ * Schema for refunding an order
+ * Amount omitted = refund whatever is still unrefunded
+ */
+const refundOrderSchema = z.object({
+  amount: z
+    .number()
+    .positive("Refund amount must be positive")
+    .multipleOf(0.01, "Refund amount must have at most 2 decimal places")
+    .optional(),
+  reason: z
+    .string()
+    .trim()
+    .min(3, "Reason must be at least 3 characters")
+    .max(500, "Reason must not exceed 500 characters"),
+});
+
+/**
+ * Schema for resolving a payment held for review
+ */
+const resolvePaymentReviewSchema = z.object({
+  decision: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(
+      z.enum(["APPROVE", "REJECT"], {
+        errorMap: () => ({ message: "Decision must be APPROVE or REJECT" }),
+      }),
+    ),
+  notes: z
+    .string()
+    .trim()
+    .max(500, "Notes must not exceed 500 characters")
+    .optional(),
+});
+
+/**
+ * End of a date range filter, inclusive
+ * A plain YYYY-MM-DD covers that whole day (Africa/Accra is UTC)
+ */
+const rangeEndSchema = z.preprocess(
+  (val) =>
+    typeof val === "string" && /^\d{4}-\d{2}-\d{2}$/.test(val.trim())
+      ? `${val.trim()}T23:59:59.999Z`
+      : val,
+  z.coerce.date(),
+);
+
+/**
+ * Schema for admin order list filters
+ * Enum filters accept any case (frontend sends lowercase)
+ */
+const orderFilterSchema = z.object({
+  status: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(z.nativeEnum(OrderStatus))
+    .optional(),
+  paymentStatus: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(z.nativeEnum(PaymentStatus))
+    .optional(),
+  network: networkSchema.optional(),
+  reseller: z.string().trim().optional(), // RES-XXX or reseller document ID
+  customerPhone: z
+    .string()
+    .regex(RegexPatterns.GHANA_PHONE, "Invalid Ghana phone number format")
+    .trim()
+    .optional(),
+  from: z.coerce.date().optional(),
+  to: rangeEndSchema.optional(),
+  sortOrder: z.enum(["asc", "desc"]).optional().default("desc"),
+});
+
 // RESELLER VALIDATION SCHEMAS
 /**
  * Schema for approving/rejecting reseller
@@ -170,36 +336,325 @@ const updateResellerStatusSchema = z.object({
   rejectionReason: z.string().trim().optional(),
 });
 
+/**
+ * Commission type - FLAT (GHS) or PERCENT (of the bundle base price)
+ */
+const commissionTypeSchema = z
+  .string()
+  .transform((val) => val.toUpperCase())
+  .pipe(
+    z.enum(["FLAT", "PERCENT"], {
+      errorMap: () => ({ message: "Commission type must be FLAT or PERCENT" }),
+    }),
+  );
+
+/**
+ * A PERCENT commission may not exceed MAX_COMMISSION_PERCENT
+ */
+const isPercentInRange = ({ commissionType, commission }) =>
+  commissionType !== "PERCENT" ||
+  commission == null ||
+  commission <= ResellerSettings.MAX_COMMISSION_PERCENT;
+
+const percentInRangeError = {
+  message: `Percentage commission must not exceed ${ResellerSettings.MAX_COMMISSION_PERCENT}%`,
+  path: ["commission"],
+};
+
 /**
  * Schema for updating reseller pricing
+ * Every field is optional; customPricing entries with commission null
+ * remove the custom price for that bundle
  */
-const updateResellerPricingSchema = z.object({
-  pricingMode: z.enum(["PRESET", "CUSTOM"], {
-    errorMap: () => ({ message: "Pricing mode must be PRESET or CUSTOM" }),
-  }),
-  presetCommission: z
-    .number()
-    .nonnegative("Commission must be non-negative")
-    .optional(),
-  customPricing: z
-    .array(
-      z.object({
-        bundleId: z.string().uuid("Invalid bundle ID"),
-        commission: z.number().nonnegative("Commission must be non-negative"),
+const updateResellerPricingSchema = z
+  .object({
+    pricingMode: z
+      .string()
+      .transform((val) => val.toUpperCase())
+      .pipe(
+        z.enum(["PRESET", "CUSTOM"], {
+          errorMap: () => ({
+            message: "Pricing mode must be PRESET or CUSTOM",
+          }),
+        }),
+      )
+      .optional(),
+    commissionType: commissionTypeSchema.optional(),
+    presetCommission: commissionSchema.optional(),
+    customPricing: z
+      .array(
+        z
+          .object({
+            bundleId: z
+              .string()
+              .regex(RegexPatterns.OBJECT_ID, "Invalid bundle ID"),
+            commissionType: commissionTypeSchema.default("FLAT"),
+            commission: commissionSchema.nullable(),
+          })
+          .refine(isPercentInRange, percentInRangeError),
+      )
+      .max(200, "At most 200 bundles per update")
+      .refine(
+        (entries) =>
+          new Set(entries.map((entry) => entry.bundleId)).size ===
+          entries.length,
+        "Each bundle may appear only once",
+      )
+      .optional(),
+  })
+  .refine(
+    (data) =>
+      data.pricingMode !== undefined ||
+      data.commissionType !== undefined ||
+      data.presetCommission !== undefined ||
+      data.customPricing !== undefined,
+    "Nothing to update",
+  );
+
+/**
+ * Schema for updating own storefront branding
+ * null clears a field
+ */
+const updateStorefrontSchema = z
+  .object({
+    shopName: z
+      .string()
+      .trim()
+      .min(2, "Shop name must be at least 2 characters")
+      .max(60, "Shop name must not exceed 60 characters")
+      .nullable()
+      .optional(),
+    logoUrl: z
+      .string()
+      .trim()
+      .url("Logo URL must be a valid URL")
+      .startsWith("https://", "Logo URL must start with https://")
+      .max(500, "Logo URL must not exceed 500 characters")
+      .nullable()
+      .optional(),
+    tagline: z
+      .string()
+      .trim()
+      .max(140, "Tagline must not exceed 140 characters")
+      .nullable()
+      .optional(),
+    whatsappNumber: z
+      .string()
+      .trim()
+      .regex(RegexPatterns.GHANA_PHONE, "Invalid Ghana phone number format")
+      .nullable()
+      .optional(),
+  })
+  .refine(
+    (data) => Object.values(data).some((value) => value !== undefined),
+    "Nothing to update",
+  );
+
+// SETTINGS VALIDATION SCHEMAS
+/**
+ * Override commission % of the order profit paid to an upline level
+ */
+const overridePercentSchema = z
+  .number()
+  .min(0, "Override commission cannot be negative")
+  .max(100, "Override commission cannot exceed 100%")
+  .multipleOf(0.01, "Override commission must have at most 2 decimal places");
+
+/**
+ * Schema for updating system settings (admin)
+ * Keys match constants.SystemSettingDefaults
+ */
+const updateSettingsSchema = z
+  .object({
+    houseSaleFallback: z.boolean().optional(),
+    overrideCommissionPercent: overridePercentSchema.optional(),
+    grandparentOverrideCommissionPercent: overridePercentSchema.optional(),
+  })
+  .strict("Unknown setting")
+  .refine(
+    (data) => Object.values(data).some((value) => value !== undefined),
+    "Nothing to update",
+  );
+
+// PROMO CODE VALIDATION SCHEMAS
+/**
+ * Promo code fields shared by create and update
+ * reseller is RES-XXX or a reseller document ID; null makes the code global
+ */
+const promoCodeFields = {
+  description: z
+    .string()
+    .trim()
+    .max(200, "Description must not exceed 200 characters")
+    .nullable(),
+  discountType: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(
+      z.nativeEnum(DiscountType, {
+        errorMap: () => ({
+          message: "Discount type must be PERCENT or FIXED",
+        }),
       }),
+    ),
+  discountValue: z
+    .number()
+    .positive("Discount must be positive")
+    .multipleOf(0.01, "Discount must have at most 2 decimal places"),
+  maxDiscount: z
+    .number()
+    .positive("Maximum discount must be positive")
+    .multipleOf(0.01, "Maximum discount must have at most 2 decimal places")
+    .nullable(),
+  networks: z.array(networkSchema).max(3),
+  bundleIds: z
+    .array(z.string().regex(RegexPatterns.OBJECT_ID, "Invalid bundle ID"))
+    .max(200, "At most 200 bundles"),
+  reseller: z
+    .string()
+    .trim()
+    .refine(
+      (val) =>
+        RegexPatterns.OBJECT_ID.test(val) ||
+        RegexPatterns.RESELLER_ID.test(val.toUpperCase()),
+      "Invalid reseller ID",
     )
+    .nullable(),
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date().nullable(),
+  maxUses: z
+    .number()
+    .int()
+    .positive("Maximum uses must be at least 1")
+    .nullable(),
+  maxUsesPerPhone: z
+    .number()
+    .int()
+    .positive("Maximum uses per phone must be at least 1")
+    .nullable(),
+  active: z.boolean(),
+};
+
+/**
+ * A PERCENT discount is at most 100%
+ */
+const isDiscountInRange = (data) =>
+  data.discountType !== DiscountType.PERCENT ||
+  data.discountValue === undefined ||
+  data.discountValue <= 100;
+
+/**
+ * The end date (if any) is after the start date
+ */
+const isWindowValid = (data) =>
+  !data.startsAt || !data.endsAt || data.endsAt > data.startsAt;
+
+/**
+ * Schema for creating a promo code (admin)
+ */
+const createPromoCodeSchema = z
+  .object({
+    code: z
+      .string()
+      .trim()
+      .min(3, "Promo code must be at least 3 characters")
+      .max(20, "Promo code must not exceed 20 characters")
+      .regex(
+        /^[A-Za-z0-9_-]+$/,
+        "Promo code may only contain letters, numbers, _ and -",
+      )
+      .transform((val) => val.toUpperCase()),
+    ...promoCodeFields,
+  })
+  .partial({
+    description: true,
+    maxDiscount: true,
+    networks: true,
+    bundleIds: true,
+    reseller: true,
+    startsAt: true,
+    endsAt: true,
+    maxUses: true,
+    maxUsesPerPhone: true,
+    active: true,
+  })
+  .refine(isDiscountInRange, {
+    message: "Percentage discount cannot exceed 100%",
+    path: ["discountValue"],
+  })
+  .refine(isWindowValid, {
+    message: "End date must be after the start date",
+    path: ["endsAt"],
+  });
+
+/**
+ * Schema for updating a promo code (admin)
+ * The code itself cannot change
+ */
+const updatePromoCodeSchema = z
+  .object(promoCodeFields)
+  .partial()
+  .refine(isDiscountInRange, {
+    message: "Percentage discount cannot exceed 100%",
+    path: ["discountValue"],
+  })
+  .refine(isWindowValid, {
+    message: "End date must be after the start date",
+    path: ["endsAt"],
+  })
+  .refine(
+    (data) => Object.values(data).some((value) => value !== undefined),
+    "Nothing to update",
+  );
+
+// ===================================
+// WITHDRAWAL VALIDATION SCHEMAS
+/**
+ * Schema for a reseller withdrawal request
+ * MoMo number and account name default to the reseller's own phone and name
+ */
+const requestWithdrawalSchema = z.object({
+  amount: z
+    .number()
+    .positive("Amount must be positive")
+    .multipleOf(0.01, "Amount must have at most 2 decimal places"),
+  momoNumber: z
+    .string()
+    .regex(RegexPatterns.GHANA_PHONE, "Invalid Ghana phone number format")
+    .trim()
+    .optional(),
+  momoNetwork: networkSchema,
+  accountName: z
+    .string()
+    .trim()
+    .min(2, "Account name must be at least 2 characters")
+    .max(100, "Account name must not exceed 100 characters")
     .optional(),
 });
 
-// ===================================
+/**
+ * Schema for rejecting a withdrawal
+ */
+const rejectWithdrawalSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(3, "Reason must be at least 3 characters")
+    .max(500, "Reason must not exceed 500 characters"),
+});
+
 // SUPPORT TICKET VALIDATION SCHEMAS
 // ===================================
 
 /**
  * Schema for creating support ticket
+ * Customers open tickets against an order, proven by the phone it was bought for
  */
 const createSupportTicketSchema = z.object({
-  orderId: z.string().uuid("Invalid order ID"),
+  orderNumber: z
+    .string()
+    .regex(RegexPatterns.ORDER_NUMBER, "Invalid order number format")
+    .trim(),
   customerPhone: z
     .string()
     .regex(RegexPatterns.GHANA_PHONE, "Invalid Ghana phone number format")
@@ -222,6 +677,7 @@ const updateTicketStatusSchema = z.object({
 
 /**
  * Schema for adding ticket message
+ * The author comes from the route: admins are signed in, customers give the phone
  */
 const addTicketMessageSchema = z.object({
   message: z
@@ -229,9 +685,50 @@ const addTicketMessageSchema = z.object({
     .min(1, "Message is required")
     .max(1000, "Message must not exceed 1000 characters")
     .trim(),
-  senderType: z.enum(["customer", "admin"], {
-    errorMap: () => ({ message: "Sender type must be customer or admin" }),
-  }),
+});
+
+/**
+ * Schema for a customer reply (phone proves the ticket is theirs)
+ */
+const customerTicketMessageSchema = addTicketMessageSchema.extend({
+  customerPhone: z
+    .string()
+    .regex(RegexPatterns.GHANA_PHONE, "Invalid Ghana phone number format")
+    .trim(),
+});
+
+/**
+ * Schema for assigning a ticket (admin)
+ * Defaults to the admin making the request
+ */
+const assignTicketSchema = z.object({
+  adminId: z
+    .string()
+    .regex(RegexPatterns.OBJECT_ID, "Invalid admin ID")
+    .optional(),
+});
+
+/**
+ * Schema for a ticket number in the URL
+ */
+const ticketNumberParamSchema = z.object({
+  ticketNumber: z
+    .string()
+    .trim()
+    .transform((val) => val.toUpperCase())
+    .pipe(
+      z.string().regex(RegexPatterns.TICKET_NUMBER, "Invalid ticket number"),
+    ),
+});
+
+/**
+ * Schema for a customer viewing their ticket
+ */
+const customerTicketQuerySchema = z.object({
+  customerPhone: z
+    .string()
+    .regex(RegexPatterns.GHANA_PHONE, "Invalid Ghana phone number format")
+    .trim(),
 });
 
 // QUERY VALIDATION SCHEMAS
@@ -253,6 +750,157 @@ const paginationSchema = z.object({
     .default("20"),
 });
 
+/**
+ * Schema for admin order list query (filters + pagination)
+ */
+const orderListQuerySchema = paginationSchema.merge(orderFilterSchema);
+
+/**
+ * Schema for admin webhook event list
+ */
+const webhookEventQuerySchema = paginationSchema.extend({
+  type: z.string().trim().toLowerCase().optional(), // e.g. charge.success
+  status: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(z.nativeEnum(WebhookEventStatus))
+    .optional(),
+});
+
+/**
+ * Schema for reseller wallet ledger
+ */
+const walletLedgerQuerySchema = paginationSchema.extend({
+  type: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(
+      z.enum([
+        TransactionType.COMMISSION_EARNING,
+        TransactionType.COMMISSION_REVERSAL,
+        TransactionType.WITHDRAWAL,
+      ]),
+    )
+    .optional(),
+  status: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(z.nativeEnum(TransactionStatus))
+    .optional(),
+  from: z.coerce.date().optional(),
+  to: rangeEndSchema.optional(),
+});
+
+/**
+ * Schema for override commission lists (earnings and reversals)
+ */
+const overrideQuerySchema = paginationSchema.extend({
+  type: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(
+      z.enum([
+        TransactionType.COMMISSION_EARNING,
+        TransactionType.COMMISSION_REVERSAL,
+      ]),
+    )
+    .optional(),
+  status: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(z.nativeEnum(TransactionStatus))
+    .optional(),
+  from: z.coerce.date().optional(),
+  to: rangeEndSchema.optional(),
+});
+
+/**
+ * Schema for promo code lists (admin)
+ */
+const promoCodeQuerySchema = paginationSchema.extend({
+  active: z
+    .enum(["true", "false"])
+    .transform((val) => val === "true")
+    .optional(),
+  reseller: z.string().trim().optional(), // RES-XXX or reseller document ID
+});
+
+/**
+ * Schema for support ticket lists (admin)
+ * assignedTo is an admin user ID, "me", or "none" for unassigned tickets
+ */
+const ticketQuerySchema = paginationSchema.extend({
+  status: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(z.nativeEnum(TicketStatus))
+    .optional(),
+  priority: z
+    .string()
+    .transform((val) => val.toLowerCase())
+    .pipe(z.enum(["low", "medium", "high"]))
+    .optional(),
+  assignedTo: z
+    .string()
+    .trim()
+    .refine(
+      (val) =>
+        val === "me" || val === "none" || RegexPatterns.OBJECT_ID.test(val),
+      "assignedTo must be an admin ID, me or none",
+    )
+    .optional(),
+  orderNumber: z.string().trim().optional(),
+});
+
+/**
+ * Schema for withdrawal lists
+ */
+const withdrawalQuerySchema = paginationSchema.extend({
+  status: z
+    .string()
+    .transform((val) => val.toUpperCase())
+    .pipe(z.nativeEnum(WithdrawalStatus))
+    .optional(),
+  reseller: z.string().trim().optional(), // RES-XXX or reseller document ID (admin)
+});
+
+/**
+ * Calendar day in Ghana time (YYYY-MM-DD)
+ */
+const reportDaySchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in format YYYY-MM-DD")
+  .refine(
+    (val) => new Date(`${val}T00:00:00Z`).toISOString().startsWith(val),
+    "Invalid date",
+  );
+
+/**
+ * Schema for stats and analytics ranges
+ * from/to are inclusive calendar days in Africa/Accra time
+ */
+const statsQuerySchema = z
+  .object({
+    from: reportDaySchema.optional(),
+    to: reportDaySchema.optional(),
+    groupBy: z.enum(["day", "week", "month"]).optional().default("day"),
+  })
+  .refine((val) => !val.from || !val.to || val.from <= val.to, {
+    message: "from must be on or before to",
+    path: ["from"],
+  })
+  .refine(
+    (val) =>
+      !val.from ||
+      !val.to ||
+      (Date.parse(val.to) - Date.parse(val.from)) / 86400000 <
+        ReportSettings.MAX_RANGE_DAYS,
+    {
+      message: `Date range must not exceed ${ReportSettings.MAX_RANGE_DAYS} days`,
+      path: ["to"],
+    },
+  );
+
 /**
  * Schema for search query
  */
@@ -264,6 +912,17 @@ const searchSchema = z.object({
   sortOrder: z.enum(["asc", "desc"]).optional().default("desc"),
 });
 
+/**
+ * Schema for revenue breakdown dimension (admin analytics)
+ */
+const revenueDimensionSchema = z.object({
+  dimension: z.enum(["network", "bundle", "reseller"], {
+    errorMap: () => ({
+      message: "Dimension must be network, bundle or reseller",
+    }),
+  }),
+});
+
 // ID VALIDATION SCHEMAS
 /**
  * Schema for UUID validation
@@ -272,6 +931,39 @@ const uuidSchema = z.object({
   id: z.string().uuid("Invalid ID format"),
 });
 
+/**
+ * Schema for MongoDB ObjectId validation
+ */
+const objectIdSchema = z.object({
+  id: z.string().regex(RegexPatterns.OBJECT_ID, "Invalid ID format"),
+});
+
+/**
+ * Schema for reseller lookup - RES-XXX or reseller document ID
+ */
+const resellerParamSchema = z.object({
+  id: z
+    .string()
+    .trim()
+    .refine(
+      (val) =>
+        RegexPatterns.OBJECT_ID.test(val) ||
+        RegexPatterns.RESELLER_ID.test(val.toUpperCase()),
+      "Invalid reseller ID",
+    ),
+});
+
+/**
+ * Schema for a storefront referral code
+ */
+const referralCodeParamSchema = z.object({
+  referralCode: z
+    .string()
+    .trim()
+    .min(1, "Referral code is required")
+    .max(20, "Invalid referral code"),
+});
+
 /**
  * Schema for order number validation
  */
@@ -292,6 +984,13 @@ const phoneNumberSchema = z.object({
     .trim(),
 });
 
+/**
+ * Schema for customer order tracking (order number + phone it was bought for)
+ */
+const trackOrderSchema = orderNumberSchema.extend({
+  customerPhone: phoneNumberSchema.shape.phone,
+});
+
 // EXPORT ALL SCHEMAS
 module.exports = {
   // User schemas
@@ -303,26 +1002,61 @@ module.exports = {
   // Bundle schemas
   createBundleSchema,
   updateBundleSchema,
+  referralQuerySchema,
+  bundleCatalogQuerySchema,
+  adminBundleQuerySchema,
 
   // Order schemas
   createOrderSchema,
   updateOrderStatusSchema,
+  refundOrderSchema,
+  resolvePaymentReviewSchema,
+  orderFilterSchema,
 
   // Reseller schemas
   updateResellerStatusSchema,
   updateResellerPricingSchema,
+  updateStorefrontSchema,
+
+  // Settings schemas
+  updateSettingsSchema,
+
+  // Promo code schemas
+  createPromoCodeSchema,
+  updatePromoCodeSchema,
+
+  // Withdrawal schemas
+  requestWithdrawalSchema,
+  rejectWithdrawalSchema,
 
   // Support schemas
   createSupportTicketSchema,
   updateTicketStatusSchema,
   addTicketMessageSchema,
+  customerTicketMessageSchema,
+  assignTicketSchema,
+  ticketNumberParamSchema,
+  customerTicketQuerySchema,
 
   // Query schemas
   paginationSchema,
   searchSchema,
+  orderListQuerySchema,
+  webhookEventQuerySchema,
+  walletLedgerQuerySchema,
+  overrideQuerySchema,
+  promoCodeQuerySchema,
+  ticketQuerySchema,
+  withdrawalQuerySchema,
+  statsQuerySchema,
+  revenueDimensionSchema,
 
   // ID schemas
   uuidSchema,
+  objectIdSchema,
+  resellerParamSchema,
+  referralCodeParamSchema,
   orderNumberSchema,
   phoneNumberSchema,
+  trackOrderSchema,
 };
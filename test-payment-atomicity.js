@@ -0,0 +1,265 @@
+// Payment accounting atomicity check
+// Runs charge.success against an in-memory MongoDB replica set and breaks it
+// between steps. Nothing may be half-written, and nothing may be credited twice.
+// Usage: node test-payment-atomicity.js
+// (mongodb-memory-server downloads a mongod binary on first run)
+
+process.env.DATABASE_URL = process.env.DATABASE_URL || "mongodb://unused";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test";
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "test";
+// Delivery only queues for networks with a provider
+process.env.FULFILMENT_PROVIDER_MTN = "mock";
+
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const {
+  Order,
+  OrderStatusHistory,
+  Reseller,
+  Transaction,
+  User,
+} = require("./src/models");
+const {
+  OrderStatus,
+  PaymentStatus,
+  TransactionType,
+  UserRole,
+  UserStatus,
+} = require("./src/constants");
+const { deliveryQueue } = require("./src/services/queues/delivery.queue");
+const {
+  handleChargeSuccess,
+} = require("./src/services/webhooks/charge.handler");
+
+const COMMISSION = 5.0;
+const SELLING_PRICE = 17.0;
+
+// Delivery jobs are counted, not sent to Redis
+let deliveriesQueued = 0;
+deliveryQueue.add = async () => {
+  deliveriesQueued += 1;
+};
+deliveryQueue.on("error", () => {});
+
+let failures = 0;
+const check = (label, passed) => {
+  console.log(`${passed ? "✅" : "❌"} ${label}`);
+  if (!passed) failures += 1;
+};
+
+/**
+ * Make a model method throw once, then behave normally
+ * @param {number} skip - Calls to let through before the crash
+ */
+const failOnce = (model, method, step, skip = 0) => {
+  const original = model[method];
+  let calls = 0;
+  model[method] = async function (...args) {
+    if (calls++ < skip) return original.apply(this, args);
+    model[method] = original;
+    throw new Error(`Simulated crash at: ${step}`);
+  };
+};
+
+let orderCount = 0;
+const createOrder = async (reseller) => {
+  orderCount += 1;
+  return await Order.create({
+    orderNumber: `ORD-${Date.now()}${orderCount}`,
+    customerPhone: "0241234567",
+    bundleId: new mongoose.Types.ObjectId(),
+    resellerId: reseller._id,
+    network: "MTN",
+    bundleName: "MTN 1GB",
+    costPrice: 10.0,
+    basePrice: 12.0,
+    commission: COMMISSION,
+    sellingPrice: SELLING_PRICE,
+    profit: 2.0,
+  });
+};
+
+const chargeFor = (order) => ({
+  id: Date.now(),
+  reference: order.orderNumber,
+  amount: SELLING_PRICE * 100,
+  currency: "GHS",
+  channel: "mobile_money",
+});
+
+/**
+ * Snapshot of everything charge.success writes for an order
+ */
+const snapshot = async (order, reseller) => {
+  const [current, credited, payments, commissions, history] = await Promise.all(
+    [
+      Order.findById(order._id),
+      Reseller.findById(reseller._id),
+      Transaction.countDocuments({
+        orderId: order._id,
+        type: TransactionType.ORDER_PAYMENT,
+      }),
+      Transaction.countDocuments({
+        orderId: order._id,
+        type: TransactionType.COMMISSION_EARNING,
+      }),
+      OrderStatusHistory.countDocuments({ orderId: order._id }),
+    ],
+  );
+
+  return {
+    status: current.status,
+    paymentStatus: current.paymentStatus,
+    earnings: parseFloat(credited.totalEarnings.toString()),
+    orders: credited.totalOrders,
+    payments,
+    commissions,
+    history,
+  };
+};
+
+const expectUntouched = (label, state, before) => {
+  check(
+    `${label}: order still unpaid`,
+    state.paymentStatus === PaymentStatus.PENDING &&
+      state.status === OrderStatus.ACCEPTED,
+  );
+  check(`${label}: reseller not credited`, state.earnings === before.earnings);
+  check(`${label}: no ledger entry`, state.payments === 0);
+  check(`${label}: no commission entry`, state.commissions === 0);
+  check(`${label}: no history entry`, state.history === 0);
+};
+
+const expectSettledOnce = (label, state, before) => {
+  check(
+    `${label}: order PAID and PROCESSING`,
+    state.paymentStatus === PaymentStatus.PAID &&
+      state.status === OrderStatus.PROCESSING,
+  );
+  check(
+    `${label}: reseller credited once`,
+    state.earnings === before.earnings + COMMISSION &&
+      state.orders === before.orders + 1,
+  );
+  check(`${label}: one ledger entry`, state.payments === 1);
+  check(`${label}: one commission entry`, state.commissions === 1);
+};
+
+/**
+ * Crash at a step, then let the queue retry
+ */
+const crashAndRetry = async (reseller, model, method, step, skip = 0) => {
+  const order = await createOrder(reseller);
+  const charge = chargeFor(order);
+  const before = await snapshot(order, reseller);
+  const queuedBefore = deliveriesQueued;
+
+  console.log(`\n💥 Crash at ${step}`);
+  failOnce(model, method, step, skip);
+  let crashed = false;
+  try {
+    await handleChargeSuccess(charge);
+  } catch (error) {
+    crashed = true;
+  }
+  check("handler reported the failure (queue will retry)", crashed);
+  expectUntouched("after crash", await snapshot(order, reseller), before);
+  check("no delivery queued", deliveriesQueued === queuedBefore);
+
+  await handleChargeSuccess(charge);
+  expectSettledOnce("after retry", await snapshot(order, reseller), before);
+  check("delivery queued once", deliveriesQueued === queuedBefore + 1);
+
+  await handleChargeSuccess(charge);
+  expectSettledOnce("after duplicate", await snapshot(order, reseller), before);
+};
+
+const run = async () => {
+  const replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  await mongoose.connect(replSet.getUri());
+  await Promise.all(
+    [Order, OrderStatusHistory, Reseller, Transaction, User].map((model) =>
+      model.createCollection().then(() => model.syncIndexes()),
+    ),
+  );
+
+  // Only resellers with an ACTIVE account earn (see eligibility.service)
+  const user = await User.create({
+    name: "Test Reseller",
+    email: "reseller@example.com",
+    phone: "0241234567",
+    password: "password123",
+    role: UserRole.RESELLER,
+    status: UserStatus.ACTIVE,
+  });
+  const reseller = await Reseller.create({
+    userId: user._id,
+    resellerId: "RES-001",
+    referralCode: "TESTCODE",
+  });
+
+  console.log("\n🔍 Payment Accounting Atomicity");
+  console.log("-----------------------------------");
+
+  // 1. Crashes between the writes
+  await crashAndRetry(reseller, OrderStatusHistory, "create", "status history");
+  await crashAndRetry(
+    reseller,
+    Reseller,
+    "findByIdAndUpdate",
+    "reseller credit",
+  );
+  await crashAndRetry(reseller, Transaction, "create", "commission entry");
+  await crashAndRetry(reseller, Transaction, "create", "payment entry", 1);
+
+  // 2. Webhook and reconciliation deliver the same charge at once
+  console.log("\n🔀 Same charge twice at once");
+  const raced = await createOrder(reseller);
+  const racedBefore = await snapshot(raced, reseller);
+  const charge = chargeFor(raced);
+  await Promise.allSettled([
+    handleChargeSuccess(charge),
+    handleChargeSuccess(charge),
+  ]);
+  expectSettledOnce("after race", await snapshot(raced, reseller), racedBefore);
+
+  // 3. Unique providerReference - ledger already has this charge
+  console.log("\n🛡️ Ledger entry already exists");
+  const recorded = await createOrder(reseller);
+  const recordedBefore = await snapshot(recorded, reseller);
+  await Transaction.collection.insertOne({
+    transactionNumber: "TXN-EXISTING",
+    type: "ORDER_PAYMENT",
+    status: "COMPLETED",
+    amount: mongoose.Types.Decimal128.fromString(SELLING_PRICE.toFixed(2)),
+    providerReference: recorded.orderNumber,
+  });
+  await handleChargeSuccess(chargeFor(recorded));
+  const guarded = await snapshot(recorded, reseller);
+  check(
+    "order left unpaid",
+    guarded.paymentStatus === PaymentStatus.PENDING &&
+      guarded.status === OrderStatus.ACCEPTED,
+  );
+  check(
+    "reseller not credited again",
+    guarded.earnings === recordedBefore.earnings,
+  );
+
+  console.log("-----------------------------------");
+  console.log(
+    failures === 0 ? "✅ ALL CHECKS PASSED" : `❌ ${failures} CHECK(S) FAILED`,
+  );
+
+  await mongoose.disconnect();
+  await replSet.stop();
+  await deliveryQueue.close().catch(() => {});
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+run().catch((error) => {
+  console.error("❌ Harness error:", error);
+  process.exit(1);
+});
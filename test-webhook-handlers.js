@@ -0,0 +1,502 @@
+// Webhook handler checks
+// Feeds each recorded Paystack payload in webhook-samples/ to its handler
+// (services/webhooks) against an in-memory MongoDB replica set, then checks
+// the order, transaction and withdrawal state it leaves. Every event is also
+// delivered twice - Paystack retries, so a replay must change nothing.
+// Usage: node test-webhook-handlers.js
+// (mongodb-memory-server downloads a mongod binary on first run)
+
+process.env.DATABASE_URL = process.env.DATABASE_URL || "mongodb://unused";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test";
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "test";
+// Delivery only queues for networks with a provider
+process.env.FULFILMENT_PROVIDER_MTN = "mock";
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const {
+  Order,
+  OrderStatusHistory,
+  Reseller,
+  Transaction,
+  User,
+  Withdrawal,
+} = require("./src/models");
+const {
+  OrderStatus,
+  PaymentStatus,
+  TransactionType,
+  TransactionStatus,
+  WithdrawalStatus,
+  DisputeStatus,
+  UserRole,
+  UserStatus,
+} = require("./src/constants");
+const { deliveryQueue } = require("./src/services/queues/delivery.queue");
+const { handleWebhookEvent } = require("./src/services/webhooks");
+
+const COMMISSION = 5.0;
+const SELLING_PRICE = 17.0;
+
+// Delivery jobs are counted, not sent to Redis
+let deliveriesQueued = 0;
+deliveryQueue.add = async () => {
+  deliveriesQueued += 1;
+};
+deliveryQueue.on("error", () => {});
+
+let failures = 0;
+const check = (label, passed) => {
+  console.log(`${passed ? "✅" : "❌"} ${label}`);
+  if (!passed) failures += 1;
+};
+
+/**
+ * Load a recorded payload (a fresh copy each time)
+ * @param {string} name - Event name, e.g. charge.success
+ */
+const loadSample = (name) =>
+  JSON.parse(
+    fs.readFileSync(
+      path.join(__dirname, "webhook-samples", `${name}.json`),
+      "utf8",
+    ),
+  );
+
+/**
+ * Deliver an event twice, as Paystack does when it retries
+ */
+const deliverTwice = async (event) => {
+  await handleWebhookEvent(event);
+  await handleWebhookEvent(event);
+};
+
+const toNumber = (value) => parseFloat(value.toString());
+
+let orderCount = 0;
+const createOrder = async (reseller, fields = {}) => {
+  orderCount += 1;
+  return await Order.create({
+    orderNumber: `ORD-${Date.now()}${orderCount}`,
+    customerPhone: "0241234567",
+    bundleId: new mongoose.Types.ObjectId(),
+    resellerId: reseller._id,
+    network: "MTN",
+    bundleName: "MTN 1GB",
+    costPrice: 10.0,
+    basePrice: 12.0,
+    commission: COMMISSION,
+    sellingPrice: SELLING_PRICE,
+    profit: 2.0,
+    ...fields,
+  });
+};
+
+const historyCount = (order) =>
+  OrderStatusHistory.countDocuments({ orderId: order._id });
+
+// CHARGE EVENTS
+const checkChargeSuccess = async (reseller) => {
+  console.log("\n💳 charge.success");
+  const order = await createOrder(reseller);
+  const before = await Reseller.findById(reseller._id);
+  const event = loadSample("charge.success");
+  event.data.reference = order.orderNumber;
+
+  await deliverTwice(event);
+
+  const paid = await Order.findById(order._id);
+  const credited = await Reseller.findById(reseller._id);
+  const payments = await Transaction.find({
+    orderId: order._id,
+    type: TransactionType.ORDER_PAYMENT,
+  });
+  const commissions = await Transaction.find({
+    orderId: order._id,
+    type: TransactionType.COMMISSION_EARNING,
+  });
+
+  check(
+    "order PAID and PROCESSING",
+    paid.paymentStatus === PaymentStatus.PAID &&
+      paid.status === OrderStatus.PROCESSING,
+  );
+  check(
+    "Paystack ID and channel saved",
+    paid.paymentReference === event.data.id.toString() &&
+      paid.paymentMethod === event.data.channel,
+  );
+  check(
+    "one COMPLETED payment entry for the full amount",
+    payments.length === 1 &&
+      payments[0].status === TransactionStatus.COMPLETED &&
+      toNumber(payments[0].amount) === SELLING_PRICE &&
+      payments[0].providerReference === order.orderNumber,
+  );
+  check(
+    "one PENDING commission entry",
+    commissions.length === 1 &&
+      commissions[0].status === TransactionStatus.PENDING &&
+      toNumber(commissions[0].amount) === COMMISSION,
+  );
+  check(
+    "reseller credited once",
+    toNumber(credited.totalEarnings) ===
+      toNumber(before.totalEarnings) + COMMISSION &&
+      credited.totalOrders === before.totalOrders + 1,
+  );
+  check("delivery queued once", deliveriesQueued === 1);
+};
+
+const checkChargeMismatch = async (reseller) => {
+  console.log("\n⚖️ charge.success for the wrong amount");
+  const order = await createOrder(reseller);
+  const before = await Reseller.findById(reseller._id);
+  const queuedBefore = deliveriesQueued;
+  const event = loadSample("charge.success");
+  event.data.reference = order.orderNumber;
+  event.data.amount = 1500;
+
+  await deliverTwice(event);
+
+  const held = await Order.findById(order._id);
+  const payments = await Transaction.find({
+    orderId: order._id,
+    type: TransactionType.ORDER_PAYMENT,
+  });
+  const credited = await Reseller.findById(reseller._id);
+
+  check(
+    "order UNDER_REVIEW, not processed",
+    held.paymentStatus === PaymentStatus.UNDER_REVIEW &&
+      held.status === OrderStatus.ACCEPTED,
+  );
+  check(
+    "one PENDING payment entry for what was received",
+    payments.length === 1 &&
+      payments[0].status === TransactionStatus.PENDING &&
+      toNumber(payments[0].amount) === 15,
+  );
+  check(
+    "reseller not credited",
+    toNumber(credited.totalEarnings) === toNumber(before.totalEarnings),
+  );
+  check("nothing queued for delivery", deliveriesQueued === queuedBefore);
+};
+
+const checkChargeFailed = async (reseller) => {
+  console.log("\n🚫 charge.failed");
+  const order = await createOrder(reseller);
+  const event = loadSample("charge.failed");
+  event.data.reference = order.orderNumber;
+
+  await deliverTwice(event);
+
+  const failed = await Order.findById(order._id);
+  check(
+    "order FAILED with payment FAILED",
+    failed.paymentStatus === PaymentStatus.FAILED &&
+      failed.status === OrderStatus.FAILED,
+  );
+  check(
+    "gateway response kept as the failure reason",
+    failed.failureReason.includes(event.data.gateway_response),
+  );
+  check("one history entry", (await historyCount(order)) === 1);
+  check(
+    "no ledger entry",
+    (await Transaction.countDocuments({ orderId: order._id })) === 0,
+  );
+};
+
+// REFUND EVENTS
+/**
+ * A fully refunded order, as order.service.refundOrder leaves it
+ * with the refund still waiting on Paystack
+ */
+const createRefundedOrder = async (reseller, refundId) => {
+  const order = await createOrder(reseller, {
+    status: OrderStatus.REFUNDED,
+    paymentStatus: PaymentStatus.REFUNDED,
+    refundedAmount: SELLING_PRICE,
+    commissionCreditedAt: new Date(),
+  });
+
+  const reversal = await Transaction.create({
+    transactionNumber: await Transaction.getNextTransactionNumber(),
+    orderId: order._id,
+    userId: reseller.userId,
+    resellerId: reseller._id,
+    type: TransactionType.COMMISSION_REVERSAL,
+    amount: COMMISSION,
+    status: TransactionStatus.COMPLETED,
+  });
+
+  const refund = await Transaction.create({
+    transactionNumber: await Transaction.getNextTransactionNumber(),
+    orderId: order._id,
+    userId: order.resellerId,
+    type: TransactionType.REFUND,
+    amount: SELLING_PRICE,
+    status: TransactionStatus.PENDING,
+    paymentProvider: "paystack",
+    providerReference: refundId,
+    metadata: {
+      resellerReversal: {
+        totalEarnings: COMMISSION,
+        totalSales: SELLING_PRICE,
+        totalOrders: 1,
+        transactionId: reversal._id.toString(),
+        overrides: [],
+      },
+    },
+  });
+
+  return { order, refund, reversal };
+};
+
+const checkRefundProcessed = async (reseller) => {
+  console.log("\n💸 refund.processed");
+  const event = loadSample("refund.processed");
+  const { order, refund } = await createRefundedOrder(reseller, event.data.id);
+  event.data.transaction_reference = order.orderNumber;
+
+  await deliverTwice(event);
+
+  const settled = await Transaction.findById(refund._id);
+  const current = await Order.findById(order._id);
+  check(
+    "refund entry COMPLETED",
+    settled.status === TransactionStatus.COMPLETED,
+  );
+  check(
+    "order stays REFUNDED",
+    current.paymentStatus === PaymentStatus.REFUNDED &&
+      current.status === OrderStatus.REFUNDED,
+  );
+  check("one history note", (await historyCount(order)) === 1);
+};
+
+const checkRefundFailed = async (reseller) => {
+  console.log("\n↩️ refund.failed");
+  const event = loadSample("refund.failed");
+  event.data.id = `${event.data.id}-failed`;
+  const { order, refund, reversal } = await createRefundedOrder(
+    reseller,
+    event.data.id,
+  );
+  event.data.transaction_reference = order.orderNumber;
+  const before = await Reseller.findById(reseller._id);
+
+  await deliverTwice(event);
+
+  const failed = await Transaction.findById(refund._id);
+  const restored = await Order.findById(order._id);
+  const credited = await Reseller.findById(reseller._id);
+  const cancelled = await Transaction.findById(reversal._id);
+
+  check("refund entry FAILED", failed.status === TransactionStatus.FAILED);
+  check(
+    "order PAID again with nothing refunded",
+    restored.paymentStatus === PaymentStatus.PAID &&
+      toNumber(restored.refundedAmount) === 0,
+  );
+  check(
+    "reseller credit given back once",
+    toNumber(credited.totalEarnings) ===
+      toNumber(before.totalEarnings) + COMMISSION &&
+      credited.totalOrders === before.totalOrders + 1,
+  );
+  check(
+    "commission reversal cancelled",
+    cancelled.status === TransactionStatus.FAILED,
+  );
+};
+
+// TRANSFER EVENTS
+/**
+ * A withdrawal sent to Paystack, as withdrawal.service.approveWithdrawal leaves it
+ */
+const createPayout = async (reseller, reference) => {
+  const transaction = await Transaction.create({
+    transactionNumber: await Transaction.getNextTransactionNumber(),
+    userId: reseller.userId,
+    resellerId: reseller._id,
+    type: TransactionType.WITHDRAWAL,
+    amount: 50,
+    status: TransactionStatus.PENDING,
+    paymentProvider: "paystack",
+    providerReference: reference,
+  });
+
+  const withdrawal = await Withdrawal.create({
+    withdrawalNumber: await Withdrawal.getNextWithdrawalNumber(),
+    resellerId: reseller._id,
+    amount: 50,
+    status: WithdrawalStatus.PROCESSING,
+    momoNumber: "0244123456",
+    momoNetwork: "MTN",
+    accountName: "Ama Mensah",
+    transactionId: transaction._id,
+    transferReference: reference,
+  });
+
+  return { transaction, withdrawal };
+};
+
+const checkTransferSuccess = async (reseller) => {
+  console.log("\n🏦 transfer.success, then transfer.reversed");
+  const event = loadSample("transfer.success");
+  const { transaction, withdrawal } = await createPayout(
+    reseller,
+    event.data.reference,
+  );
+
+  await deliverTwice(event);
+
+  let payout = await Transaction.findById(transaction._id);
+  let request = await Withdrawal.findById(withdrawal._id);
+  check(
+    "payout entry COMPLETED",
+    payout.status === TransactionStatus.COMPLETED &&
+      payout.metadata.transferCode === event.data.transfer_code,
+  );
+  check(
+    "withdrawal COMPLETED and paid",
+    request.status === WithdrawalStatus.COMPLETED && request.paidAt !== null,
+  );
+
+  // Paystack can still send the money back after a success
+  await deliverTwice(loadSample("transfer.reversed"));
+
+  payout = await Transaction.findById(transaction._id);
+  request = await Withdrawal.findById(withdrawal._id);
+  check(
+    "reversed payout entry FAILED (back in the wallet)",
+    payout.status === TransactionStatus.FAILED,
+  );
+  check(
+    "withdrawal FAILED with a reason",
+    request.status === WithdrawalStatus.FAILED &&
+      request.failureReason.includes("reversed"),
+  );
+};
+
+const checkTransferFailed = async (reseller) => {
+  console.log("\n🚫 transfer.failed");
+  const event = loadSample("transfer.failed");
+  event.data.reference = `${event.data.reference}-failed`;
+  event.data.transfer_code = `${event.data.transfer_code}_failed`;
+  const { transaction, withdrawal } = await createPayout(
+    reseller,
+    event.data.reference,
+  );
+
+  await deliverTwice(event);
+
+  const payout = await Transaction.findById(transaction._id);
+  const request = await Withdrawal.findById(withdrawal._id);
+  check("payout entry FAILED", payout.status === TransactionStatus.FAILED);
+  check(
+    "withdrawal FAILED with Paystack's reason",
+    request.status === WithdrawalStatus.FAILED &&
+      request.failureReason.includes(event.data.failures),
+  );
+};
+
+// DISPUTE EVENTS
+const checkDispute = async (reseller) => {
+  console.log("\n⚠️ charge.dispute.create, then charge.dispute.resolve");
+  const order = await createOrder(reseller, {
+    status: OrderStatus.DELIVERED,
+    paymentStatus: PaymentStatus.PAID,
+  });
+  const opened = loadSample("charge.dispute.create");
+  opened.data.transaction.reference = order.orderNumber;
+
+  await deliverTwice(opened);
+
+  let disputed = await Order.findById(order._id);
+  check(
+    "dispute OPEN with amount and due date",
+    disputed.dispute.status === DisputeStatus.OPEN &&
+      disputed.dispute.providerDisputeId === opened.data.id.toString() &&
+      disputed.dispute.amount === SELLING_PRICE &&
+      disputed.dispute.dueAt.toISOString() === opened.data.due_at,
+  );
+  check("one history note", (await historyCount(order)) === 1);
+
+  const resolved = loadSample("charge.dispute.resolve");
+  resolved.data.transaction.reference = order.orderNumber;
+
+  await deliverTwice(resolved);
+
+  disputed = await Order.findById(order._id);
+  check(
+    "dispute RESOLVED with Paystack's resolution",
+    disputed.dispute.status === DisputeStatus.RESOLVED &&
+      disputed.dispute.resolution === resolved.data.resolution,
+  );
+  check(
+    "order status unchanged",
+    disputed.status === OrderStatus.DELIVERED &&
+      disputed.paymentStatus === PaymentStatus.PAID,
+  );
+  check("two history notes", (await historyCount(order)) === 2);
+};
+
+const run = async () => {
+  const replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  await mongoose.connect(replSet.getUri());
+  await Promise.all(
+    [Order, OrderStatusHistory, Reseller, Transaction, User, Withdrawal].map(
+      (model) => model.createCollection().then(() => model.syncIndexes()),
+    ),
+  );
+
+  // Only resellers with an ACTIVE account earn (see eligibility.service)
+  const user = await User.create({
+    name: "Test Reseller",
+    email: "reseller@example.com",
+    phone: "0241234567",
+    password: "password123",
+    role: UserRole.RESELLER,
+    status: UserStatus.ACTIVE,
+  });
+  const reseller = await Reseller.create({
+    userId: user._id,
+    resellerId: "RES-001",
+    referralCode: "TESTCODE",
+  });
+
+  console.log("\n🔍 Webhook Handlers (webhook-samples/)");
+  console.log("-----------------------------------");
+
+  await checkChargeSuccess(reseller);
+  await checkChargeMismatch(reseller);
+  await checkChargeFailed(reseller);
+  await checkRefundProcessed(reseller);
+  await checkRefundFailed(reseller);
+  await checkTransferSuccess(reseller);
+  await checkTransferFailed(reseller);
+  await checkDispute(reseller);
+
+  console.log("-----------------------------------");
+  console.log(
+    failures === 0 ? "✅ ALL CHECKS PASSED" : `❌ ${failures} CHECK(S) FAILED`,
+  );
+
+  await mongoose.disconnect();
+  await replSet.stop();
+  await deliveryQueue.close().catch(() => {});
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+run().catch((error) => {
+  console.error("❌ Harness error:", error);
+  process.exit(1);
+});
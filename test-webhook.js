@@ -1,21 +1,49 @@
+// Sends a signed Paystack webhook from webhook-samples/ to the local server
+// Usage: node test-webhook.js [event] [orderNumber] [id]
+//   node test-webhook.js                                  -> charge.success for ORDER_NUMBER
+//   node test-webhook.js charge.failed ORD-981152373
+//   node test-webhook.js refund.processed ORD-981152373 11437296   (id = Paystack refund ID)
+//   node test-webhook.js transfer.success - wdr-1736932300000123   (id = payout reference)
 const axios = require("axios");
 const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 require("dotenv").config();
 
 const SECRET_KEY = process.env.PAYMENT_SECRET_KEY;
 const BACKEND_URL = "http://localhost:5000/api/v1/webhooks/paystack";
 const ORDER_NUMBER = "ORD-981152373"; // <--- UPDATE THIS
 
-const payload = {
-  event: "charge.success",
-  data: {
-    reference: ORDER_NUMBER,
-    status: "success",
-    amount: 1700, // Matches your 17.00 GHS price
-    channel: "mobile_money",
-    id: Math.floor(Math.random() * 1000000),
-  },
-};
+const [eventName = "charge.success", orderArg, idArg] = process.argv.slice(2);
+const orderNumber = orderArg && orderArg !== "-" ? orderArg : ORDER_NUMBER;
+
+const samplePath = path.join(__dirname, "webhook-samples", `${eventName}.json`);
+if (!fs.existsSync(samplePath)) {
+  console.error(`❌ No sample payload for ${eventName}`);
+  console.error(
+    `   Available: ${fs
+      .readdirSync(path.join(__dirname, "webhook-samples"))
+      .map((file) => file.replace(".json", ""))
+      .join(", ")}`,
+  );
+  process.exit(1);
+}
+
+const payload = JSON.parse(fs.readFileSync(samplePath, "utf8"));
+
+// Point the sample at a real order / refund / payout
+if (eventName.startsWith("charge.dispute")) {
+  payload.data.transaction.reference = orderNumber;
+} else if (eventName.startsWith("refund")) {
+  payload.data.transaction_reference = orderNumber;
+  if (idArg) payload.data.id = idArg;
+} else if (eventName.startsWith("transfer")) {
+  if (idArg) payload.data.reference = idArg;
+} else {
+  payload.data.reference = orderNumber;
+  // Fresh Paystack ID each run
+  payload.data.id = Math.floor(Math.random() * 1000000);
+}
 
 const signature = crypto
   .createHmac("sha512", SECRET_KEY)
@@ -24,7 +52,7 @@ const signature = crypto
 
 const sendWebhook = async () => {
   try {
-    console.log(`🚀 Sending Webhook for ${ORDER_NUMBER}...`);
+    console.log(`🚀 Sending ${eventName} Webhook for ${orderNumber}...`);
     const response = await axios.post(BACKEND_URL, payload, {
       headers: {
         "x-paystack-signature": signature,